@@ -62,6 +62,29 @@ const marketBannerStorage = new CloudinaryStorage({
   },
 });
 
+// Storage engine for farmer verification (KYC) documents: ID cards, farm registrations.
+// Uploaded as 'authenticated' so the files are not publicly reachable; reviewers get signed URLs.
+const verificationDocumentStorage = new CloudinaryStorage({
+  cloudinary: cloudinary,
+  params: {
+    folder: 'agriconnect/verification-documents',
+    type: 'authenticated',
+    allowed_formats: ['jpg', 'png', 'jpeg', 'pdf'],
+  },
+});
+
+// Short-lived signed URL for an 'authenticated' asset (e.g. a verification document)
+const signedDocumentUrl = (publicId, format) => cloudinary.url(publicId, {
+  type: 'authenticated',
+  sign_url: true,
+  secure: true,
+  format,
+  expires_at: Math.floor(Date.now() / 1000) + 15 * 60,
+});
+
+// Permanently removes an 'authenticated' asset (used when an account is deleted)
+const destroyDocument = (publicId) => cloudinary.uploader.destroy(publicId, { type: 'authenticated', invalidate: true });
+
 
 module.exports = {
   productStorage,
@@ -69,4 +92,7 @@ module.exports = {
   chatMediaStorage,
   groupCoverStorage,
   marketBannerStorage,
+  verificationDocumentStorage,
+  signedDocumentUrl,
+  destroyDocument,
 };
@@ -0,0 +1,71 @@
+// config/permissions.js
+// Catalogue of named permissions and the built-in roles that are seeded into the Role collection.
+// Admins can change the permissions of built-in roles (except 'admin') and add their own roles
+// through /api/admin/roles.
+
+const PERMISSIONS = {
+  'products:create': 'List new products for sale',
+  'products:edit_any': 'Edit any product, not only your own',
+  'products:delete_any': 'Delete any product, not only your own',
+  'products:moderate': 'Use the product admin tools (list all, remove, feature)',
+  'groups:create': 'Create farmer groups',
+  'markets:manage': "Create, edit and delete Farmer's Market events",
+  'users:read': 'View the admin user list and user details',
+  'users:edit': 'Edit users and clear login lockouts',
+  'users:delete': 'Delete users',
+  'users:verify': 'Review farmer verification documents and grant the verified badge',
+  'roles:assign': 'Change the role of a user',
+  'roles:manage': 'Create, edit and delete roles',
+  'orders:view_all': 'View and export every order (admin order list)',
+  'orders:manage': 'Move any order through its statuses, force status changes and add internal notes',
+  'orders:refund': 'Refund orders',
+  'payments:manage': 'View payment provider events and replay them',
+  'payouts:manage': 'View seller balances, set commission rules and create, pay and export payout batches',
+  'coupons:manage': 'Create, edit and delete promo codes and view their redemption reports',
+  'apikeys:manage': 'Issue, rotate and revoke integration API keys',
+  'audit:read': 'View the audit log of administrative actions',
+};
+
+// What an integration API key may be allowed to do (a key never exceeds its owner's own permissions)
+const API_KEY_SCOPES = {
+  'products:read': 'Read the owner\'s product listings',
+  'products:write': 'Create, update and delete the owner\'s product listings',
+  'orders:read': 'Read the owner\'s orders and sales (a group key: the members\' sales too)',
+};
+
+// The 'admin' role always has every permission, so it cannot lock itself out
+const ADMIN_ROLE = 'admin';
+
+const DEFAULT_ROLES = {
+  admin: {
+    description: 'Full access to everything',
+    permissions: Object.keys(PERMISSIONS),
+  },
+  moderator: {
+    description: 'Keeps listings and markets clean',
+    permissions: ['products:edit_any', 'products:delete_any', 'products:moderate', 'markets:manage', 'users:read'],
+  },
+  support: {
+    description: 'Helps users with their accounts and orders',
+    permissions: ['users:read', 'users:edit', 'users:verify', 'orders:view_all', 'orders:manage', 'orders:refund'],
+  },
+  farmer: {
+    description: 'Sells products and runs farmer groups',
+    permissions: ['products:create', 'groups:create'],
+  },
+  consumer: {
+    description: 'Buys products',
+    permissions: [],
+  },
+};
+
+// Roles a user may pick for themselves at registration
+const SELF_REGISTRATION_ROLES = ['farmer', 'consumer'];
+
+module.exports = {
+  PERMISSIONS,
+  ADMIN_ROLE,
+  DEFAULT_ROLES,
+  SELF_REGISTRATION_ROLES,
+  API_KEY_SCOPES,
+};
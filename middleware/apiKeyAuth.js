@@ -0,0 +1,49 @@
+// backend/middleware/apiKeyAuth.js
+const authMiddleware = require('./auth');
+const User = require('../models/User');
+const FarmerGroup = require('../models/FarmerGroup');
+const { findActiveKey, keyFromRequest, recordUsage } = require('../services/apiKeyService');
+
+// Use INSTEAD of authMiddleware on routes that integrations may call:
+//   router.get('/', allowApiKey('orders:read'), handler)
+// Requests carrying an API key must have `scope`; everything else goes through the normal JWT check.
+// On success req.user looks like a normal token user plus `apiKeyId`, and req.apiKey is set.
+module.exports = function allowApiKey(scope) {
+  return async function (req, res, next) {
+    const presentedKey = keyFromRequest(req);
+    if (!presentedKey) {
+      return authMiddleware(req, res, next);
+    }
+
+    try {
+      const apiKey = await findActiveKey(presentedKey);
+      if (!apiKey) {
+        return res.status(401).json({ msg: 'API key is not valid' });
+      }
+      recordUsage(apiKey, req, res);
+
+      if (!apiKey.scopes.includes(scope)) {
+        return res.status(403).json({ msg: `API key is missing scope ${scope}` });
+      }
+
+      const owner = await User.findById(apiKey.userId).select('_id role').lean();
+      if (!owner) {
+        return res.status(401).json({ msg: 'API key owner no longer exists' });
+      }
+
+      // Cooperative keys may also act on products of the group's members
+      let memberIds = [];
+      if (apiKey.groupId) {
+        const group = await FarmerGroup.findById(apiKey.groupId).select('members').lean();
+        memberIds = (group?.members || []).map(id => id.toString());
+      }
+
+      req.user = { id: owner._id.toString(), role: owner.role, apiKeyId: apiKey._id.toString() };
+      req.apiKey = { id: apiKey._id.toString(), scopes: apiKey.scopes, groupId: apiKey.groupId, memberIds };
+      next();
+    } catch (err) {
+      console.error('apiKeyAuth error:', err.message);
+      res.status(500).send('Server Error');
+    }
+  };
+};
@@ -1,6 +1,6 @@
-const jwt = require('jsonwebtoken');
+const { verifyAccessToken } = require('../services/tokenService');
 
-module.exports = function (req, res, next) {
+module.exports = async function (req, res, next) {
   // Get token from header
   const token = req.header('Authorization')?.replace('Bearer ', '');
 
@@ -9,12 +9,11 @@ module.exports = function (req, res, next) {
     return res.status(401).json({ msg: 'No token, authorization denied' });
   }
 
-  // Verify token
+  // Verify token signature AND that its session has not been revoked (logout, password reset, etc.)
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded.user; // Add user payload from token to request object
-    next();
+    req.user = await verifyAccessToken(token); // Add user payload from token to request object
   } catch (err) {
-    res.status(401).json({ msg: 'Token is not valid' });
+    return res.status(401).json({ msg: 'Token is not valid' });
   }
-};
\ No newline at end of file
+  next();
+};
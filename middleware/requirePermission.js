@@ -0,0 +1,24 @@
+// backend/middleware/requirePermission.js
+const { getRolePermissions } = require('../services/permissionService');
+
+// Usage: router.get('/admin/all', [authMiddleware, requirePermission('users:read')], handler)
+// authMiddleware must run BEFORE this to populate req.user. All listed permissions are required.
+module.exports = function requirePermission(...required) {
+  return async function (req, res, next) {
+    if (!req.user) {
+      return res.status(401).json({ msg: 'No token, authorization denied' });
+    }
+
+    try {
+      const granted = await getRolePermissions(req.user.role);
+      const missing = required.filter(permission => !granted.has(permission));
+      if (missing.length > 0) {
+        return res.status(403).json({ msg: `Access denied: missing permission ${missing.join(', ')}` });
+      }
+      next();
+    } catch (err) {
+      console.error('requirePermission error:', err.message);
+      res.status(500).send('Server Error');
+    }
+  };
+};
@@ -0,0 +1,22 @@
+// backend/middleware/requireVerifiedPhone.js
+const User = require('../models/User');
+
+// authMiddleware must run BEFORE this to populate req.user.
+// Used on selling routes so nobody can list products under a phone number they do not own.
+// Set REQUIRE_VERIFIED_PHONE_TO_SELL=false to switch the check off (e.g. local development).
+module.exports = async function (req, res, next) {
+  if (process.env.REQUIRE_VERIFIED_PHONE_TO_SELL === 'false') {
+    return next();
+  }
+
+  try {
+    const user = await User.findById(req.user.id).select('phoneVerified').lean();
+    if (!user || !user.phoneVerified) {
+      return res.status(403).json({ msg: 'Please verify your phone number before selling.', code: 'PHONE_NOT_VERIFIED' });
+    }
+    next();
+  } catch (err) {
+    console.error('requireVerifiedPhone error:', err.message);
+    res.status(500).send('Server Error');
+  }
+};
@@ -0,0 +1,25 @@
+// backend/models/ApiKey.js
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Admin-issued credential for cooperative / ERP integrations.
+// The key is shown once at creation/rotation; only its SHA-256 hash is stored.
+const ApiKeySchema = new Schema({
+    name: { type: String, required: true, trim: true },
+    // Public, non-secret part of the key ("agc_<prefix>_<secret>"), used to look the key up
+    prefix: { type: String, required: true, unique: true },
+    keyHash: { type: String, required: true, select: false },
+    scopes: [{ type: String, required: true }], // see API_KEY_SCOPES in config/permissions.js
+    // The key acts as this user (their role still limits what the key can do)
+    userId: { type: Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    // Optional cooperative: the key may then also manage products of the group's members
+    groupId: { type: Schema.Types.ObjectId, ref: 'FarmerGroup', default: null },
+    createdBy: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    lastUsedAt: { type: Date, default: null },
+    lastRotatedAt: { type: Date, default: null },
+    expiresAt: { type: Date, default: null },
+    revokedAt: { type: Date, default: null },
+    revokedBy: { type: Schema.Types.ObjectId, ref: 'User', default: null }
+}, { timestamps: true });
+
+module.exports = mongoose.model('ApiKey', ApiKeySchema);
@@ -0,0 +1,19 @@
+// backend/models/ApiKeyUsage.js
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// One entry per request authenticated with an API key
+const ApiKeyUsageSchema = new Schema({
+    apiKeyId: { type: Schema.Types.ObjectId, ref: 'ApiKey', required: true },
+    method: { type: String, required: true },
+    path: { type: String, required: true },
+    statusCode: { type: Number },
+    ip: { type: String },
+    userAgent: { type: String }
+}, { timestamps: { createdAt: 'at', updatedAt: false } });
+
+ApiKeyUsageSchema.index({ apiKeyId: 1, at: -1 });
+// Keep 90 days of usage history
+ApiKeyUsageSchema.index({ at: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('ApiKeyUsage', ApiKeyUsageSchema);
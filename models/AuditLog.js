@@ -0,0 +1,28 @@
+// backend/models/AuditLog.js
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const AuditChangeSchema = new Schema({
+    field: { type: String, required: true },
+    before: { type: Schema.Types.Mixed },
+    after: { type: Schema.Types.Mixed }
+}, { _id: false });
+
+// Append-only record of privileged (admin/staff) mutations
+const AuditLogSchema = new Schema({
+    actorId: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    actorRole: { type: String },
+    action: { type: String, required: true }, // e.g. 'user.update', 'product.delete', 'market.create'
+    targetType: { type: String, required: true }, // e.g. 'User', 'Product', 'Market'
+    targetId: { type: String },
+    changes: [AuditChangeSchema], // Field-level before/after diff
+    meta: { type: Schema.Types.Mixed }, // Extra context, e.g. a rejection reason
+    ip: { type: String },
+    userAgent: { type: String }
+}, { timestamps: { createdAt: 'createdAt', updatedAt: false } });
+
+AuditLogSchema.index({ createdAt: -1 });
+AuditLogSchema.index({ actorId: 1, createdAt: -1 });
+AuditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', AuditLogSchema);
@@ -0,0 +1,30 @@
+// backend/models/Cart.js
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const GUEST_CART_TTL_DAYS = parseInt(process.env.GUEST_CART_TTL_DAYS, 10) || 30;
+
+const CartItemSchema = new Schema({
+    productId: { type: Schema.Types.ObjectId, ref: 'Product', required: true },
+    variantId: { type: Schema.Types.ObjectId, default: null }, // Entry in Product.variants, for products sold in variants
+    quantity: { type: Number, required: true, min: 1 },
+    price: { type: Number }, // Unit price the buyer was last shown, to flag price changes
+    addedAt: { type: Date, default: Date.now }
+});
+
+// Server-side shopping cart (services/cart.js). A logged-in user has one cart; before logging in the
+// app keeps a guest cart, identified by a random token, which is merged into the user's cart at login.
+const CartSchema = new Schema({
+    userId: { type: Schema.Types.ObjectId, ref: 'User', unique: true, sparse: true },
+    guestToken: { type: String, unique: true, sparse: true },
+    items: [CartItemSchema],
+    lastActivityAt: { type: Date, default: Date.now, index: true } // Last change, for abandoned-cart reminders
+}, { timestamps: true });
+
+// Guest carts nobody came back to are removed after GUEST_CART_TTL_DAYS
+CartSchema.index(
+    { updatedAt: 1 },
+    { expireAfterSeconds: GUEST_CART_TTL_DAYS * 24 * 60 * 60, partialFilterExpression: { guestToken: { $exists: true } } }
+);
+
+module.exports = mongoose.model('Cart', CartSchema);
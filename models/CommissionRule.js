@@ -0,0 +1,19 @@
+// backend/models/CommissionRule.js
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Platform commission taken from a seller's sales, when it differs from the default
+// (PLATFORM_COMMISSION_PERCENT). A seller rule wins over a category rule (see services/ledger.js).
+const CommissionRuleSchema = new Schema({
+    scope: { type: String, enum: ['seller', 'category'], required: true },
+    sellerId: { type: Schema.Types.ObjectId, ref: 'User' }, // scope 'seller'
+    category: { type: String, trim: true, lowercase: true }, // scope 'category', matched case-insensitively
+    ratePercent: { type: Number, required: true, min: 0, max: 100 },
+    note: { type: String, trim: true },
+    updatedBy: { type: Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+CommissionRuleSchema.index({ sellerId: 1 }, { unique: true, partialFilterExpression: { scope: 'seller' } });
+CommissionRuleSchema.index({ category: 1 }, { unique: true, partialFilterExpression: { scope: 'category' } });
+
+module.exports = mongoose.model('CommissionRule', CommissionRuleSchema);
@@ -0,0 +1,26 @@
+// backend/models/Coupon.js
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Promo code applied at checkout (services/coupons.js, priced in services/orderPricing.js)
+const CouponSchema = new Schema({
+    code: { type: String, required: true, unique: true, uppercase: true, trim: true },
+    description: { type: String, trim: true },
+    type: { type: String, enum: ['percentage', 'fixed'], required: true },
+    value: { type: Number, required: true, min: 0 }, // Percent off (percentage) or amount off (fixed)
+    maxDiscount: { type: Number, min: 0, default: null }, // Cap for percentage coupons
+    minOrderValue: { type: Number, min: 0, default: 0 }, // Minimum value of the eligible items
+    startsAt: { type: Date, default: null },
+    endsAt: { type: Date, default: null },
+    usageLimit: { type: Number, min: 1, default: null }, // Redemptions overall (null = unlimited)
+    usageLimitPerUser: { type: Number, min: 1, default: 1 },
+    // Restrictions. Empty lists mean "any"; with categories/sellers the discount only applies to matching items.
+    categories: [{ type: String, trim: true }],
+    sellerIds: [{ type: Schema.Types.ObjectId, ref: 'User' }],
+    firstOrderOnly: { type: Boolean, default: false },
+    active: { type: Boolean, default: true },
+    redemptionCount: { type: Number, default: 0 }, // Orders currently holding this coupon (see CouponRedemption)
+    createdBy: { type: Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+module.exports = mongoose.model('Coupon', CouponSchema);
@@ -0,0 +1,23 @@
+// backend/models/CouponRedemption.js
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// One use of a coupon by an order. Released (and no longer counted) when the order is cancelled unpaid.
+const CouponRedemptionSchema = new Schema({
+    couponId: { type: Schema.Types.ObjectId, ref: 'Coupon', required: true },
+    code: { type: String, required: true },
+    userId: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    orderId: { type: Schema.Types.ObjectId, ref: 'Order', required: true, unique: true },
+    discount: { type: Number, required: true },
+    orderTotal: { type: Number }, // What the buyer paid, after the discount
+    slot: { type: Number }, // Which of the user's usageLimitPerUser uses this is (unique while active)
+    status: { type: String, enum: ['active', 'released'], default: 'active' },
+    releasedAt: { type: Date }
+}, { timestamps: true });
+
+CouponRedemptionSchema.index({ couponId: 1, createdAt: -1 });
+CouponRedemptionSchema.index({ couponId: 1, userId: 1, status: 1 });
+// A user's active uses of a coupon each take their own slot, so concurrent checkouts cannot exceed usageLimitPerUser
+CouponRedemptionSchema.index({ couponId: 1, userId: 1, slot: 1 }, { unique: true, partialFilterExpression: { status: 'active', slot: { $exists: true } } });
+
+module.exports = mongoose.model('CouponRedemption', CouponRedemptionSchema);
@@ -0,0 +1,30 @@
+// backend/models/FarmerVerification.js
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const VerificationDocumentSchema = new Schema({
+    kind: { type: String, enum: ['national_id', 'farm_registration', 'other'], required: true },
+    url: { type: String, required: true },
+    publicId: { type: String, required: true }, // Cloudinary public_id, used to build signed URLs
+    format: { type: String },
+    uploadedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// A farmer's request for the verified seller badge (KYC). A farmer can resubmit after a rejection,
+// so there may be several documents per user; the latest one is the current state.
+const FarmerVerificationSchema = new Schema({
+    userId: { type: Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    documents: [VerificationDocumentSchema],
+    status: {
+        type: String,
+        enum: ['pending', 'approved', 'rejected'],
+        default: 'pending'
+    },
+    reviewedBy: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+    reviewedAt: { type: Date, default: null },
+    rejectionReason: { type: String, trim: true, default: null }
+}, { timestamps: true });
+
+FarmerVerificationSchema.index({ status: 1, createdAt: 1 });
+
+module.exports = mongoose.model('FarmerVerification', FarmerVerificationSchema);
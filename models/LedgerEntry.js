@@ -0,0 +1,37 @@
+// backend/models/LedgerEntry.js
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// One line of the seller payouts ledger (services/ledger.js). Lines are written in journals (same `journal`)
+// whose amounts add up to zero; a positive amount credits the account, a negative one debits it.
+// Accounts:
+//   seller          - what the platform owes the seller (`sellerId`); its sum is the seller's balance
+//   commission      - the platform's commission on sales
+//   customer_funds  - money buyers paid for goods (debited by sales, credited back by refunds)
+//   discounts       - coupon discounts the platform gave on goods
+//   payouts_pending - amounts in payout batches that have not been paid yet
+//   payouts_paid    - amounts paid out to sellers
+// Entries are never changed or deleted; a correction is a new journal.
+const LedgerEntrySchema = new Schema({
+    journal: { type: String, required: true, index: true }, // e.g. 'sale:<order item id>', 'refund:<refund id>:<order item id>'
+    key: { type: String, required: true, unique: true }, // journal + account: makes writing a journal idempotent
+    type: { type: String, enum: ['sale', 'refund', 'reversal', 'payout', 'payout_paid', 'payout_cancelled'], required: true },
+    account: { type: String, enum: ['seller', 'commission', 'customer_funds', 'discounts', 'payouts_pending', 'payouts_paid'], required: true },
+    sellerId: { type: Schema.Types.ObjectId, ref: 'User', required: true }, // Whose sale / payout the journal is about
+    amount: { type: Number, required: true },
+    currency: { type: String, required: true },
+    orderId: { type: Schema.Types.ObjectId, ref: 'Order' },
+    orderItemId: { type: Schema.Types.ObjectId },
+    refundId: { type: Schema.Types.ObjectId, ref: 'Refund' },
+    payoutBatchId: { type: Schema.Types.ObjectId, ref: 'PayoutBatch' },
+    quantity: { type: Number },
+    commissionRate: { type: Number }, // Percent applied on sale and refund journals
+    description: { type: String }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+LedgerEntrySchema.index({ sellerId: 1, account: 1, createdAt: -1 });
+LedgerEntrySchema.index({ account: 1, sellerId: 1 });
+LedgerEntrySchema.index({ orderItemId: 1 });
+LedgerEntrySchema.index({ payoutBatchId: 1 });
+
+module.exports = mongoose.model('LedgerEntry', LedgerEntrySchema);
@@ -0,0 +1,14 @@
+// backend/models/LedgerJournal.js
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Claims a ledger journal (services/ledger.js writeJournal) before its lines are written: the first writer
+// stores the lines here, and every writer then writes exactly these lines. Two writers of the same journal
+// (e.g. two payout batches taking a seller's next payout) can never end up with a mix of each other's lines.
+const LedgerJournalSchema = new Schema({
+    journal: { type: String, required: true, unique: true },
+    type: { type: String, required: true },
+    entries: [{ type: Schema.Types.Mixed }] // The LedgerEntry documents of the journal, as the first writer built them
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+module.exports = mongoose.model('LedgerJournal', LedgerJournalSchema);
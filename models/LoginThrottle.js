@@ -0,0 +1,22 @@
+// backend/models/LoginThrottle.js
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Failed-login counters, one per phone number and one per client IP
+const LoginThrottleSchema = new Schema({
+    key: { type: String, required: true, unique: true }, // e.g. "phone:0911..." or "ip:10.0.0.1"
+    type: { type: String, enum: ['phone', 'ip'], required: true },
+    value: { type: String, required: true }, // the phone number or IP itself
+    failedCount: { type: Number, default: 0 },
+    firstFailedAt: { type: Date, default: null },
+    lastFailedAt: { type: Date, default: null },
+    lockedUntil: { type: Date, default: null },
+    nextAttemptAt: { type: Date, default: null }, // No new attempt before this (set when an attempt starts)
+    lockoutCount: { type: Number, default: 0 } // How many times this key has been locked out
+}, { timestamps: true });
+
+LoginThrottleSchema.index({ lockedUntil: 1 });
+// Forget about keys with no activity for a day
+LoginThrottleSchema.index({ updatedAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('LoginThrottle', LoginThrottleSchema);
@@ -3,7 +3,9 @@ const Schema = mongoose.Schema;
 
 const MessageSchema = new Schema({
     groupId: { type: Schema.Types.ObjectId, ref: 'FarmerGroup', required: true },
-    senderId: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    // Cleared when the sender deletes their account; the message itself stays so the conversation still reads
+    senderId: { type: Schema.Types.ObjectId, ref: 'User', required: function() { return !this.senderDeleted; } },
+    senderDeleted: { type: Boolean, default: false },
     // --- NEW FIELDS ---
     messageType: {
         type: String,
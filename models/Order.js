@@ -3,27 +3,104 @@ const Schema = mongoose.Schema;
 
 const OrderItemSchema = new Schema({
     productId: { type: Schema.Types.ObjectId, ref: 'Product', required: true },
+    // Set when the product is sold in variants: the _id of the entry in Product.variants, plus a snapshot of it
+    variantId: { type: Schema.Types.ObjectId, default: null },
+    variantName: { type: String },
+    sku: { type: String },
+    unit: { type: String },
     name: { type: String, required: true },
+    category: { type: String }, // Product category at the time of purchase (commission rules)
+    sellerId: { type: Schema.Types.ObjectId, ref: 'User' },
     quantity: { type: Number, required: true },
-    price: { type: Number, required: true }, // Price at the time of purchase
+    price: { type: Number, required: true }, // Unit price at the time of purchase, computed by services/orderPricing.js
+    listPrice: { type: Number }, // Pre-sale unit price (equals `price` when the item was not on sale)
+    lineTotal: { type: Number },
+    discount: { type: Number, default: 0 }, // This line's share of the coupon discount (pricing.discount)
+    refundedQuantity: { type: Number, default: 0 }, // How many of `quantity` have been refunded (models/Refund.js)
     imageUrl: { type: String }
 });
 
+const OrderStatusChangeSchema = new Schema({
+    from: { type: String, default: null }, // null for the entry written at creation
+    to: { type: String, required: true },
+    actorType: { type: String, enum: ['buyer', 'seller', 'admin', 'payment', 'system'], required: true },
+    actorId: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+    note: { type: String },
+    at: { type: Date, default: Date.now }
+}, { _id: false });
+
 const OrderSchema = new Schema({
     userId: { type: Schema.Types.ObjectId, ref: 'User', required: true },
     items: [OrderItemSchema],
-    totalAmount: { type: Number, required: true },
+    totalAmount: { type: Number, required: true }, // Always pricing.total for orders priced on the server
+    pricing: {
+        currency: { type: String },
+        subtotal: { type: Number },
+        savings: { type: Number },
+        couponCode: { type: String }, // Promo code applied (models/Coupon.js)
+        discount: { type: Number }, // Coupon discount, taken off the subtotal
+        deliveryFee: { type: Number },
+        serviceFee: { type: Number },
+        total: { type: Number }
+    },
+    // Changed only through services/orderStatus.js (see TRANSITIONS there).
+    // 'pending' is the "not paid yet" status of orders created before the state machine.
     status: {
         type: String,
-        enum: ['pending', 'processing', 'shipped', 'delivered', 'cancelled'],
-        default: 'pending'
+        enum: ['pending', 'awaiting_payment', 'payment_failed', 'paid', 'processing', 'packed', 'shipped', 'delivered', 'cancelled', 'rejected', 'refunded'],
+        default: 'awaiting_payment'
+    },
+    statusHistory: [OrderStatusChangeSchema],
+    // One per seller in the order (models/SubOrder.js). Empty for orders placed before the split.
+    // While there are sub-orders, processing/shipped/delivered here follow from theirs.
+    subOrders: [{ type: Schema.Types.ObjectId, ref: 'SubOrder' }],
+    // Staff-only notes (admin order API). Never sent to buyers or sellers.
+    internalNotes: {
+        type: [{
+            text: { type: String, required: true, trim: true },
+            authorId: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+            at: { type: Date, default: Date.now }
+        }],
+        select: false
     },
     shippingAddress: {
         // You can make this a detailed object
         address: { type: String, required: true },
         city: { type: String, required: true },
         postalCode: { type: String, required: true }
+    },
+    // Payment transaction reference, generated by the server at checkout (services/payments generateTxRef).
+    // Each new payment attempt gets a fresh one; the earlier ones stay in previousTxRefs so a late result still finds the order.
+    tx_ref: { type: String, unique: true, sparse: true },
+    previousTxRefs: { type: [String], default: undefined },
+    paymentInitializedAt: { type: Date }, // Last time a payment was started with the provider
+    idempotencyKey: { type: String }, // Optional client key that makes retrying checkout safe (unique per buyer)
+    paymentProvider: { type: String, enum: ['chapa', 'cod', 'fake'], default: 'chapa' }, // Chosen at checkout (services/payments)
+    paymentStatus: { type: String, enum: ['unpaid', 'paid', 'partially_refunded', 'refunded'], default: 'unpaid' },
+    paidAt: { type: Date, default: null },
+    paymentReference: { type: String }, // The provider's own reference for the successful payment
+    refundedAmount: { type: Number, default: 0 }, // Sum of the completed refunds of this order
+    refundLockedUntil: { type: Date, default: null }, // Held while a refund request is saved (services/refunds.js)
+    // Last checks of the payment against the provider (services/paymentReconciliation.js)
+    reconciliation: {
+        checkedAt: { type: Date },
+        cancelledChecked: { type: Boolean }, // Checked once after being cancelled unpaid
+        paidChecked: { type: Boolean } // Checked once after being marked paid
+    },
+
+    // Stock taken for this order (services/inventoryService.js).
+    // held: taken at checkout, given back if unpaid by `expiresAt`; committed: paid, the decrement is final;
+    // released: given back (expired or cancelled)
+    reservation: {
+        status: { type: String, enum: ['held', 'committed', 'released'] },
+        expiresAt: { type: Date },
+        releasedAt: { type: Date },
+        releasedReason: { type: String }
     }
 }, { timestamps: true });
 
+OrderSchema.index({ 'reservation.status': 1, 'reservation.expiresAt': 1 });
+OrderSchema.index({ previousTxRefs: 1 }, { sparse: true });
+OrderSchema.index({ userId: 1, idempotencyKey: 1 }, { unique: true, partialFilterExpression: { idempotencyKey: { $type: 'string' } } });
+
 module.exports = mongoose.model('Order', OrderSchema);
\ No newline at end of file
@@ -0,0 +1,20 @@
+// backend/models/Otp.js
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// One-time codes sent by SMS. Only a keyed hash of the code is stored.
+const OtpSchema = new Schema({
+    phone: { type: String, required: true, trim: true },
+    purpose: { type: String, enum: ['registration', 'phone_verification', 'password_reset'], required: true },
+    codeHash: { type: String, required: true, select: false },
+    attempts: { type: Number, default: 0 },
+    maxAttempts: { type: Number, default: 5 },
+    expiresAt: { type: Date, required: true },
+    consumedAt: { type: Date, default: null }
+}, { timestamps: true });
+
+OtpSchema.index({ phone: 1, purpose: 1, createdAt: -1 });
+// Expired codes are useless, let MongoDB delete them (keeps the collection small)
+OtpSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 60 * 60 });
+
+module.exports = mongoose.model('Otp', OtpSchema);
@@ -0,0 +1,36 @@
+// backend/models/PaymentEvent.js
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// A payment provider webhook call that passed signature verification, stored as received so it can
+// be inspected and replayed (POST /api/payment/events/:id/replay). `eventKey` makes delivery idempotent:
+// a redelivered event is only processed again if it did not go through the first time.
+const PaymentEventSchema = new Schema({
+    provider: { type: String, required: true }, // services/payments provider name, e.g. 'chapa'
+    eventKey: { type: String, required: true },
+    eventType: { type: String }, // e.g. 'charge.success'
+    tx_ref: { type: String, index: true },
+    reference: { type: String }, // The provider's reference of the transaction
+    // The payment result the event reports, as read by the provider (services/payments)
+    settlement: {
+        status: { type: String }, // 'success', 'failed' or anything else (not final)
+        amount: { type: Schema.Types.Mixed },
+        currency: { type: String }
+    },
+    payload: { type: Schema.Types.Mixed },
+    rawBody: { type: String }, // Exactly as signed, for replays and disputes
+    // received: stored, not handled yet (or handling crashed); processed: the order was updated;
+    // ignored: nothing to do (unknown order, already settled, unhandled event type);
+    // failed: needs a person (e.g. the amount does not match the order)
+    status: { type: String, enum: ['received', 'processed', 'ignored', 'failed'], default: 'received' },
+    outcome: { type: String }, // Result of the settlement, e.g. 'paid', 'already_paid', 'amount_mismatch'
+    error: { type: String },
+    attempts: { type: Number, default: 0 },
+    processedAt: { type: Date },
+    lastReplayedAt: { type: Date }
+}, { timestamps: true });
+
+PaymentEventSchema.index({ provider: 1, eventKey: 1 }, { unique: true });
+PaymentEventSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('PaymentEvent', PaymentEventSchema);
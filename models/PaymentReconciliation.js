@@ -0,0 +1,38 @@
+// backend/models/PaymentReconciliation.js
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// What the reconciliation job (services/paymentReconciliation.js) found when it asked the payment provider
+// about an order. Only checks that changed something or need a person are stored.
+//   fixed    - the order was settled from the provider's answer (e.g. a missed webhook)
+//   open     - a discrepancy between the order and the provider, waiting for someone to resolve it
+//   resolved - a person looked into an open discrepancy (see `resolution`)
+const PaymentReconciliationSchema = new Schema({
+    orderId: { type: Schema.Types.ObjectId, ref: 'Order', required: true, index: true },
+    tx_ref: { type: String, required: true },
+    provider: { type: String, required: true },
+    // unsettled: the order was still waiting for its payment; cancelled: it was cancelled unpaid after a
+    // payment was started; paid: it was marked paid recently
+    check: { type: String, enum: ['unsettled', 'cancelled', 'paid'], required: true },
+    // fixed: paid, payment_failed, late_payment_refunded (money taken for a cancelled order was sent back)
+    // discrepancies: amount_mismatch (amount or currency differ), wrong_provider, transition_failed,
+    // late_payment_refund_failed (the provider took money for a cancelled order and refused to refund it),
+    // not_confirmed (a paid order the provider does not report as paid)
+    outcome: { type: String, required: true },
+    status: { type: String, enum: ['fixed', 'open', 'resolved'], required: true },
+    orderStatusBefore: { type: String },
+    orderStatusAfter: { type: String },
+    expected: { amount: { type: Number }, currency: { type: String } }, // From the order
+    received: { amount: { type: Number }, currency: { type: String }, status: { type: String }, reference: { type: String } }, // From the provider
+    error: { type: String },
+    providerResponse: { type: Schema.Types.Mixed }, // Raw verify answer, kept for support
+    resolution: {
+        by: { type: Schema.Types.ObjectId, ref: 'User' },
+        note: { type: String },
+        at: { type: Date }
+    }
+}, { timestamps: true });
+
+PaymentReconciliationSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('PaymentReconciliation', PaymentReconciliationSchema);
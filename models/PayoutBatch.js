@@ -0,0 +1,30 @@
+// backend/models/PayoutBatch.js
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// A set of seller payouts paid off-platform together (e.g. one bank transfer file).
+// preparing (the balances are being moved in, see services/payouts.js) -> pending
+// pending -> paid (someone sent the money and recorded the reference) | cancelled (the amounts go back to the balances)
+const PayoutBatchSchema = new Schema({
+    status: { type: String, enum: ['preparing', 'pending', 'paid', 'cancelled'], default: 'pending' },
+    currency: { type: String, required: true },
+    items: [{
+        sellerId: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+        sellerName: { type: String }, // Snapshot for the export
+        phone: { type: String },
+        amount: { type: Number, required: true }
+    }],
+    total: { type: Number, required: true },
+    note: { type: String, trim: true },
+    createdBy: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    paidAt: { type: Date },
+    paidBy: { type: Schema.Types.ObjectId, ref: 'User' },
+    reference: { type: String, trim: true }, // Bank / mobile money reference of the transfer
+    cancelledAt: { type: Date },
+    cancelledBy: { type: Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+PayoutBatchSchema.index({ status: 1, createdAt: -1 });
+PayoutBatchSchema.index({ 'items.sellerId': 1 });
+
+module.exports = mongoose.model('PayoutBatch', PayoutBatchSchema);
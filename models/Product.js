@@ -2,6 +2,17 @@
 
 const mongoose = require('mongoose');
 
+// One way of selling the product, e.g. "1 kg", "10 kg crate" or "Grade A".
+// Each variant keeps its own _id, which order items reference.
+const ProductVariantSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  sku: { type: String, trim: true, default: null },
+  unit: { type: String, required: true, trim: true },
+  price: { type: Number, required: true, min: 0 },
+  originalPrice: { type: Number, default: null, min: 0 },
+  stockQuantity: { type: Number, default: 0, min: 0 }
+});
+
 const ProductSchema = new mongoose.Schema({
   name: { type: String, required: true, trim: true },
   description: { type: String, trim: true },
@@ -28,6 +39,10 @@ const ProductSchema = new mongoose.Schema({
     required: true
   },
   
+  // Optional. When present, price/originalPrice/unit/stockQuantity above are derived from the variants
+  // (cheapest in-stock variant, total stock) - see services/productVariants.js
+  variants: [ProductVariantSchema],
+
   isFeatured: { type: Boolean, default: false },
   viewCount: { type: Number, default: 0 },
 
@@ -35,5 +50,6 @@ const ProductSchema = new mongoose.Schema({
 
 // --- FIX #2: Add `category` to the text index for better searching ---
 ProductSchema.index({ name: 'text', description: 'text', category: 'text' });
+ProductSchema.index({ sellerId: 1, 'variants.sku': 1 });
 
 module.exports = mongoose.model('Product', ProductSchema);
\ No newline at end of file
@@ -0,0 +1,55 @@
+// backend/models/Refund.js
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// One refunded order line (or part of it)
+const RefundItemSchema = new Schema({
+    orderItemId: { type: Schema.Types.ObjectId, required: true }, // _id of the entry in Order.items
+    productId: { type: Schema.Types.ObjectId, ref: 'Product' },
+    variantId: { type: Schema.Types.ObjectId, default: null },
+    name: { type: String },
+    sellerId: { type: Schema.Types.ObjectId, ref: 'User' },
+    quantity: { type: Number, required: true, min: 1 },
+    unitPrice: { type: Number, required: true }, // What the buyer paid per unit
+    amount: { type: Number, required: true }
+}, { _id: false });
+
+// A buyer's request to get (part of) a paid order refunded, and what became of it.
+// requested -> approved -> refunded (money sent back by the payment provider)
+//          \-> rejected            \-> failed (the provider refused; an admin can retry)
+// A 'late_payment' refund sends back a payment that arrived after its order was cancelled: it is created
+// approved by the system, has no items and leaves the order cancelled.
+const RefundSchema = new Schema({
+    kind: { type: String, enum: ['request', 'late_payment'], default: 'request' },
+    orderId: { type: Schema.Types.ObjectId, ref: 'Order', required: true, index: true },
+    tx_ref: { type: String }, // Payment the money goes back to
+    buyerId: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    sellerIds: [{ type: Schema.Types.ObjectId, ref: 'User' }], // Sellers of the refunded items
+    items: [RefundItemSchema],
+    amount: { type: Number, required: true }, // Item amounts, plus the order's fees when this refunds everything left
+    currency: { type: String },
+    reason: { type: String, required: true, trim: true },
+    status: {
+        type: String,
+        enum: ['requested', 'approved', 'rejected', 'refunded', 'failed'],
+        default: 'requested'
+    },
+    decision: {
+        by: { type: Schema.Types.ObjectId, ref: 'User' },
+        actorType: { type: String, enum: ['seller', 'admin', 'system'] },
+        note: { type: String },
+        at: { type: Date }
+    },
+    provider: {
+        name: { type: String }, // e.g. 'chapa'
+        reference: { type: String }, // The provider's refund reference
+        response: { type: Schema.Types.Mixed } // Raw provider answer, kept for support
+    },
+    refundedAt: { type: Date },
+    failureReason: { type: String }
+}, { timestamps: true });
+
+RefundSchema.index({ sellerIds: 1, status: 1, createdAt: -1 });
+RefundSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Refund', RefundSchema);
@@ -0,0 +1,14 @@
+// backend/models/Role.js
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// A named set of permissions (see config/permissions.js). User.role holds the role name.
+const RoleSchema = new Schema({
+    name: { type: String, required: true, unique: true, trim: true, lowercase: true, match: /^[a-z][a-z0-9_-]*$/ },
+    description: { type: String, trim: true, default: '' },
+    permissions: [{ type: String }],
+    // Built-in roles (admin, moderator, support, farmer, consumer) cannot be deleted
+    isSystem: { type: Boolean, default: false }
+}, { timestamps: true });
+
+module.exports = mongoose.model('Role', RoleSchema);
@@ -0,0 +1,28 @@
+// backend/models/Session.js
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// One document per logged-in device. Access tokens carry the session _id,
+// so revoking a session here invalidates every token issued for it.
+const SessionSchema = new Schema({
+    userId: { type: Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    // Only the SHA-256 hash of the refresh token is stored, never the token itself
+    refreshTokenHash: { type: String, required: true, select: false },
+    // Hash of the token that was rotated out last. Seeing it again means the old token was replayed.
+    previousRefreshTokenHash: { type: String, default: null, select: false },
+    userAgent: { type: String, trim: true },
+    ip: { type: String, trim: true },
+    lastUsedAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date, default: null },
+    revokedReason: { type: String, default: null }
+}, { timestamps: true });
+
+// Let MongoDB clean up sessions once their refresh token can no longer be used
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+SessionSchema.virtual('isActive').get(function() {
+    return !this.revokedAt && this.expiresAt > new Date();
+});
+
+module.exports = mongoose.model('Session', SessionSchema);
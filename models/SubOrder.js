@@ -0,0 +1,33 @@
+// backend/models/SubOrder.js
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+const Order = require('./Order');
+
+// The part of an order one seller fulfils. Checkout creates one per seller in the cart;
+// the buyer sees them together under the parent Order, each seller only sees their own.
+const SubOrderSchema = new Schema({
+    orderId: { type: Schema.Types.ObjectId, ref: 'Order', required: true, index: true },
+    buyerId: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    sellerId: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    items: [Order.schema.path('items').schema], // Same item shape as the parent order
+    subtotal: { type: Number, required: true }, // Sum of this seller's line totals
+    payoutAmount: { type: Number, required: true }, // What the seller is owed for this portion
+    // Same statuses and transitions as Order (services/orderStatus.js)
+    status: {
+        type: String,
+        enum: ['awaiting_payment', 'paid', 'processing', 'packed', 'shipped', 'delivered', 'cancelled', 'rejected', 'refunded'],
+        default: 'awaiting_payment'
+    },
+    statusHistory: [Order.schema.path('statusHistory').schema],
+    shipping: {
+        carrier: { type: String, trim: true },
+        trackingNumber: { type: String, trim: true },
+        packedAt: { type: Date },
+        shippedAt: { type: Date }, // Handed over to delivery
+        deliveredAt: { type: Date }
+    }
+}, { timestamps: true });
+
+SubOrderSchema.index({ sellerId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('SubOrder', SubOrderSchema);
@@ -21,11 +21,14 @@ const UserSchema = new Schema({
   fullName: { type: String, required: true, trim: true },
   // Assuming phone is optional but unique
   phone: { type: String, unique: true, trim: true, sparse: true },
+  // Set once the user proves ownership of `phone` with an SMS code. Reset whenever the phone number changes.
+  phoneVerified: { type: Boolean, default: false },
+  phoneVerifiedAt: { type: Date, default: null },
   // Assuming you store hashed passwords
   // It's good practice to select: false on password by default
   password: { type: String, required: true, select: false }, // Consider renaming to passwordHash later
-  // Use your actual roles
-  role: { type: String, enum: ['farmer', 'consumer', 'admin'], required: true, default: 'consumer' }, // Set a default role
+  // Name of a Role document (see config/permissions.js): farmer, consumer, admin, moderator, support or a custom role
+  role: { type: String, required: true, trim: true, default: 'consumer' }, // Set a default role
   avatarUrl: { type: String },
   location: {
       type: {
@@ -42,6 +45,10 @@ const UserSchema = new Schema({
   // For 'Top Farmers' feature if applicable
   rating: { type: Number, default: 0, min: 0, max: 5 },
 
+  // Verified seller badge, set when an admin approves the farmer's verification documents (FarmerVerification)
+  sellerVerified: { type: Boolean, default: false },
+  sellerVerifiedAt: { type: Date, default: null },
+
   // --- CORRECTED ADDRESSES FIELD FOR REFERENCED DOCUMENTS ---
   // Define 'addresses' as an array of references (ObjectIds) to the Address model.
   // The 'ref' value ('Address') must exactly match the name used when you
@@ -59,6 +66,16 @@ const UserSchema = new Schema({
   },
   language: { type: String, default: 'en' },
 
+  // Written by POST /api/auth/login
+  lastLogin: { type: Date, default: null },
+  lastFailedLogin: { type: Date, default: null },
+
+  // Self-deletion (DELETE /api/users/me). The account is purged once `deletionScheduledFor` passes;
+  // logging in again before then cancels the request.
+  deletionRequestedAt: { type: Date, default: null },
+  deletionScheduledFor: { type: Date, default: null, index: true },
+  deletionBlockedReason: { type: String, default: null }, // Why the purge is on hold (e.g. unfinished orders); for staff
+
 }, {
     timestamps: true, // Adds createdAt and updatedAt fields
     toJSON: { virtuals: true }, // Include virtuals when converting to JSON
@@ -0,0 +1,255 @@
+// backend/routes/apiKeys.js
+// Integration API key management. Mounted at /api/admin/api-keys.
+const express = require('express');
+const mongoose = require('mongoose');
+const authMiddleware = require('../middleware/auth');
+const requirePermission = require('../middleware/requirePermission');
+const ApiKey = require('../models/ApiKey');
+const ApiKeyUsage = require('../models/ApiKeyUsage');
+const User = require('../models/User');
+const FarmerGroup = require('../models/FarmerGroup');
+const { generateKey } = require('../services/apiKeyService');
+const { recordAudit } = require('../services/auditLog');
+const { API_KEY_SCOPES } = require('../config/permissions');
+
+const router = express.Router();
+
+router.use(authMiddleware, requirePermission('apikeys:manage'));
+
+const validateScopes = (scopes) => {
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+        return 'At least one scope is required.';
+    }
+    const unknown = scopes.filter(scope => !API_KEY_SCOPES[scope]);
+    return unknown.length > 0 ? `Unknown scope(s): ${unknown.join(', ')}` : null;
+};
+
+// @route   GET /api/admin/api-keys/scopes
+// @desc    List the scopes an API key can be given
+// @access  Private (apikeys:manage)
+router.get('/scopes', (req, res) => {
+    res.json(Object.entries(API_KEY_SCOPES).map(([name, description]) => ({ name, description })));
+});
+
+// @route   GET /api/admin/api-keys
+// @desc    List API keys (never includes the secret). ?userId=&groupId=&includeRevoked=true
+// @access  Private (apikeys:manage)
+router.get('/', async (req, res) => {
+    const filter = {};
+    if (req.query.userId) filter.userId = req.query.userId;
+    if (req.query.groupId) filter.groupId = req.query.groupId;
+    if (req.query.includeRevoked !== 'true') filter.revokedAt = null;
+
+    try {
+        const keys = await ApiKey.find(filter)
+            .populate('userId', '_id fullName phone role')
+            .populate('groupId', '_id name')
+            .populate('createdBy', '_id fullName')
+            .sort({ createdAt: -1 })
+            .lean();
+        res.json(keys);
+    } catch (err) {
+        console.error("Error fetching API keys:", err.message, err);
+        if (err.name === 'CastError') {
+            return res.status(400).json({ msg: `Invalid ${err.path} format` });
+        }
+        res.status(500).send('Server Error');
+    }
+});
+
+// @route   POST /api/admin/api-keys
+// @desc    Issue a new key. Body: { name, scopes, userId, groupId?, expiresAt? }. The key is returned ONCE.
+// @access  Private (apikeys:manage)
+router.post('/', async (req, res) => {
+    const { name, scopes, userId, groupId, expiresAt } = req.body;
+
+    if (!name || !userId) {
+        return res.status(400).json({ msg: 'Name and userId are required.' });
+    }
+    const scopeError = validateScopes(scopes);
+    if (scopeError) {
+        return res.status(400).json({ msg: scopeError });
+    }
+    if (!mongoose.Types.ObjectId.isValid(userId) || (groupId && !mongoose.Types.ObjectId.isValid(groupId))) {
+        return res.status(400).json({ msg: 'Invalid userId or groupId format' });
+    }
+
+    try {
+        const owner = await User.exists({ _id: userId });
+        if (!owner) {
+            return res.status(404).json({ msg: 'User not found' });
+        }
+        if (groupId) {
+            const group = await FarmerGroup.findById(groupId).select('members').lean();
+            if (!group) {
+                return res.status(404).json({ msg: 'Group not found' });
+            }
+            if (!group.members?.some(memberId => memberId.toString() === userId)) {
+                return res.status(400).json({ msg: 'The key owner must be a member of the group.' });
+            }
+        }
+
+        const { key, prefix, keyHash } = generateKey();
+        const apiKey = await ApiKey.create({
+            name,
+            prefix,
+            keyHash,
+            scopes: [...new Set(scopes)],
+            userId,
+            groupId: groupId || null,
+            createdBy: req.user.id,
+            expiresAt: expiresAt ? new Date(expiresAt) : null
+        });
+        console.log(`API key ${apiKey.prefix} issued by ${req.user.id} for user ${userId}`);
+        await recordAudit(req, { action: 'apikey.create', targetType: 'ApiKey', targetId: apiKey._id, after: apiKey });
+
+        const response = apiKey.toObject();
+        delete response.keyHash;
+        res.status(201).json({ ...response, key });
+    } catch (err) {
+        console.error("Error creating API key:", err.message, err);
+        if (err.name === 'ValidationError' || err.name === 'CastError') {
+            return res.status(400).json({ msg: err.message });
+        }
+        res.status(500).send('Server Error');
+    }
+});
+
+// @route   GET /api/admin/api-keys/:id
+// @desc    One API key
+// @access  Private (apikeys:manage)
+router.get('/:id', async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ msg: 'Invalid API key ID format' });
+    }
+    try {
+        const apiKey = await ApiKey.findById(req.params.id)
+            .populate('userId', '_id fullName phone role')
+            .populate('groupId', '_id name')
+            .lean();
+        if (!apiKey) {
+            return res.status(404).json({ msg: 'API key not found' });
+        }
+        res.json(apiKey);
+    } catch (err) {
+        console.error("Error fetching API key:", err.message, err);
+        res.status(500).send('Server Error');
+    }
+});
+
+// @route   PUT /api/admin/api-keys/:id
+// @desc    Rename a key or change its scopes / expiry
+// @access  Private (apikeys:manage)
+router.put('/:id', async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ msg: 'Invalid API key ID format' });
+    }
+    const { name, scopes, expiresAt } = req.body;
+    const updateFields = {};
+    if (name !== undefined) updateFields.name = name;
+    if (scopes !== undefined) {
+        const scopeError = validateScopes(scopes);
+        if (scopeError) {
+            return res.status(400).json({ msg: scopeError });
+        }
+        updateFields.scopes = [...new Set(scopes)];
+    }
+    if (expiresAt !== undefined) updateFields.expiresAt = expiresAt ? new Date(expiresAt) : null;
+
+    try {
+        const apiKeyBefore = await ApiKey.findOne({ _id: req.params.id, revokedAt: null }).lean();
+        const apiKey = await ApiKey.findOneAndUpdate(
+            { _id: req.params.id, revokedAt: null },
+            { $set: updateFields },
+            { new: true, runValidators: true }
+        ).lean();
+        if (!apiKey) {
+            return res.status(404).json({ msg: 'API key not found or revoked' });
+        }
+        await recordAudit(req, { action: 'apikey.update', targetType: 'ApiKey', targetId: apiKey._id, before: apiKeyBefore, after: apiKey });
+        res.json(apiKey);
+    } catch (err) {
+        console.error("Error updating API key:", err.message, err);
+        res.status(500).send('Server Error');
+    }
+});
+
+// @route   POST /api/admin/api-keys/:id/rotate
+// @desc    Replace the key's secret. The old key stops working immediately; the new one is returned ONCE.
+// @access  Private (apikeys:manage)
+router.post('/:id/rotate', async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ msg: 'Invalid API key ID format' });
+    }
+    try {
+        const { key, prefix, keyHash } = generateKey();
+        const apiKey = await ApiKey.findOneAndUpdate(
+            { _id: req.params.id, revokedAt: null },
+            { $set: { prefix, keyHash, lastRotatedAt: new Date() } },
+            { new: false } // the previous version is what the audit entry needs
+        ).lean();
+        if (!apiKey) {
+            return res.status(404).json({ msg: 'API key not found or revoked' });
+        }
+        const rotated = { ...apiKey, prefix, lastRotatedAt: new Date() };
+        console.log(`API key ${req.params.id} rotated by ${req.user.id}`);
+        await recordAudit(req, { action: 'apikey.rotate', targetType: 'ApiKey', targetId: apiKey._id, before: apiKey, after: rotated });
+        res.json({ ...rotated, key });
+    } catch (err) {
+        console.error("Error rotating API key:", err.message, err);
+        res.status(500).send('Server Error');
+    }
+});
+
+// @route   DELETE /api/admin/api-keys/:id
+// @desc    Revoke a key (kept for its usage history)
+// @access  Private (apikeys:manage)
+router.delete('/:id', async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ msg: 'Invalid API key ID format' });
+    }
+    try {
+        const apiKey = await ApiKey.findOneAndUpdate(
+            { _id: req.params.id, revokedAt: null },
+            { $set: { revokedAt: new Date(), revokedBy: req.user.id } },
+            { new: true }
+        ).lean();
+        if (!apiKey) {
+            return res.status(404).json({ msg: 'API key not found or already revoked' });
+        }
+        console.log(`API key ${req.params.id} revoked by ${req.user.id}`);
+        await recordAudit(req, { action: 'apikey.revoke', targetType: 'ApiKey', targetId: apiKey._id, meta: { prefix: apiKey.prefix, revokedAt: apiKey.revokedAt } });
+        res.json({ msg: 'API key revoked' });
+    } catch (err) {
+        console.error("Error revoking API key:", err.message, err);
+        res.status(500).send('Server Error');
+    }
+});
+
+// @route   GET /api/admin/api-keys/:id/usage
+// @desc    Usage log of a key, newest first. ?page=1&limit=50
+// @access  Private (apikeys:manage)
+router.get('/:id/usage', async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ msg: 'Invalid API key ID format' });
+    }
+    const limitNum = Math.min(parseInt(req.query.limit) || 50, 200);
+    const pageNum = parseInt(req.query.page) || 1;
+
+    try {
+        const [entries, total] = await Promise.all([
+            ApiKeyUsage.find({ apiKeyId: req.params.id })
+                .sort({ at: -1 })
+                .skip((pageNum - 1) * limitNum)
+                .limit(limitNum)
+                .lean(),
+            ApiKeyUsage.countDocuments({ apiKeyId: req.params.id })
+        ]);
+        res.json({ entries, total, page: pageNum, limit: limitNum });
+    } catch (err) {
+        console.error("Error fetching API key usage:", err.message, err);
+        res.status(500).send('Server Error');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,59 @@
+// backend/routes/audit.js
+// Read-only view of the audit log. Mounted at /api/admin/audit.
+const express = require('express');
+const mongoose = require('mongoose');
+const authMiddleware = require('../middleware/auth');
+const requirePermission = require('../middleware/requirePermission');
+const AuditLog = require('../models/AuditLog');
+
+const router = express.Router();
+
+router.use(authMiddleware, requirePermission('audit:read'));
+
+// @route   GET /api/admin/audit
+// @desc    Audit entries, newest first.
+//          Filters: ?actor=<userId>&targetType=Product&targetId=<id>&action=product.delete&from=2024-01-01&to=2024-02-01&page=1&limit=50
+// @access  Private (audit:read)
+router.get('/', async (req, res) => {
+    console.log("GET /api/admin/audit - Query:", req.query);
+    const { actor, targetType, targetId, action, from, to } = req.query;
+    const limitNum = Math.min(parseInt(req.query.limit) || 50, 200);
+    const pageNum = parseInt(req.query.page) || 1;
+
+    const query = {};
+    if (actor) {
+        if (!mongoose.Types.ObjectId.isValid(actor)) {
+            return res.status(400).json({ msg: 'Invalid actor ID format' });
+        }
+        query.actorId = actor;
+    }
+    if (targetType) query.targetType = targetType;
+    if (targetId) query.targetId = targetId;
+    if (action) query.action = action;
+    if (from || to) {
+        query.createdAt = {};
+        if (from) query.createdAt.$gte = new Date(from);
+        if (to) query.createdAt.$lte = new Date(to);
+        if (Object.values(query.createdAt).some(date => isNaN(date.getTime()))) {
+            return res.status(400).json({ msg: 'Invalid date range' });
+        }
+    }
+
+    try {
+        const [entries, total] = await Promise.all([
+            AuditLog.find(query)
+                .populate('actorId', '_id fullName phone role')
+                .sort({ createdAt: -1 })
+                .skip((pageNum - 1) * limitNum)
+                .limit(limitNum)
+                .lean(),
+            AuditLog.countDocuments(query)
+        ]);
+        res.json({ entries, total, page: pageNum, limit: limitNum });
+    } catch (err) {
+        console.error("Error fetching audit log:", err.message, err);
+        res.status(500).send('Server Error');
+    }
+});
+
+module.exports = router;
@@ -1,19 +1,60 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const Session = require('../models/Session');
 const authMiddleware = require('../middleware/auth'); // <-- ADD THIS LINE
+const tokenService = require('../services/tokenService');
+const otpService = require('../services/otpService');
+const loginThrottle = require('../services/loginThrottle');
+const accountDeletion = require('../services/accountDeletion');
+const cartService = require('../services/cart');
+const { SELF_REGISTRATION_ROLES } = require('../config/permissions');
 
 const router = express.Router();
 
+// @route   POST /api/auth/register/request-otp
+// @desc    Step 1 of registration: send a one-time code to the phone number being registered
+router.post('/register/request-otp', async (req, res) => {
+  const { phone } = req.body;
+
+  if (!phone) {
+    return res.status(400).json({ error: 'Phone number is required.' });
+  }
+
+  try {
+    const existingUser = await User.findOne({ phone }).select('_id').lean();
+    if (existingUser) {
+      return res.status(400).json({ error: 'User with this phone number already exists.' });
+    }
+
+    const result = await otpService.issueOtp(phone, 'registration');
+    if (result.error) {
+      return res.status(result.status || 400).json({ error: result.error });
+    }
+
+    res.json({ message: 'Verification code sent.', expiresAt: result.expiresAt });
+  } catch (err) {
+    console.error("Registration OTP error:", err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
 // @route   POST /api/auth/register
-// @desc    Register a new user
+// @desc    Step 2 of registration: create the user once the SMS code (`otp`) is confirmed
 router.post('/register', async (req, res) => {
-  const { fullName, phone, password, role, location, language, area } = req.body;
+  const { fullName, phone, password, role, location, language, area, otp } = req.body;
 
   // Basic validation
   if (!fullName || !phone || !password || !role || !location || !language) {
     return res.status(400).json({ error: 'Please provide all required fields.' });
+  }
+  if (!otp) {
+    return res.status(400).json({ error: 'Verification code is required. Request one via /api/auth/register/request-otp.' });
+  }
+  // Staff roles (admin, moderator, ...) can only be assigned by an admin
+  if (!SELF_REGISTRATION_ROLES.includes(role)) {
+    return res.status(400).json({ error: `Role must be one of: ${SELF_REGISTRATION_ROLES.join(', ')}.` });
   }
    if (!location.latitude || !location.longitude) {
     return res.status(400).json({ error: 'Valid location data is required.' });
@@ -26,10 +67,18 @@ router.post('/register', async (req, res) => {
       return res.status(400).json({ error: 'User with this phone number already exists.' });
     }
 
-    // 2. Create new user instance
+    // 2. Confirm the caller owns the phone number
+    const otpResult = await otpService.verifyOtp(phone, 'registration', otp);
+    if (otpResult.error) {
+      return res.status(400).json({ error: otpResult.error });
+    }
+
+    // 3. Create new user instance
     user = new User({
       fullName,
       phone,
+      phoneVerified: true,
+      phoneVerifiedAt: new Date(),
       password, // Plain password for now, will be hashed next
       role,
       location: {
@@ -40,14 +89,14 @@ router.post('/register', async (req, res) => {
       area: area
     });
 
-    // 3. Hash the password
+    // 4. Hash the password
     const salt = await bcrypt.genSalt(10);
     user.password = await bcrypt.hash(password, salt);
 
-    // 4. Save the user to the database
+    // 5. Save the user to the database
     await user.save();
 
-    // 5. Return success response (DO NOT return the password)
+    // 6. Return success response (DO NOT return the password)
     // The user object from MongoDB will have an _id, which is exactly what you need for chat, etc.
     res.status(201).json({
       message: 'User registered successfully!',
@@ -61,87 +110,85 @@ router.post('/register', async (req, res) => {
 });
 
 // @route   POST /api/auth/login
-// @desc    Login a user and return a JWT
+// @desc    Login a user and return an access token + refresh token.
+//          Optional `cartToken`: the guest cart (X-Cart-Token) to merge into the user's cart.
 router.post('/login', async (req, res) => {
-    const { phone, password } = req.body;
+    const { phone, password, cartToken } = req.body;
 
     if (!phone || !password) {
         return res.status(400).json({ error: 'Please provide phone and password.' });
     }
 
     try {
-        // 1. Check if user exists
+        // 1. Refuse early if this phone or IP is locked out / has to wait after recent failures
+        const throttle = await loginThrottle.checkLogin(phone, req.ip);
+        if (!throttle.allowed) {
+            res.set('Retry-After', String(throttle.retryAfterSeconds));
+            return res.status(429).json({
+                error: throttle.reason === 'locked'
+                    ? 'Too many failed login attempts. Account temporarily locked.'
+                    : 'Too many failed login attempts. Please wait before trying again.',
+                retryAfterSeconds: throttle.retryAfterSeconds
+            });
+        }
+
+        // 2. Check if user exists
         const user = await User.findOne({ phone }).select('+password');
         if (!user) {
+            await loginThrottle.recordFailure(phone, req.ip);
             return res.status(400).json({ error: 'Invalid credentials.' });
         }
 
-        // 2. Compare passwords
+        // 3. Compare passwords
         const isMatch = await bcrypt.compare(password, user.password);
         if (!isMatch) {
+            await loginThrottle.recordFailure(phone, req.ip);
+            await User.updateOne({ _id: user._id }, { $set: { lastFailedLogin: new Date() } });
             return res.status(400).json({ error: 'Invalid credentials.' });
         }
 
-        // 3. User is valid, create JWT payload
-        const payload = {
-            user: {
-                id: user.id, // or user._id
-                role: user.role
-            }
-        };
-
-        // 4. Sign the token
-        jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: '7d' }, (err, token) => {
-            if (err) throw err;
-            // 5. Return the token and user info (without password)
-            res.json({
-                token,
-                user: {
-                    id: user.id,
-                    fullName: user.fullName,
-                    phone: user.phone,
-                    role: user.role,
-                    avatarUrl: user.avatarUrl,
-                    language: user.language,
-                    area: user.area,
-                    // You can add location here if needed on login
-                }
-            });
-        });
-
-    } catch (err) {
-        console.error(err.message);
-        res.status(500).send('Server Error');
-    }
-});
+        await loginThrottle.recordSuccess(phone);
+        await User.updateOne({ _id: user._id }, { $set: { lastLogin: new Date() } });
 
-router.post('/change-password', authMiddleware, async (req, res) => {
-    const { oldPassword, newPassword } = req.body;
+        // Logging in during the grace period cancels a pending self-deletion
+        const deletionCancelled = user.deletionScheduledFor ? await accountDeletion.cancelDeletion(user._id) : false;
 
-    if (!oldPassword || !newPassword) {
-        return res.status(400).json({ error: 'Please provide both old and new passwords.' });
-    }
+        // 4. User is valid, open a session (short-lived access token + rotating refresh token)
+        const { token, refreshToken } = await tokenService.createSession(user, req);
 
-    try {
-        const user = await User.findById(req.user.id);
+        // A cart filled in before logging in joins the user's cart (a cart problem must not block the login)
+        const cartMerged = cartToken
+            ? Boolean(await cartService.mergeGuestCart(user._id, cartToken).catch(err => console.error('Login: could not merge guest cart:', err.message)))
+            : false;
 
-        const isMatch = await bcrypt.compare(oldPassword, user.password);
-        if (!isMatch) {
-            return res.status(400).json({ error: 'Incorrect current password.' });
-        }
-        
-        const salt = await bcrypt.genSalt(10);
-        user.password = await bcrypt.hash(newPassword, salt);
-        
-        await user.save();
-        res.json({ msg: 'Password updated successfully.' });
+        // 5. Return the tokens and user info (without password)
+        res.json({
+            token,
+            refreshToken,
+            ...(deletionCancelled && { deletionCancelled: true }),
+            ...(cartMerged && { cartMerged: true }),
+            user: {
+                id: user.id,
+                fullName: user.fullName,
+                phone: user.phone,
+                role: user.role,
+                avatarUrl: user.avatarUrl,
+                language: user.language,
+                area: user.area,
+                phoneVerified: user.phoneVerified,
+                // You can add location here if needed on login
+            }
+        });
 
     } catch (err) {
-        console.error("Password change error:", err.message);
+        console.error(err.message);
         res.status(500).send('Server Error');
     }
 });
 
+// @route   POST /api/auth/change-password
+// @desc    Change the password of the logged-in user (requires the current password)
+// @access  Private
 router.post('/change-password', authMiddleware, async (req, res) => {
     console.log("POST /api/auth/change-password received for user:", req.user.id); // Added log
 
@@ -202,4 +249,224 @@ router.post('/change-password', authMiddleware, async (req, res) => {
     }
 });
 
+// @route   POST /api/auth/verify-phone/request
+// @desc    Send a code to the logged-in user's phone (accounts created before OTP registration, or after a phone change)
+// @access  Private
+router.post('/verify-phone/request', authMiddleware, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id).select('phone phoneVerified').lean();
+        if (!user) {
+            return res.status(404).json({ error: 'User not found.' });
+        }
+        if (!user.phone) {
+            return res.status(400).json({ error: 'No phone number on this account.' });
+        }
+        if (user.phoneVerified) {
+            return res.status(400).json({ error: 'Phone number is already verified.' });
+        }
+
+        const result = await otpService.issueOtp(user.phone, 'phone_verification');
+        if (result.error) {
+            return res.status(result.status || 400).json({ error: result.error });
+        }
+        res.json({ message: 'Verification code sent.', expiresAt: result.expiresAt });
+    } catch (err) {
+        console.error("Phone verification request error:", err.message);
+        res.status(500).send('Server Error');
+    }
+});
+
+// @route   POST /api/auth/verify-phone/confirm
+// @desc    Confirm the code sent by /verify-phone/request and mark the phone as verified
+// @access  Private
+router.post('/verify-phone/confirm', authMiddleware, async (req, res) => {
+    const { otp } = req.body;
+
+    if (!otp) {
+        return res.status(400).json({ error: 'Verification code is required.' });
+    }
+
+    try {
+        const user = await User.findById(req.user.id).select('phone phoneVerified');
+        if (!user) {
+            return res.status(404).json({ error: 'User not found.' });
+        }
+
+        const otpResult = await otpService.verifyOtp(user.phone, 'phone_verification', otp);
+        if (otpResult.error) {
+            return res.status(400).json({ error: otpResult.error });
+        }
+
+        user.phoneVerified = true;
+        user.phoneVerifiedAt = new Date();
+        await user.save();
+        res.json({ msg: 'Phone number verified.', phoneVerified: true });
+    } catch (err) {
+        console.error("Phone verification confirm error:", err.message);
+        res.status(500).send('Server Error');
+    }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Send a password reset code to the registered phone number
+// @access  Public
+router.post('/forgot-password', async (req, res) => {
+    const { phone } = req.body;
+
+    if (!phone) {
+        return res.status(400).json({ error: 'Phone number is required.' });
+    }
+
+    // Same answer whether or not the phone is registered, so this cannot be used to discover accounts
+    const genericResponse = { message: 'If an account exists for this phone number, a reset code has been sent.' };
+
+    try {
+        const user = await User.findOne({ phone }).select('_id').lean();
+        if (!user) {
+            console.log(`Forgot password requested for unknown phone ${phone}.`);
+            return res.json(genericResponse);
+        }
+
+        const result = await otpService.issueOtp(phone, 'password_reset');
+        if (result.error) {
+            return res.status(result.status || 400).json({ error: result.error });
+        }
+        res.json(genericResponse);
+    } catch (err) {
+        console.error("Forgot password error:", err.message);
+        res.status(500).send('Server Error');
+    }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password using the code from /forgot-password. Logs the user out everywhere.
+// @access  Public
+router.post('/reset-password', async (req, res) => {
+    const { phone, otp, newPassword } = req.body;
+
+    if (!phone || !otp || !newPassword) {
+        return res.status(400).json({ error: 'Please provide phone, code and new password.' });
+    }
+    if (newPassword.length < 6) {
+        return res.status(400).json({ error: 'New password must be at least 6 characters long.' });
+    }
+
+    try {
+        const otpResult = await otpService.verifyOtp(phone, 'password_reset', otp);
+        if (otpResult.error) {
+            return res.status(400).json({ error: otpResult.error });
+        }
+
+        const user = await User.findOne({ phone }).select('+password');
+        if (!user) {
+            return res.status(400).json({ error: 'Invalid reset request.' });
+        }
+
+        const salt = await bcrypt.genSalt(10);
+        user.password = await bcrypt.hash(newPassword, salt);
+        await user.save();
+
+        // Whoever had the old password may still hold tokens, so end every session
+        const revokedCount = await tokenService.revokeAllSessions(user._id, 'password_reset');
+        console.log(`Password reset for user ${user._id}. Revoked ${revokedCount} session(s).`);
+
+        res.json({ msg: 'Password has been reset. Please log in with your new password.' });
+    } catch (err) {
+        console.error("Reset password error:", err.message);
+        res.status(500).send('Server Error');
+    }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access token + refresh token (the old refresh token is rotated out)
+// @access  Public (requires a valid refresh token)
+router.post('/refresh', async (req, res) => {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+        return res.status(400).json({ error: 'Refresh token is required.' });
+    }
+
+    try {
+        const result = await tokenService.rotateSession(refreshToken, req, (userId) => User.findById(userId).select('_id role'));
+        if (result.error) {
+            return res.status(401).json({ error: result.error });
+        }
+        res.json({ token: result.token, refreshToken: result.refreshToken });
+    } catch (err) {
+        console.error("Token refresh error:", err.message);
+        res.status(500).send('Server Error');
+    }
+});
+
+// @route   POST /api/auth/logout
+// @desc    Revoke the current session so its access and refresh tokens stop working
+// @access  Private
+router.post('/logout', authMiddleware, async (req, res) => {
+    try {
+        await tokenService.revokeSession(req.user.sessionId, req.user.id, 'logout');
+        res.json({ msg: 'Logged out successfully.' });
+    } catch (err) {
+        console.error("Logout error:", err.message);
+        res.status(500).send('Server Error');
+    }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List the current user's active sessions (devices)
+// @access  Private
+router.get('/sessions', authMiddleware, async (req, res) => {
+    try {
+        const sessions = await Session.find({
+            userId: req.user.id,
+            revokedAt: null,
+            expiresAt: { $gt: new Date() }
+        })
+            .select('_id userAgent ip createdAt lastUsedAt expiresAt')
+            .sort({ lastUsedAt: -1 })
+            .lean();
+
+        res.json(sessions.map(session => ({
+            ...session,
+            current: session._id.toString() === req.user.sessionId
+        })));
+    } catch (err) {
+        console.error("Error fetching sessions:", err.message);
+        res.status(500).send('Server Error');
+    }
+});
+
+// @route   DELETE /api/auth/sessions
+// @desc    Revoke all of the current user's sessions except the one making this request
+// @access  Private
+router.delete('/sessions', authMiddleware, async (req, res) => {
+    try {
+        const revokedCount = await tokenService.revokeAllSessions(req.user.id, 'revoked_by_user', req.user.sessionId);
+        res.json({ msg: 'Other sessions revoked.', revokedCount });
+    } catch (err) {
+        console.error("Error revoking sessions:", err.message);
+        res.status(500).send('Server Error');
+    }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Revoke one of the current user's sessions (e.g. a lost phone)
+// @access  Private
+router.delete('/sessions/:id', authMiddleware, async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ error: 'Invalid session ID format.' });
+    }
+
+    try {
+        const session = await tokenService.revokeSession(req.params.id, req.user.id, 'revoked_by_user');
+        if (!session) {
+            return res.status(404).json({ error: 'Session not found or already revoked.' });
+        }
+        res.json({ msg: 'Session revoked.' });
+    } catch (err) {
+        console.error("Error revoking session:", err.message);
+        res.status(500).send('Server Error');
+    }
+});
+
 module.exports = router;
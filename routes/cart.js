@@ -0,0 +1,181 @@
+// backend/routes/cart.js
+const express = require('express');
+const mongoose = require('mongoose');
+const authMiddleware = require('../middleware/auth');
+const { verifyAccessToken } = require('../services/tokenService');
+const cartService = require('../services/cart');
+const { placeOrder } = require('../services/checkout');
+
+const router = express.Router();
+
+// Works out whose cart a request is about. Logged-in users (Authorization header) use their own cart;
+// guests send the token of their guest cart in the X-Cart-Token header (returned as `cartToken` when
+// the guest cart is created).
+const identifyCart = async (req, res, next) => {
+    const token = req.header('Authorization')?.replace('Bearer ', '');
+    if (token) {
+        try {
+            req.user = await verifyAccessToken(token);
+        } catch (err) {
+            return res.status(401).json({ msg: 'Token is not valid' });
+        }
+    }
+    req.cartOwner = req.user ? { userId: req.user.id } : { guestToken: req.header('X-Cart-Token') || undefined };
+    next();
+};
+
+// Answers with the revalidated cart, or the error of a cart service result
+const sendResult = async (res, result, successStatus = 200) => {
+    if (result.error) {
+        const { error, code, available, status } = result;
+        return res.status(status).json({ msg: error, code, available });
+    }
+    res.status(successStatus).json(await cartService.cartView(result.cart));
+};
+
+// @route   GET /api/cart
+// @desc    The cart, revalidated against current prices and stock (changed items are flagged, see services/cart.js)
+// @access  Public (logged-in user, or guest with X-Cart-Token)
+router.get('/', identifyCart, async (req, res) => {
+    try {
+        const cart = await cartService.findCart(req.cartOwner);
+        if (!cart) {
+            return res.json({ items: [], pricing: null, hasChanges: false });
+        }
+        res.json(await cartService.cartView(cart));
+    } catch (err) {
+        console.error("Error fetching cart:", err.message, err);
+        res.status(500).send('Server Error');
+    }
+});
+
+// @route   POST /api/cart/items
+// @desc    Add a product to the cart: { productId, variantId, quantity } (added to any quantity already in the cart).
+//          Guests without a cart get one; keep the returned `cartToken` and send it as X-Cart-Token.
+// @access  Public (logged-in user or guest)
+router.post('/items', identifyCart, async (req, res) => {
+    const { productId, variantId, quantity } = req.body;
+    if (!productId) {
+        return res.status(400).json({ msg: 'productId is required.' });
+    }
+    try {
+        const cart = await cartService.findCart(req.cartOwner, { create: true });
+        await sendResult(res, await cartService.addItem(cart, { productId, variantId: variantId || null, quantity }), 201);
+    } catch (err) {
+        console.error("Error adding to cart:", err.message, err);
+        res.status(500).send('Server Error');
+    }
+});
+
+// @route   PATCH /api/cart/items/:itemId
+// @desc    Change the quantity of a cart line: { quantity }
+// @access  Public (logged-in user or guest)
+router.patch('/items/:itemId', identifyCart, async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.itemId)) {
+        return res.status(404).json({ msg: 'Item is not in the cart.' });
+    }
+    try {
+        const cart = await cartService.findCart(req.cartOwner);
+        if (!cart) {
+            return res.status(404).json({ msg: 'Item is not in the cart.' });
+        }
+        await sendResult(res, await cartService.updateItem(cart, req.params.itemId, req.body.quantity));
+    } catch (err) {
+        console.error("Error updating cart item:", err.message, err);
+        res.status(500).send('Server Error');
+    }
+});
+
+// @route   DELETE /api/cart/items/:itemId
+// @desc    Remove a line from the cart
+// @access  Public (logged-in user or guest)
+router.delete('/items/:itemId', identifyCart, async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.itemId)) {
+        return res.status(404).json({ msg: 'Item is not in the cart.' });
+    }
+    try {
+        const cart = await cartService.findCart(req.cartOwner);
+        if (!cart) {
+            return res.status(404).json({ msg: 'Item is not in the cart.' });
+        }
+        await sendResult(res, await cartService.removeItem(cart, req.params.itemId));
+    } catch (err) {
+        console.error("Error removing cart item:", err.message, err);
+        res.status(500).send('Server Error');
+    }
+});
+
+// @route   DELETE /api/cart
+// @desc    Empty the cart
+// @access  Public (logged-in user or guest)
+router.delete('/', identifyCart, async (req, res) => {
+    try {
+        const cart = await cartService.findCart(req.cartOwner);
+        if (!cart) {
+            return res.json({ items: [], pricing: null, hasChanges: false });
+        }
+        res.json(await cartService.cartView(await cartService.clearCart(cart)));
+    } catch (err) {
+        console.error("Error clearing cart:", err.message, err);
+        res.status(500).send('Server Error');
+    }
+});
+
+// @route   POST /api/cart/merge
+// @desc    Move a guest cart into the logged-in user's cart: { cartToken }.
+//          POST /api/auth/login does this itself when given the cartToken.
+// @access  Private
+router.post('/merge', authMiddleware, async (req, res) => {
+    const { cartToken } = req.body;
+    if (!cartToken) {
+        return res.status(400).json({ msg: 'cartToken is required.' });
+    }
+    try {
+        const cart = await cartService.mergeGuestCart(req.user.id, cartToken)
+            || await cartService.findCart({ userId: req.user.id }, { create: true });
+        res.json(await cartService.cartView(cart));
+    } catch (err) {
+        console.error("Error merging carts:", err.message, err);
+        res.status(500).send('Server Error');
+    }
+});
+
+// @route   POST /api/cart/checkout
+// @desc    Order the cart: { shippingAddress, couponCode, paymentProvider } (and optionally an Idempotency-Key header). Goes through the same ordering as POST /api/orders.
+//          If anything in the cart changed (price, stock, availability) nothing is ordered: the answer is
+//          409 with the revalidated cart so the buyer can review it (a reviewed price change is accepted next time).
+// @access  Private
+router.post('/checkout', authMiddleware, async (req, res) => {
+    const { shippingAddress, couponCode, paymentProvider } = req.body;
+    const idempotencyKey = req.get('Idempotency-Key') || req.body.idempotencyKey;
+    try {
+        const cart = await cartService.findCart({ userId: req.user.id });
+        if (!cart || cart.items.length === 0) {
+            return res.status(400).json({ error: 'Your cart is empty.' });
+        }
+        const view = await cartService.cartView(cart);
+        if (view.hasChanges) {
+            return res.status(409).json({ error: 'Some items in your cart have changed. Review them and check out again.', cart: view });
+        }
+
+        const orderedLines = cart.items.map(item => item._id);
+        const result = await placeOrder(req.user.id, {
+            items: cart.items.map(item => ({ productId: item.productId, variantId: item.variantId, quantity: item.quantity })),
+            shippingAddress,
+            couponCode,
+            paymentProvider,
+            idempotencyKey
+        });
+        if (result.status === 201) {
+            // Only what was ordered leaves the cart, in case it was changed meanwhile
+            await cartService.removeOrderedLines(cart, orderedLines);
+            console.log(`Cart of user ${req.user.id} checked out as order ${result.order._id}`);
+        }
+        res.status(result.status).json(result.body);
+    } catch (err) {
+        console.error("Error checking out cart:", err.message, err);
+        res.status(500).json({ error: 'Server Error saving order.' });
+    }
+});
+
+module.exports = router;
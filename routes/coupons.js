@@ -0,0 +1,284 @@
+// backend/routes/coupons.js
+// Promo code management for the admin panel. Mounted at /api/admin/coupons.
+const express = require('express');
+const mongoose = require('mongoose');
+const authMiddleware = require('../middleware/auth');
+const requirePermission = require('../middleware/requirePermission');
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const { normalizeCode } = require('../services/coupons');
+const { recordAudit } = require('../services/auditLog');
+const { csvHeader, csvRow, startCsvDownload } = require('../services/csv');
+
+const router = express.Router();
+
+// Every route here is admin-only
+router.use(authMiddleware, requirePermission('coupons:manage'));
+
+const EDITABLE_FIELDS = ['code', 'description', 'type', 'value', 'maxDiscount', 'minOrderValue', 'startsAt', 'endsAt',
+    'usageLimit', 'usageLimitPerUser', 'categories', 'sellerIds', 'firstOrderOnly', 'active'];
+
+// Picks the editable fields out of a request body
+const couponFields = (body) => {
+    const fields = {};
+    for (const field of EDITABLE_FIELDS) {
+        if (body[field] !== undefined) fields[field] = body[field];
+    }
+    if (fields.code !== undefined) fields.code = normalizeCode(fields.code);
+    return fields;
+};
+
+// Rules Mongoose can't check on its own, applied to the coupon as it will be saved. Returns an error message or null.
+const validateCoupon = (coupon) => {
+    if (coupon.type === 'percentage' && Number(coupon.value) > 100) {
+        return 'A percentage discount cannot be more than 100.';
+    }
+    if (coupon.startsAt && coupon.endsAt && new Date(coupon.endsAt) <= new Date(coupon.startsAt)) {
+        return 'endsAt must be after startsAt.';
+    }
+    if (coupon.sellerIds && (!Array.isArray(coupon.sellerIds) || !coupon.sellerIds.every(id => mongoose.Types.ObjectId.isValid(id)))) {
+        return 'sellerIds must be an array of user IDs.';
+    }
+    if (coupon.categories && !Array.isArray(coupon.categories)) {
+        return 'categories must be an array of category names.';
+    }
+    return null;
+};
+
+const handleSaveError = (err, res) => {
+    if (err.code === 11000) {
+        return res.status(400).json({ msg: 'A coupon with this code already exists.' });
+    }
+    if (err.name === 'ValidationError' || err.name === 'CastError') {
+        const errors = err.errors ? Object.values(err.errors).map(val => val.message) : [err.message];
+        return res.status(400).json({ msg: errors.join(', ') });
+    }
+    res.status(500).send('Server Error');
+};
+
+// Redemption totals per coupon. `match` filters the redemptions (only active ones count).
+const redemptionStats = (match) => CouponRedemption.aggregate([
+    { $match: { ...match, status: 'active' } },
+    {
+        $group: {
+            _id: '$couponId',
+            redemptions: { $sum: 1 },
+            totalDiscount: { $sum: '$discount' },
+            totalOrderValue: { $sum: '$orderTotal' },
+            users: { $addToSet: '$userId' },
+            lastRedeemedAt: { $max: '$createdAt' }
+        }
+    },
+    { $project: { redemptions: 1, totalDiscount: { $round: ['$totalDiscount', 2] }, totalOrderValue: { $round: ['$totalOrderValue', 2] }, uniqueUsers: { $size: '$users' }, lastRedeemedAt: 1 } }
+]);
+
+// @route   GET /api/admin/coupons
+// @desc    List coupons, newest first. ?active=true|false&q=<code prefix>&page=1&limit=50
+// @access  Private (coupons:manage)
+router.get('/', async (req, res) => {
+    const { active, q } = req.query;
+    const limitNum = Math.min(parseInt(req.query.limit) || 50, 200);
+    const pageNum = parseInt(req.query.page) || 1;
+    const query = {};
+    if (active !== undefined) query.active = active === 'true';
+    if (q) query.code = { $regex: `^${normalizeCode(q).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}` };
+    try {
+        const [coupons, total] = await Promise.all([
+            Coupon.find(query).sort({ createdAt: -1 }).skip((pageNum - 1) * limitNum).limit(limitNum).lean(),
+            Coupon.countDocuments(query)
+        ]);
+        res.json({ coupons, total, page: pageNum, limit: limitNum });
+    } catch (err) {
+        console.error("Error fetching coupons:", err.message, err);
+        res.status(500).send('Server Error');
+    }
+});
+
+// @route   GET /api/admin/coupons/report
+// @desc    Redemption report per coupon: redemptions, unique users, total discount and order value.
+//          ?from=2024-01-01&to=2024-02-01 limits it to redemptions in that period.
+// @access  Private (coupons:manage)
+router.get('/report', async (req, res) => {
+    const { from, to } = req.query;
+    const match = {};
+    if (from || to) {
+        match.createdAt = {};
+        if (from) match.createdAt.$gte = new Date(from);
+        if (to) match.createdAt.$lte = new Date(to);
+        if (Object.values(match.createdAt).some(date => isNaN(date.getTime()))) {
+            return res.status(400).json({ msg: 'Invalid date range' });
+        }
+    }
+    try {
+        const stats = await redemptionStats(match);
+        const coupons = await Coupon.find({ _id: { $in: stats.map(stat => stat._id) } }).select('code type value active endsAt').lean();
+        const couponsById = new Map(coupons.map(coupon => [coupon._id.toString(), coupon]));
+        const rows = stats
+            .map(({ _id, ...stat }) => ({ coupon: couponsById.get(_id.toString()) || { _id }, ...stat }))
+            .sort((a, b) => b.totalDiscount - a.totalDiscount);
+        res.json({
+            from: from || null,
+            to: to || null,
+            totals: {
+                redemptions: rows.reduce((sum, row) => sum + row.redemptions, 0),
+                totalDiscount: Math.round(rows.reduce((sum, row) => sum + row.totalDiscount, 0) * 100) / 100
+            },
+            coupons: rows
+        });
+    } catch (err) {
+        console.error("Error building coupon report:", err.message, err);
+        res.status(500).send('Server Error');
+    }
+});
+
+// @route   GET /api/admin/coupons/:id
+// @desc    One coupon with its redemption totals
+// @access  Private (coupons:manage)
+router.get('/:id', async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(404).json({ msg: 'Coupon not found' });
+    }
+    try {
+        const coupon = await Coupon.findById(req.params.id).lean();
+        if (!coupon) {
+            return res.status(404).json({ msg: 'Coupon not found' });
+        }
+        const [stats] = await redemptionStats({ couponId: coupon._id });
+        res.json({ ...coupon, stats: stats || { redemptions: 0, totalDiscount: 0, totalOrderValue: 0, uniqueUsers: 0 } });
+    } catch (err) {
+        console.error(`Error fetching coupon ${req.params.id}:`, err.message, err);
+        res.status(500).send('Server Error');
+    }
+});
+
+const REDEMPTION_CSV_COLUMNS = [
+    { header: 'Redeemed At', value: redemption => redemption.createdAt },
+    { header: 'Code', value: redemption => redemption.code },
+    { header: 'Order ID', value: redemption => redemption.orderId?._id || redemption.orderId },
+    { header: 'Order Status', value: redemption => redemption.orderId?.status },
+    { header: 'User ID', value: redemption => redemption.userId?._id || redemption.userId },
+    { header: 'User Name', value: redemption => redemption.userId?.fullName },
+    { header: 'Discount', value: redemption => redemption.discount },
+    { header: 'Order Total', value: redemption => redemption.orderTotal },
+    { header: 'Status', value: redemption => redemption.status },
+];
+
+// @route   GET /api/admin/coupons/:id/redemptions
+// @desc    Orders that used the coupon, newest first. ?status=active|released&page=1&limit=50&format=csv
+// @access  Private (coupons:manage)
+router.get('/:id/redemptions', async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(404).json({ msg: 'Coupon not found' });
+    }
+    const query = { couponId: req.params.id };
+    if (req.query.status) query.status = req.query.status;
+    try {
+        if (req.query.format === 'csv') {
+            const coupon = await Coupon.findById(req.params.id).select('code').lean();
+            if (!coupon) {
+                return res.status(404).json({ msg: 'Coupon not found' });
+            }
+            const redemptions = await CouponRedemption.find(query).sort({ createdAt: 1 })
+                .populate('userId', '_id fullName').populate('orderId', '_id status').lean();
+            startCsvDownload(res, `coupon-${coupon.code}-redemptions.csv`);
+            return res.send(csvHeader(REDEMPTION_CSV_COLUMNS) + redemptions.map(redemption => csvRow(REDEMPTION_CSV_COLUMNS, redemption)).join(''));
+        }
+
+        const limitNum = Math.min(parseInt(req.query.limit) || 50, 200);
+        const pageNum = parseInt(req.query.page) || 1;
+        const [redemptions, total] = await Promise.all([
+            CouponRedemption.find(query).sort({ createdAt: -1 }).skip((pageNum - 1) * limitNum).limit(limitNum)
+                .populate('userId', '_id fullName phone').populate('orderId', '_id status totalAmount createdAt'),
+            CouponRedemption.countDocuments(query)
+        ]);
+        res.json({ redemptions, total, page: pageNum, limit: limitNum });
+    } catch (err) {
+        console.error(`Error fetching redemptions of coupon ${req.params.id}:`, err.message, err);
+        res.status(500).send('Server Error');
+    }
+});
+
+// @route   POST /api/admin/coupons
+// @desc    Create a coupon: { code, type: 'percentage'|'fixed', value, maxDiscount, minOrderValue, startsAt, endsAt,
+//          usageLimit, usageLimitPerUser, categories, sellerIds, firstOrderOnly, active, description }
+// @access  Private (coupons:manage)
+router.post('/', async (req, res) => {
+    console.log("POST /api/admin/coupons - Body:", JSON.stringify(req.body, null, 2));
+    const fields = couponFields(req.body);
+    if (!fields.code || !fields.type || fields.value === undefined) {
+        return res.status(400).json({ msg: 'code, type and value are required.' });
+    }
+    const validationError = validateCoupon(fields);
+    if (validationError) {
+        return res.status(400).json({ msg: validationError });
+    }
+    try {
+        const coupon = await Coupon.create({ ...fields, createdBy: req.user.id });
+        console.log(`Coupon ${coupon.code} created by ${req.user.id}`);
+        await recordAudit(req, { action: 'coupon.create', targetType: 'Coupon', targetId: coupon._id, after: coupon });
+        res.status(201).json(coupon);
+    } catch (err) {
+        console.error("Error creating coupon:", err.message, err);
+        handleSaveError(err, res);
+    }
+});
+
+// @route   PUT /api/admin/coupons/:id
+// @desc    Update a coupon (any of the fields accepted on creation). Set active: false to stop it being used.
+// @access  Private (coupons:manage)
+router.put('/:id', async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(404).json({ msg: 'Coupon not found' });
+    }
+    console.log(`PUT /api/admin/coupons/${req.params.id} - Body:`, JSON.stringify(req.body, null, 2));
+    const updateFields = couponFields(req.body);
+    if (Object.keys(updateFields).length === 0) {
+        return res.status(400).json({ msg: 'Nothing to update.' });
+    }
+    try {
+        const couponBefore = await Coupon.findById(req.params.id).lean();
+        if (!couponBefore) {
+            return res.status(404).json({ msg: 'Coupon not found' });
+        }
+        const validationError = validateCoupon({ ...couponBefore, ...updateFields });
+        if (validationError) {
+            return res.status(400).json({ msg: validationError });
+        }
+        if (updateFields.code && updateFields.code !== couponBefore.code && couponBefore.redemptionCount > 0) {
+            return res.status(409).json({ msg: 'The code of a coupon that has been used cannot be changed. Create a new coupon instead.' });
+        }
+        const coupon = await Coupon.findByIdAndUpdate(req.params.id, { $set: updateFields }, { new: true, runValidators: true });
+        await recordAudit(req, { action: 'coupon.update', targetType: 'Coupon', targetId: coupon._id, before: couponBefore, after: coupon });
+        res.json(coupon);
+    } catch (err) {
+        console.error(`Error updating coupon ${req.params.id}:`, err.message, err);
+        handleSaveError(err, res);
+    }
+});
+
+// @route   DELETE /api/admin/coupons/:id
+// @desc    Delete a coupon that has never been redeemed (used coupons are kept for the reports; deactivate them instead)
+// @access  Private (coupons:manage)
+router.delete('/:id', async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(404).json({ msg: 'Coupon not found' });
+    }
+    try {
+        const coupon = await Coupon.findById(req.params.id);
+        if (!coupon) {
+            return res.status(404).json({ msg: 'Coupon not found' });
+        }
+        if (await CouponRedemption.exists({ couponId: coupon._id })) {
+            return res.status(409).json({ msg: 'This coupon has been redeemed. Set it to inactive instead of deleting it.' });
+        }
+        await coupon.deleteOne();
+        console.log(`Coupon ${coupon.code} deleted by ${req.user.id}`);
+        await recordAudit(req, { action: 'coupon.delete', targetType: 'Coupon', targetId: coupon._id, before: coupon });
+        res.json({ msg: 'Coupon deleted' });
+    } catch (err) {
+        console.error(`Error deleting coupon ${req.params.id}:`, err.message, err);
+        res.status(500).send('Server Error');
+    }
+});
+
+module.exports = router;
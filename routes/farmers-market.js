@@ -5,10 +5,11 @@ const multer = require('multer');
 
 const { marketBannerStorage } = require('../config/cloudinary');
 
-// Assuming adminAuth calls authMiddleware internally, OR
-// that authMiddleware populates req.user which adminAuth then checks.
-const adminAuth = require('../middleware/adminAuth');
-const authMiddleware = require('../middleware/auth'); // Keep this import if you're chaining it explicitly
+// authMiddleware populates req.user, which requirePermission then checks.
+const authMiddleware = require('../middleware/auth');
+const requirePermission = require('../middleware/requirePermission');
+const { recordAudit } = require('../services/auditLog');
+const canManageMarkets = requirePermission('markets:manage');
 
 const Market = require('../models/Market');
 
@@ -194,7 +195,7 @@ router.get('/current', async (req, res) => {
 });
 
 // GET /:id route (Admin)
-router.get('/:id', authMiddleware, adminAuth, async (req, res) => { // Ensure authMiddleware runs before adminAuth
+router.get('/:id', authMiddleware, canManageMarkets, async (req, res) => { // Ensure authMiddleware runs before canManageMarkets
      const marketId = req.params.id;
     console.log(`GET /api/farmers-market/${marketId} endpoint hit (Admin).`);
      if (!mongoose.Types.ObjectId.isValid(marketId)) {
@@ -233,15 +234,15 @@ router.get('/:id', authMiddleware, adminAuth, async (req, res) => { // Ensure au
 });
 
 
-// POST / route (Admin, WITH file upload) - Order: Multer -> Auth -> AdminCheck -> handler
+// POST / route (Admin, WITH file upload) - Order: Multer -> Auth -> PermissionCheck -> handler
 router.post(
     '/',
     // 1. Process multipart form data and handle file upload
     uploadMarketBanner.single('bannerImage'),
     // 2. Authenticate the user based on the token (populates req.user)
     authMiddleware,
-    // 3. Authorize the user (check if req.user has the 'admin' role)
-    adminAuth,
+    // 3. Authorize the user (check if req.user has the 'markets:manage' permission)
+    canManageMarkets,
     // 4. Route handler logic
     async (req, res, next) => {
         console.log("POST /api/farmers-market endpoint hit (Admin).");
@@ -294,6 +295,7 @@ router.post(
 
             const savedMarket = await newMarket.save();
             console.log("POST /api/farmers-market: Market created successfully.", savedMarket._id);
+            await recordAudit(req, { action: 'market.create', targetType: 'Market', targetId: savedMarket._id, after: savedMarket });
 
              // Populate and format the saved market for the response
              const populatedSavedMarket = await Market.findById(savedMarket._id)
@@ -319,15 +321,15 @@ router.post(
 });
 
 
-// PUT /:id route (Admin, WITH file upload) - Order: Multer -> Auth -> AdminCheck -> handler
+// PUT /:id route (Admin, WITH file upload) - Order: Multer -> Auth -> PermissionCheck -> handler
 router.put(
     '/:id',
     // 1. Process multipart form data and handle file upload
     uploadMarketBanner.single('bannerImage'),
     // 2. Authenticate the user
     authMiddleware,
-    // 3. Authorize the user
-    adminAuth,
+    // 3. Authorize the user (markets:manage)
+    canManageMarkets,
     // 4. Route handler logic
     async (req, res, next) => {
          const marketId = req.params.id;
@@ -481,6 +483,7 @@ router.put(
 
 
         try {
+            const marketBefore = await Market.findById(marketId).lean();
             const updatedMarket = await Market.findByIdAndUpdate(
                 marketId,
                 { $set: updateFields }, // Use $set to only update provided fields
@@ -494,6 +497,7 @@ router.put(
                 return res.status(404).json({ msg: 'Market not found for update' });
             }
              console.log(`PUT /api/farmers-market/${marketId}: Market updated successfully.`, updatedMarket._id);
+             await recordAudit(req, { action: 'market.update', targetType: 'Market', targetId: marketId, before: marketBefore, after: { ...marketBefore, ...updateFields } });
 
              // Format location for frontend response
              updatedMarket.location = formatLocationForFrontend(updatedMarket.location);
@@ -517,7 +521,7 @@ router.put(
 });
 
 // DELETE route (Admin)
-router.delete('/:id', authMiddleware, adminAuth, async (req, res) => { // Ensure authMiddleware runs before adminAuth
+router.delete('/:id', authMiddleware, canManageMarkets, async (req, res) => { // Ensure authMiddleware runs before canManageMarkets
     const marketId = req.params.id;
     console.log(`DELETE /api/farmers-market/${marketId} endpoint hit (Admin).`);
      if (!mongoose.Types.ObjectId.isValid(marketId)) {
@@ -534,6 +538,7 @@ router.delete('/:id', authMiddleware, adminAuth, async (req, res) => { // Ensure
         }
 
          console.log(`DELETE /api/farmers-market/${marketId} - Market deleted successfully:`, deletedMarket._id);
+         await recordAudit(req, { action: 'market.delete', targetType: 'Market', targetId: marketId, before: deletedMarket });
          // TODO: If deletedMarket had a bannerImageUrl, add logic here to delete the file from Cloudinary
 
         res.json({ msg: 'Market details removed' });
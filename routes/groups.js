@@ -7,6 +7,8 @@ const FarmerGroup = require('../models/FarmerGroup');
 const Product = require('../models/Product');
 const Message = require('../models/Message');
 const authMiddleware = require('../middleware/auth');
+const requirePermission = require('../middleware/requirePermission');
+const { withVisibleSellers } = require('../services/listingVisibility');
 
 // Assuming groupCoverStorage is defined in ../config/cloudinary
 const { groupCoverStorage } = require('../config/cloudinary'); 
@@ -68,20 +70,15 @@ const uploadGroupCover = multer({ storage: groupCoverStorage });
 
 // @route   POST /api/groups
 // @desc    Create a new group
-// @access  Private (Farmer only)
+// @access  Private (groups:create)
 // NOTE: Multer middleware is removed here to accept JSON body for initial creation without cover image.
-router.post('/', authMiddleware, async (req, res) => { 
+router.post('/', [authMiddleware, requirePermission('groups:create')], async (req, res) => { 
     console.log("POST /api/groups received (without Multer)"); // <-- Log incoming POST request
     console.log("Authenticated user:", req.user); // <-- Log authenticated user info
     console.log("Request body:", JSON.stringify(req.body, null, 2)); // <-- Log the request body
 
     const { name, description, type, category, locationName, location } = req.body;
 
-    if (req.user.role !== 'farmer') {
-      console.log("POST /api/groups - Access denied: User is not a farmer."); // Log permission denial
-      return res.status(403).json({ error: 'Access denied.' });
-    }
-
     // Validation
     if (!name || !description || !type) {
         console.log("POST /api/groups - Validation failed: Missing fields (name, description, type)."); // Log validation failure
@@ -250,8 +247,8 @@ router.get('/:id/products', async (req, res) => { // No authMiddleware here base
 
         console.log(`GET /api/groups/${req.params.id}/products - Fetching products for member IDs:`, memberIds);
 
-        const products = await Product.find({ sellerId: { $in: memberIds } })
-            .populate('sellerId', 'fullName')
+        const products = await Product.find(await withVisibleSellers({ sellerId: { $in: memberIds } }))
+            .populate('sellerId', 'fullName sellerVerified')
             .sort({ createdAt: -1 })
             .lean(); // Added .lean()
 
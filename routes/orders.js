@@ -1,16 +1,28 @@
 // backend/routes/orders.js
 
 const express = require('express');
+const mongoose = require('mongoose');
 const Order = require('../models/Order'); // Your Mongoose Order model
+const orderPricing = require('../services/orderPricing');
+const orderStatus = require('../services/orderStatus');
+const { placeOrder, pricingErrorBody, SUB_ORDER_BUYER_POPULATE } = require('../services/checkout');
+const SubOrder = require('../models/SubOrder');
+const Refund = require('../models/Refund');
+const refunds = require('../services/refunds');
 const authMiddleware = require('../middleware/auth');
+const allowApiKey = require('../middleware/apiKeyAuth');
+const requirePermission = require('../middleware/requirePermission');
+const { hasPermission } = require('../services/permissionService');
+const { recordAudit } = require('../services/auditLog');
+const { csvHeader, csvRow, startCsvDownload } = require('../services/csv');
 const router = express.Router();
 
 // @route   GET /api/orders
-// @desc    Get all orders for the currently logged-in user
-// @access  Private
-router.get('/', authMiddleware, async (req, res) => {
+// @desc    Get all orders for the currently logged-in user (one combined order per checkout, with its per-seller sub-orders)
+// @access  Private (or API key with orders:read)
+router.get('/', allowApiKey('orders:read'), async (req, res) => {
     try {
-        const orders = await Order.find({ userId: req.user.id }).sort({ createdAt: -1 });
+        const orders = await Order.find({ userId: req.user.id }).populate(SUB_ORDER_BUYER_POPULATE).sort({ createdAt: -1 });
         res.json(orders);
     } catch (err) {
         console.error("Error fetching orders:", err.message);
@@ -18,76 +30,485 @@ router.get('/', authMiddleware, async (req, res) => {
     }
 });
 
-// @route   POST /api/orders
-// @desc    Create a new order (from checkout)
-// @access  Private
-router.post('/', authMiddleware, async (req, res) => {
-    // Expect items, totalAmount, shippingAddress (as object), AND tx_ref
-    const { items, totalAmount, shippingAddress, tx_ref, status } = req.body; // <-- Added status here to potentially use it
+// --- SELLER INBOX (sub-orders of the logged-in farmer) ---
+// Registered before /:id so 'selling' is not taken for an order ID.
+// The read routes also take an API key with orders:read, so a cooperative's system can read its sales.
+
+// Whose sales the caller may see: their own, plus the group members' for a cooperative's API key
+const sellingSellerIds = (req) => [req.user.id, ...(req.apiKey?.memberIds || [])];
+
+// @route   GET /api/orders/selling
+// @desc    Orders containing the farmer's products, as their own sub-orders, newest first.
+//          Filters: ?status=paid,processing&from=2024-01-01&to=2024-02-01&page=1&limit=20
+// @access  Private (or API key with orders:read)
+router.get('/selling', allowApiKey('orders:read'), async (req, res) => {
+    console.log("GET /api/orders/selling - Query:", req.query);
+    const { status, from, to } = req.query;
+    const limitNum = Math.min(parseInt(req.query.limit) || 20, 100);
+    const pageNum = parseInt(req.query.page) || 1;
+
+    const query = { sellerId: { $in: sellingSellerIds(req) } };
+    if (status) {
+        const statuses = String(status).split(',').map(s => s.trim()).filter(Boolean);
+        const unknown = statuses.filter(s => !orderStatus.ORDER_STATUSES.includes(s));
+        if (unknown.length > 0) {
+            return res.status(400).json({ msg: `Unknown status(es): ${unknown.join(', ')}` });
+        }
+        query.status = { $in: statuses };
+    }
+    if (from || to) {
+        query.createdAt = {};
+        if (from) query.createdAt.$gte = new Date(from);
+        if (to) query.createdAt.$lte = new Date(to);
+        if (Object.values(query.createdAt).some(date => isNaN(date.getTime()))) {
+            return res.status(400).json({ msg: 'Invalid date range' });
+        }
+    }
+
+    try {
+        const [subOrders, total] = await Promise.all([
+            SubOrder.find(query)
+                .populate('buyerId', 'fullName')
+                .populate('orderId', 'shippingAddress.city createdAt')
+                .sort({ createdAt: -1 })
+                .skip((pageNum - 1) * limitNum)
+                .limit(limitNum),
+            SubOrder.countDocuments(query)
+        ]);
+        res.json({ subOrders, total, page: pageNum, limit: limitNum });
+    } catch (err) {
+        console.error("Error fetching seller orders:", err.message, err);
+        res.status(500).send('Server Error');
+    }
+});
+
+// Loads a sub-order of the logged-in seller, or of a cooperative key's members (404 for anyone else's)
+const findSellerSubOrder = async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        res.status(404).json({ msg: 'Invalid sub-order ID format.' });
+        return null;
+    }
+    const subOrder = await SubOrder.findOne({ _id: req.params.id, sellerId: { $in: sellingSellerIds(req) } });
+    if (!subOrder) {
+        res.status(404).json({ msg: 'Order not found' });
+        return null;
+    }
+    return subOrder;
+};
+
+// @route   GET /api/orders/selling/:id
+// @desc    One of the farmer's sub-orders with the buyer's delivery info
+// @access  Private (the seller of that sub-order, or API key with orders:read)
+router.get('/selling/:id', allowApiKey('orders:read'), async (req, res) => {
+    try {
+        const subOrder = await findSellerSubOrder(req, res);
+        if (!subOrder) return;
+        await subOrder.populate([
+            { path: 'buyerId', select: 'fullName phone' },
+            { path: 'orderId', select: 'shippingAddress createdAt paidAt' }
+        ]);
+        res.json(subOrder);
+    } catch (err) {
+        console.error(`Error fetching seller order ${req.params.id}:`, err.message, err);
+        res.status(500).send('Server Error');
+    }
+});
 
-    // Added tx_ref check to the initial validation
-    if (!items || items.length === 0 || !totalAmount || !shippingAddress || !tx_ref) {
-        return res.status(400).json({ error: 'Missing required order information (items, totalAmount, shippingAddress, or tx_ref).' });
+// Builds a seller action that moves the farmer's own sub-order to `to`
+const sellerAction = (to) => async (req, res) => {
+    try {
+        const subOrder = await findSellerSubOrder(req, res);
+        if (!subOrder) return;
+        const { note, reason, carrier, trackingNumber } = req.body || {};
+        if (to === 'rejected' && !reason) {
+            return res.status(400).json({ msg: 'Please give a reason for rejecting the order.' });
+        }
+        const result = await orderStatus.transitionSubOrder(subOrder, to, { type: 'seller', userId: req.user.id }, reason || note, { carrier, trackingNumber });
+        if (result.error) {
+            return res.status(result.status).json({ msg: result.error });
+        }
+        res.json(result.subOrder);
+    } catch (err) {
+        console.error(`Error moving seller order ${req.params.id} to ${to}:`, err.message, err);
+        res.status(500).send('Server Error');
     }
+};
+
+// @route   POST /api/orders/selling/:id/accept   (paid -> processing)
+// @route   POST /api/orders/selling/:id/reject   (paid -> rejected, body: { reason })
+// @route   POST /api/orders/selling/:id/packed   (processing -> packed)
+// @route   POST /api/orders/selling/:id/ship     (processing/packed -> shipped, body: { carrier, trackingNumber })
+// @route   POST /api/orders/selling/:id/deliver  (shipped -> delivered)
+// @desc    Fulfilment actions on the farmer's own part of an order
+// @access  Private (the seller of that sub-order)
+router.post('/selling/:id/accept', authMiddleware, sellerAction('processing'));
+router.post('/selling/:id/reject', authMiddleware, sellerAction('rejected'));
+router.post('/selling/:id/packed', authMiddleware, sellerAction('packed'));
+router.post('/selling/:id/ship', authMiddleware, sellerAction('shipped'));
+router.post('/selling/:id/deliver', authMiddleware, sellerAction('delivered'));
+
+// --- ADMIN ROUTES ---
+// Registered before /:id so 'admin' is not taken for an order ID.
 
-    // Add check for shippingAddress being an object and having required nested fields
-    // This provides a more specific 400 error before Mongoose validation
-    if (typeof shippingAddress !== 'object' || shippingAddress === null ||
-        !shippingAddress.address || !shippingAddress.city || !shippingAddress.postalCode) {
-         console.error("Received invalid shippingAddress structure:", shippingAddress);
-         return res.status(400).json({ error: 'Invalid shippingAddress structure. Requires object with address, city, postalCode.' });
+// Builds the Order filter for the admin list/export from the query string.
+// ?status=paid,shipped&buyer=<userId>&seller=<userId>&from=2024-01-01&to=2024-02-01&minAmount=100&maxAmount=5000&tx_ref=...&provider=cod
+// Returns { query } or { error }.
+const buildAdminOrderQuery = ({ status, buyer, seller, from, to, minAmount, maxAmount, tx_ref, provider }) => {
+    const query = {};
+    if (status) {
+        const statuses = String(status).split(',').map(s => s.trim()).filter(Boolean);
+        const unknown = statuses.filter(s => !orderStatus.ORDER_STATUSES.includes(s) && s !== 'pending');
+        if (unknown.length > 0) return { error: `Unknown status(es): ${unknown.join(', ')}` };
+        query.status = { $in: statuses };
     }
+    if (buyer) {
+        if (!mongoose.Types.ObjectId.isValid(buyer)) return { error: 'Invalid buyer ID format' };
+        query.userId = buyer;
+    }
+    if (seller) {
+        if (!mongoose.Types.ObjectId.isValid(seller)) return { error: 'Invalid seller ID format' };
+        query['items.sellerId'] = seller;
+    }
+    if (from || to) {
+        query.createdAt = {};
+        if (from) query.createdAt.$gte = new Date(from);
+        if (to) query.createdAt.$lte = new Date(to);
+        if (Object.values(query.createdAt).some(date => isNaN(date.getTime()))) return { error: 'Invalid date range' };
+    }
+    if (minAmount !== undefined || maxAmount !== undefined) {
+        query.totalAmount = {};
+        if (minAmount !== undefined) query.totalAmount.$gte = parseFloat(minAmount);
+        if (maxAmount !== undefined) query.totalAmount.$lte = parseFloat(maxAmount);
+        if (Object.values(query.totalAmount).some(isNaN)) return { error: 'Invalid amount range' };
+    }
+    if (tx_ref) query.tx_ref = String(tx_ref);
+    if (provider) query.paymentProvider = String(provider);
+    return { query };
+};
+
+// Columns of the accounting CSV export
+const ORDER_CSV_COLUMNS = [
+    { header: 'Order ID', value: order => order._id },
+    { header: 'Created At', value: order => order.createdAt },
+    { header: 'Status', value: order => order.status },
+    { header: 'Payment Status', value: order => order.paymentStatus },
+    { header: 'Payment Provider', value: order => order.paymentProvider },
+    { header: 'Paid At', value: order => order.paidAt },
+    { header: 'tx_ref', value: order => order.tx_ref },
+    { header: 'Buyer ID', value: order => order.userId?._id || order.userId },
+    { header: 'Buyer Name', value: order => order.userId?.fullName },
+    { header: 'Buyer Phone', value: order => order.userId?.phone },
+    { header: 'Seller IDs', value: order => [...new Set(order.items.map(item => String(item.sellerId || '')).filter(Boolean))].join(' ') },
+    { header: 'Items', value: order => order.items.reduce((sum, item) => sum + item.quantity, 0) },
+    { header: 'Currency', value: order => order.pricing?.currency || orderPricing.CURRENCY },
+    { header: 'Subtotal', value: order => order.pricing?.subtotal },
+    { header: 'Coupon', value: order => order.pricing?.couponCode },
+    { header: 'Discount', value: order => order.pricing?.discount },
+    { header: 'Delivery Fee', value: order => order.pricing?.deliveryFee },
+    { header: 'Service Fee', value: order => order.pricing?.serviceFee },
+    { header: 'Total', value: order => order.totalAmount },
+];
 
-    // Optional: Add a check for the 'status' value itself against known/allowed statuses if you want
-    // const allowedStatuses = ['pending', 'awaiting_payment', 'processing', 'shipped', 'delivered', 'cancelled']; // Match your Mongoose enum
-    // if (status && !allowedStatuses.includes(status)) {
-    //      console.error("Received invalid status value:", status);
-    //      return res.status(400).json({ error: `Invalid status value: ${status}` });
-    // }
+// @route   GET /api/orders/admin
+// @desc    List all orders, newest first. Filters: see buildAdminOrderQuery; &page=1&limit=50
+// @access  Private (orders:view_all)
+router.get('/admin', [authMiddleware, requirePermission('orders:view_all')], async (req, res) => {
+    console.log("GET /api/orders/admin - Query:", req.query);
+    const { query, error } = buildAdminOrderQuery(req.query);
+    if (error) {
+        return res.status(400).json({ msg: error });
+    }
+    const limitNum = Math.min(parseInt(req.query.limit) || 50, 200);
+    const pageNum = parseInt(req.query.page) || 1;
+    try {
+        const [orders, total] = await Promise.all([
+            Order.find(query)
+                .populate('userId', '_id fullName phone')
+                .sort({ createdAt: -1 })
+                .skip((pageNum - 1) * limitNum)
+                .limit(limitNum),
+            Order.countDocuments(query)
+        ]);
+        res.json({ orders, total, page: pageNum, limit: limitNum });
+    } catch (err) {
+        console.error("Error fetching admin order list:", err.message, err);
+        res.status(500).send('Server Error');
+    }
+});
 
+// @route   GET /api/orders/admin/export.csv
+// @desc    CSV export of the orders matching the same filters as the list, for accounting
+// @access  Private (orders:view_all)
+router.get('/admin/export.csv', [authMiddleware, requirePermission('orders:view_all')], async (req, res) => {
+    console.log("GET /api/orders/admin/export.csv - Query:", req.query);
+    const { query, error } = buildAdminOrderQuery(req.query);
+    if (error) {
+        return res.status(400).json({ msg: error });
+    }
+    try {
+        startCsvDownload(res, `orders-${new Date().toISOString().slice(0, 10)}.csv`);
+        res.write(csvHeader(ORDER_CSV_COLUMNS));
+        const cursor = Order.find(query).populate('userId', '_id fullName phone').sort({ createdAt: 1 }).lean().cursor();
+        for await (const order of cursor) {
+            res.write(csvRow(ORDER_CSV_COLUMNS, order));
+        }
+        res.end();
+    } catch (err) {
+        console.error("Error exporting orders:", err.message, err);
+        if (res.headersSent) {
+            return res.end();
+        }
+        res.status(500).send('Server Error');
+    }
+});
 
+// @route   GET /api/orders/admin/:id
+// @desc    Any order, with its sub-orders, status history and internal notes
+// @access  Private (orders:view_all)
+router.get('/admin/:id', [authMiddleware, requirePermission('orders:view_all')], async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ msg: 'Invalid Order ID format.' });
+    }
     try {
-        // Check if an order with this tx_ref already exists (important for idempotency)
-         const existingOrder = await Order.findOne({ tx_ref });
-         if (existingOrder) {
-             console.warn(`Order with tx_ref ${tx_ref} already exists. Returning existing order.`);
-             return res.status(200).json(existingOrder); // Return existing order if found
-         }
+        const order = await Order.findById(req.params.id)
+            .select('+internalNotes')
+            .populate('userId', '_id fullName phone')
+            .populate({ path: 'subOrders', populate: { path: 'sellerId', select: '_id fullName phone' } })
+            .populate('internalNotes.authorId', '_id fullName');
+        if (!order) {
+            return res.status(404).json({ msg: 'Order not found' });
+        }
+        res.json(order);
+    } catch (err) {
+        console.error(`Error fetching admin order ${req.params.id}:`, err.message, err);
+        res.status(500).send('Server Error');
+    }
+});
 
-        const newOrder = new Order({
-            userId: req.user.id,
-            items,
-            totalAmount,
-            shippingAddress, // Should now be the object from the frontend
-            tx_ref, // Save the transaction reference
-            status: status || 'pending', // <-- Use status from frontend if provided, otherwise default to 'pending'. This line's exact behavior depends on your schema's default.
+// A move to 'refunded' asked for by staff: the money is sent back first (services/refunds.js refundAsStaff),
+// and the order or sub-order becomes 'refunded' once the payment provider has taken the refund.
+// Needs orders:refund and a reason. Answers with the refund.
+const sendStaffRefund = async (req, res, order, subOrder, reason) => {
+    if (!(await hasPermission(req.user.role, 'orders:refund'))) {
+        return res.status(403).json({ msg: 'Refunding an order requires the orders:refund permission.' });
+    }
+    const target = subOrder || order;
+    const result = await refunds.refundAsStaff(order, subOrder, req.user.id, reason);
+    if (result.refund) {
+        await recordAudit(req, {
+            action: 'order.refund',
+            targetType: subOrder ? 'SubOrder' : 'Order',
+            targetId: target._id,
+            before: { status: target.status },
+            after: { refundId: result.refund._id, refundStatus: result.refund.status },
+            meta: { orderId: order._id, amount: result.refund.amount, reason }
         });
+    }
+    if (result.error) {
+        return res.status(result.status).json({ msg: result.error, refund: result.refund });
+    }
+    res.status(201).json(result.refund);
+};
+
+// @route   PATCH /api/orders/admin/:id/status
+// @desc    Force an order into any status but 'paid': { status, reason }. Skips the transition rules, so a reason is required.
+//          'refunded' refunds whatever is left of the order through the payment provider (like PATCH /:id/status).
+// @access  Private (orders:manage; 'refunded' also needs orders:refund)
+router.patch('/admin/:id/status', [authMiddleware, requirePermission('orders:manage')], async (req, res) => {
+    const { status, reason } = req.body;
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ msg: 'Invalid Order ID format.' });
+    }
+    if (!status || !reason) {
+        return res.status(400).json({ msg: 'Both status and reason are required.' });
+    }
+    try {
+        const order = await Order.findById(req.params.id);
+        if (!order) {
+            return res.status(404).json({ msg: 'Order not found' });
+        }
+        if (status === 'refunded') {
+            return sendStaffRefund(req, res, order, null, reason);
+        }
+        const before = { status: order.status };
+        const result = await orderStatus.transitionOrder(order, status, { type: 'admin', userId: req.user.id }, `Forced: ${reason}`, { force: true });
+        if (result.error) {
+            return res.status(result.status).json({ msg: result.error });
+        }
+        await recordAudit(req, { action: 'order.force_status', targetType: 'Order', targetId: order._id, before, after: { status }, meta: { reason } });
+        res.json(result.order);
+    } catch (err) {
+        console.error(`Error forcing status of order ${req.params.id}:`, err.message, err);
+        res.status(500).send('Server Error');
+    }
+});
+
+// @route   POST /api/orders/admin/:id/notes
+// @desc    Add an internal (staff-only) note to an order: { text }
+// @access  Private (orders:manage)
+router.post('/admin/:id/notes', [authMiddleware, requirePermission('orders:manage')], async (req, res) => {
+    const text = req.body.text?.trim();
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ msg: 'Invalid Order ID format.' });
+    }
+    if (!text) {
+        return res.status(400).json({ msg: 'Note text is required.' });
+    }
+    try {
+        const order = await Order.findByIdAndUpdate(
+            req.params.id,
+            { $push: { internalNotes: { text, authorId: req.user.id, at: new Date() } } },
+            { new: true }
+        ).select('+internalNotes').populate('internalNotes.authorId', '_id fullName');
+        if (!order) {
+            return res.status(404).json({ msg: 'Order not found' });
+        }
+        await recordAudit(req, { action: 'order.note', targetType: 'Order', targetId: order._id, meta: { text } });
+        res.status(201).json(order.internalNotes);
+    } catch (err) {
+        console.error(`Error adding note to order ${req.params.id}:`, err.message, err);
+        res.status(500).send('Server Error');
+    }
+});
+
+// --- REFUNDS (services/refunds.js) ---
+// Registered before /:id so 'refunds' is not taken for an order ID.
+
+// Loads a refund the caller may see. Sends the error response itself and resolves to null otherwise.
+const loadRefundFor = async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        res.status(404).json({ msg: 'Invalid refund ID format.' });
+        return null;
+    }
+    const refund = await Refund.findById(req.params.id);
+    if (!refund || !(await refunds.canView(refund, req.user))) {
+        res.status(404).json({ msg: 'Refund not found' });
+        return null;
+    }
+    return refund;
+};
+
+// @route   GET /api/orders/refunds
+// @desc    Refunds the caller requested or has to decide, newest first. ?status=requested,failed&page=1&limit=20
+//          Staff with orders:refund see every refund.
+// @access  Private
+router.get('/refunds', authMiddleware, async (req, res) => {
+    const { status } = req.query;
+    const limitNum = Math.min(parseInt(req.query.limit) || 20, 100);
+    const pageNum = parseInt(req.query.page) || 1;
+    try {
+        const query = (await hasPermission(req.user.role, 'orders:refund'))
+            ? {}
+            : { $or: [{ buyerId: req.user.id }, { sellerIds: req.user.id }] };
+        if (status) {
+            query.status = { $in: String(status).split(',').map(s => s.trim()).filter(Boolean) };
+        }
+        const [items, total] = await Promise.all([
+            Refund.find(query).sort({ createdAt: -1 }).skip((pageNum - 1) * limitNum).limit(limitNum),
+            Refund.countDocuments(query)
+        ]);
+        res.json({ refunds: items, total, page: pageNum, limit: limitNum });
+    } catch (err) {
+        console.error("Error fetching refunds:", err.message, err);
+        res.status(500).send('Server Error');
+    }
+});
+
+// @route   GET /api/orders/refunds/:id
+// @desc    One refund request and its outcome
+// @access  Private (its buyer, a seller of its items, or orders:refund)
+router.get('/refunds/:id', authMiddleware, async (req, res) => {
+    try {
+        const refund = await loadRefundFor(req, res);
+        if (!refund) return;
+        res.json(refund);
+    } catch (err) {
+        console.error(`Error fetching refund ${req.params.id}:`, err.message, err);
+        res.status(500).send('Server Error');
+    }
+});
+
+// Approve / reject handler. Rejecting needs a note for the buyer.
+const refundDecision = (approve) => async (req, res) => {
+    const note = req.body?.note?.trim();
+    if (!approve && !note) {
+        return res.status(400).json({ msg: 'A note explaining the rejection is required.' });
+    }
+    try {
+        const refund = await loadRefundFor(req, res);
+        if (!refund) return;
+        const actorType = await refunds.deciderFor(refund, req.user);
+        if (!actorType) {
+            return res.status(403).json({ msg: 'Only the seller of these items or staff with orders:refund can decide this refund.' });
+        }
+        const before = refund.toObject();
+        const result = await refunds.decideRefund(refund, { type: actorType, userId: req.user.id }, approve, note);
+        if (actorType === 'admin' && result.refund) {
+            await recordAudit(req, { action: approve ? 'refund.approve' : 'refund.reject', targetType: 'Refund', targetId: refund._id, before, after: result.refund, meta: { orderId: refund.orderId, amount: refund.amount, note } });
+        }
+        if (result.error) {
+            return res.status(result.status).json({ msg: result.error, refund: result.refund });
+        }
+        res.json(result.refund);
+    } catch (err) {
+        console.error(`Error deciding refund ${req.params.id}:`, err.message, err);
+        res.status(500).send('Server Error');
+    }
+};
+
+// @route   POST /api/orders/refunds/:id/approve  (body: { note }) - also retries a failed refund (staff)
+// @route   POST /api/orders/refunds/:id/reject   (body: { note })
+// @desc    Decide a refund request. Approving sends the money back through the payment provider.
+// @access  Private (the seller of all refunded items, or orders:refund)
+router.post('/refunds/:id/approve', authMiddleware, refundDecision(true));
+router.post('/refunds/:id/reject', authMiddleware, refundDecision(false));
 
-        const savedOrder = await newOrder.save(); // Mongoose validation runs here (including the enum check on `status`)
-        console.log(`Order saved successfully with ID: ${savedOrder._id} and tx_ref: ${savedOrder.tx_ref}`); // Log success
+// Sends the per-item problems found by the pricing service
+const sendPricingErrors = (res, errors) => res.status(400).json(pricingErrorBody(errors));
 
-        res.status(201).json(savedOrder);
+// @route   POST /api/orders/quote
+// @desc    Price a cart without ordering it: { items: [{ productId, variantId, quantity }], couponCode }.
+//          Returns the priced items and the breakdown (subtotal, savings, coupon discount, fees, total) to show before payment.
+// @access  Private
+router.post('/quote', authMiddleware, async (req, res) => {
+    try {
+        const quote = await orderPricing.priceOrder(req.body.items, { couponCode: req.body.couponCode, userId: req.user.id });
+        if (quote.errors) {
+            return sendPricingErrors(res, quote.errors);
+        }
+        res.json({ items: quote.items, pricing: quote.pricing });
+    } catch (err) {
+        console.error("Error pricing order:", err.message, err);
+        res.status(500).json({ error: 'Server Error pricing order.' });
+    }
+});
+
+// @route   POST /api/orders
+// @desc    Create a new order (from checkout). Items are { productId, variantId, quantity } only;
+//          prices, fees and the total are computed here from the current product data. Optional couponCode, and
+//          paymentProvider (one of GET /api/payment/providers; the default provider if omitted). The tx_ref is
+//          generated here; pay with POST /api/payment/initialize-payment { orderId }. An Idempotency-Key header
+//          (or idempotencyKey) makes a retry return the same order.
+// @access  Private
+router.post('/', authMiddleware, async (req, res) => {
+    // Expect items and shippingAddress (as object). Any client-side prices/totals/status/tx_ref are ignored.
+    const { items, shippingAddress, couponCode, paymentProvider } = req.body;
+    const idempotencyKey = req.get('Idempotency-Key') || req.body.idempotencyKey;
+    try {
+        const result = await placeOrder(req.user.id, { items, shippingAddress, couponCode, paymentProvider, idempotencyKey });
+        res.status(result.status).json(result.body);
     } catch (err) {
         console.error("Error creating order:", err.message, err); // More detailed logging
-        // Check for duplicate key error (if tx_ref is unique in schema)
-         if (err.code === 11000) {
-             return res.status(400).json({ error: `Order with transaction reference ${tx_ref} already exists.` });
-         }
-        // If it's a Mongoose validation error, extract details
-         if (err.name === 'ValidationError') {
-             const errors = Object.keys(err.errors).map(key => err.errors[key].message);
-             return res.status(400).json({ error: `Order validation failed: ${errors.join(', ')}` });
-         }
         res.status(500).json({ error: 'Server Error saving order.' }); // Send a generic JSON error response
     }
 });
 
 // @route   GET /api/orders/:id
 // @desc    Get a single order by ID for the currently logged-in user
-// @access  Private
-router.get('/:id', authMiddleware, async (req, res) => {
+// @access  Private (or API key with orders:read)
+router.get('/:id', allowApiKey('orders:read'), async (req, res) => {
     try {
-        const order = await Order.findById(req.params.id);
+        const order = await Order.findById(req.params.id).populate(SUB_ORDER_BUYER_POPULATE);
 
         if (!order) {
             return res.status(404).json({ msg: 'Order not found' });
@@ -108,43 +529,220 @@ router.get('/:id', authMiddleware, async (req, res) => {
     }
 });
 
-// @route   DELETE /api/orders/:id
-// @desc    Delete an order
-// @access  Private
-router.delete('/:id', authMiddleware, async (req, res) => {
+// @route   PATCH /api/orders/:id/status
+// @desc    Move an order to another status: { status, note }.
+//          Allowed transitions and who may make them are defined in services/orderStatus.js.
+//          Staff 'refunded' refunds whatever is left of the order (note = reason) and answers with the refund.
+// @access  Private (buyer, seller of an item in the order, or orders:manage; refunds need orders:refund)
+router.patch('/:id/status', authMiddleware, async (req, res) => {
+    const { status, note } = req.body;
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(404).json({ msg: 'Invalid Order ID format.' });
+    }
+    if (!status) {
+        return res.status(400).json({ msg: 'New status is required.' });
+    }
     try {
-        const orderId = req.params.id;
+        const order = await Order.findById(req.params.id);
+        if (!order) {
+            return res.status(404).json({ msg: 'Order not found' });
+        }
+        const actors = await orderStatus.actorsFor(order, req.user);
+        if (actors.length === 0) {
+            return res.status(404).json({ msg: 'Order not found' }); // Don't reveal other people's orders
+        }
+        if (status === 'refunded' && actors.includes('admin')) {
+            return sendStaffRefund(req, res, order, null, note);
+        }
 
-        // Find the order and ensure it belongs to the authenticated user
-        // Also ensure its status allows deletion (e.g., only pending or awaiting_payment)
-        const order = await Order.findOneAndDelete({
-            _id: orderId,
-            userId: req.user.id,
-            // Status check allows deleting if status is 'pending' OR 'awaiting_payment'
-            status: { $in: ['pending', 'awaiting_payment'] }
-        });
+        const allowed = orderStatus.allowedActors(order.status, status);
+        const actorType = actors.find(actor => allowed.includes(actor));
+        if (!actorType) {
+            return res.status(403).json({ msg: `You cannot move this order from "${order.status}" to "${status}".`, allowedActors: allowed });
+        }
+
+        const result = await orderStatus.transitionOrder(order, status, { type: actorType, userId: req.user.id }, note);
+        if (result.error) {
+            return res.status(result.status).json({ msg: result.error });
+        }
+        if (actorType === 'admin') {
+            await recordAudit(req, { action: 'order.status', targetType: 'Order', targetId: order._id, before: { status: order.status }, after: { status }, meta: { note } });
+        }
+        res.json(result.order);
+    } catch (err) {
+        console.error(`Error changing status of order ${req.params.id}:`, err.message, err);
+        res.status(500).send('Server Error');
+    }
+});
+
+// Loads a sub-order and the actor roles the caller holds for it. Sends the error response itself and
+// resolves to null when the caller may not see it.
+const loadSubOrderFor = async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        res.status(404).json({ msg: 'Invalid sub-order ID format.' });
+        return null;
+    }
+    const subOrder = await SubOrder.findById(req.params.id);
+    const actors = subOrder ? await orderStatus.actorsFor(subOrder, req.user) : [];
+    if (actors.length === 0) {
+        res.status(404).json({ msg: 'Sub-order not found' });
+        return null;
+    }
+    return { subOrder, actors };
+};
+
+// @route   GET /api/orders/sub-orders/:id
+// @desc    One seller's part of an order, with the parent's shipping address
+// @access  Private (the buyer, that seller, or orders:manage)
+router.get('/sub-orders/:id', authMiddleware, async (req, res) => {
+    try {
+        const loaded = await loadSubOrderFor(req, res);
+        if (!loaded) return;
+        await loaded.subOrder.populate([
+            { path: 'orderId', select: 'shippingAddress status createdAt' },
+            { path: 'buyerId', select: 'fullName phone' },
+            { path: 'sellerId', select: 'fullName avatarUrl sellerVerified' }
+        ]);
+        res.json(loaded.subOrder);
+    } catch (err) {
+        console.error(`Error fetching sub-order ${req.params.id}:`, err.message, err);
+        res.status(500).send('Server Error');
+    }
+});
+
+// @route   PATCH /api/orders/sub-orders/:id/status
+// @desc    Move one seller's part of an order: { status, note, carrier, trackingNumber }.
+//          Sellers take their portion through processing -> shipped -> delivered; the parent order follows.
+//          Staff 'refunded' refunds whatever is left of the portion (note = reason) and answers with the refund.
+// @access  Private (that seller, the buyer for delivery confirmation, or orders:manage; refunds need orders:refund)
+router.patch('/sub-orders/:id/status', authMiddleware, async (req, res) => {
+    const { status, note, carrier, trackingNumber } = req.body;
+    if (!status) {
+        return res.status(400).json({ msg: 'New status is required.' });
+    }
+    try {
+        const loaded = await loadSubOrderFor(req, res);
+        if (!loaded) return;
+        const { subOrder, actors } = loaded;
+        if (status === 'refunded' && actors.includes('admin')) {
+            const order = await Order.findById(subOrder.orderId);
+            if (!order) {
+                return res.status(404).json({ msg: 'Order not found' });
+            }
+            return sendStaffRefund(req, res, order, subOrder, note);
+        }
+
+        const allowed = orderStatus.allowedActors(subOrder.status, status);
+        const actorType = actors.find(actor => allowed.includes(actor));
+        if (!actorType) {
+            return res.status(403).json({ msg: `You cannot move this sub-order from "${subOrder.status}" to "${status}".`, allowedActors: allowed });
+        }
+
+        const result = await orderStatus.transitionSubOrder(subOrder, status, { type: actorType, userId: req.user.id }, note, { carrier, trackingNumber });
+        if (result.error) {
+            return res.status(result.status).json({ msg: result.error });
+        }
+        if (actorType === 'admin') {
+            await recordAudit(req, { action: 'sub_order.status', targetType: 'SubOrder', targetId: subOrder._id, before: { status: subOrder.status }, after: { status }, meta: { orderId: subOrder.orderId, note } });
+        }
+        res.json(result.subOrder);
+    } catch (err) {
+        console.error(`Error changing status of sub-order ${req.params.id}:`, err.message, err);
+        res.status(500).send('Server Error');
+    }
+});
 
+// @route   POST /api/orders/:id/cancel
+// @desc    Cancel an unpaid order and release its reserved stock (shortcut for PATCH /:id/status as buyer)
+// @access  Private
+router.post('/:id/cancel', authMiddleware, async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(404).json({ msg: 'Invalid Order ID format.' });
+    }
+    try {
+        const order = await Order.findOne({ _id: req.params.id, userId: req.user.id });
         if (!order) {
-            // If order wasn't found OR didn't belong to the user OR had wrong status
-            // Check specifically if the order exists and belongs to the user but has a status that prevents deletion
-            const foundOrder = await Order.findById(orderId);
-             if (foundOrder && foundOrder.userId.toString() === req.user.id) {
-                  return res.status(403).json({ msg: 'Order status does not allow deletion.' });
-             }
-            return res.status(404).json({ msg: 'Order not found or not authorized to delete.' });
+            return res.status(404).json({ msg: 'Order not found or not authorized to cancel.' });
+        }
+        const result = await orderStatus.transitionOrder(order, 'cancelled', { type: 'buyer', userId: req.user.id }, req.body?.note);
+        if (result.error) {
+            return res.status(result.status === 409 ? 403 : result.status).json({ msg: 'Only unpaid orders can be cancelled. Request a refund instead.' });
         }
+        console.log(`Order cancelled by buyer: ${order._id}`);
+        res.json(result.order);
+    } catch (err) {
+        console.error("Error cancelling order:", err.message, err);
+        res.status(500).send('Server Error');
+    }
+});
 
-        console.log(`Order deleted successfully: ${orderId}`);
-        res.json({ msg: 'Order removed' }); // Send a success message back
+// @route   POST /api/orders/:id/refunds
+// @desc    Ask for (part of) a paid order back: { reason, items: [{ itemId, quantity }] }.
+//          itemId is the _id of the order line; leave out items to request everything not yet refunded.
+// @access  Private (the buyer)
+router.post('/:id/refunds', authMiddleware, async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(404).json({ msg: 'Invalid Order ID format.' });
+    }
+    try {
+        const order = await Order.findOne({ _id: req.params.id, userId: req.user.id });
+        if (!order) {
+            return res.status(404).json({ msg: 'Order not found' });
+        }
+        const result = await refunds.requestRefund(order, req.user.id, { items: req.body.items, reason: req.body.reason });
+        if (result.error) {
+            return res.status(result.status).json({ msg: result.error });
+        }
+        res.status(201).json(result.refund);
     } catch (err) {
-        console.error("Error deleting order:", err.message);
-        // If it's a CastError for the ID format, it's like a 404
-        if (err.name === 'CastError') {
-             return res.status(404).json({ msg: 'Invalid Order ID format.' });
+        console.error(`Error requesting refund for order ${req.params.id}:`, err.message, err);
+        res.status(500).send('Server Error');
+    }
+});
+
+// @route   GET /api/orders/:id/refunds
+// @desc    Refund requests of an order
+// @access  Private (buyer, seller of an item in the order, or orders:manage)
+router.get('/:id/refunds', authMiddleware, async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(404).json({ msg: 'Invalid Order ID format.' });
+    }
+    try {
+        const order = await Order.findById(req.params.id);
+        const actors = order ? await orderStatus.actorsFor(order, req.user) : [];
+        if (actors.length === 0) {
+            return res.status(404).json({ msg: 'Order not found' });
         }
-        res.status(500).send('Server Error'); // Send a generic server error
+        res.json(await Refund.find({ orderId: order._id }).sort({ createdAt: -1 }));
+    } catch (err) {
+        console.error(`Error fetching refunds of order ${req.params.id}:`, err.message, err);
+        res.status(500).send('Server Error');
     }
 });
 
+// @route   DELETE /api/orders/:id
+// @desc    Cancel an unpaid order. Kept for older clients: orders are no longer deleted, this is the same
+//          as POST /:id/cancel and the order (with its payment reference) stays on record.
+// @access  Private
+router.delete('/:id', authMiddleware, async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(404).json({ msg: 'Invalid Order ID format.' });
+    }
+    try {
+        const order = await Order.findOne({ _id: req.params.id, userId: req.user.id });
+        if (!order) {
+            return res.status(404).json({ msg: 'Order not found or not authorized to cancel.' });
+        }
+        const result = await orderStatus.transitionOrder(order, 'cancelled', { type: 'buyer', userId: req.user.id }, 'Cancelled by the buyer');
+        if (result.error) {
+            return res.status(result.status === 409 ? 403 : result.status).json({ msg: 'Only unpaid orders can be cancelled. Request a refund instead.' });
+        }
+        console.log(`Order cancelled by buyer (DELETE): ${order._id}`);
+        res.json({ msg: 'Order cancelled', order: result.order });
+    } catch (err) {
+        console.error("Error cancelling order:", err.message, err);
+        res.status(500).send('Server Error');
+    }
+});
 
 module.exports = router;
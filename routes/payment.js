@@ -1,118 +1,175 @@
 // AgriConnect/backend/routes/payment.js
 const express = require('express');
-const { Chapa } = require('chapa-nodejs'); // Chapa SDK is required here
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const User = require('../models/User');
+const PaymentEvent = require('../models/PaymentEvent');
+const PaymentReconciliation = require('../models/PaymentReconciliation');
+const authMiddleware = require('../middleware/auth');
+const requirePermission = require('../middleware/requirePermission');
+const { settlePayment } = require('../services/paymentSettlement');
+const payments = require('../services/payments');
+const paymentWebhooks = require('../services/paymentWebhooks');
+const paymentReconciliation = require('../services/paymentReconciliation');
+const { recordAudit } = require('../services/auditLog');
+const { hasPermission } = require('../services/permissionService');
 
 const router = express.Router();
 
-// POST /api/payment/initialize-payment
-router.post('/initialize-payment', async (req, res) => {
-    // --- Instantiate Chapa SDK here, only when this route is hit ---
-    if (!process.env.CHAPA_SECRET_KEY) {
-        console.error("CHAPA_ROUTE: CHAPA_SECRET_KEY is not set.");
+// @route   GET /api/payment/providers
+// @desc    Payment providers a buyer can choose at checkout (POST /api/orders { paymentProvider })
+// @access  Public
+router.get('/providers', (req, res) => {
+    res.json(payments.availableProviders());
+});
+
+// Reports an error thrown by a provider call (SDK or HTTP) and answers with it
+const sendProviderError = (res, providerName, action, sdkError) => {
+    console.error(`--- PAYMENT_ROUTE: ${providerName} ${action} Error ---`);
+    console.error("Raw Error Message:", sdkError.message);
+    if (sdkError.response && sdkError.response.data) {
+        console.error(">>> Provider API Response Data:", JSON.stringify(sdkError.response.data, null, 2));
+    }
+    console.error("Error Stack:", sdkError.stack);
+
+    if (sdkError.configuration) {
         return res.status(500).json({ message: "Payment system configuration error." });
     }
-    const chapa = new Chapa({ secretKey: process.env.CHAPA_SECRET_KEY });
-
-    const {
-        amount,
-        currency = 'ETB',
-        email,
-        first_name,
-        last_name,
-        phone_number,
-        tx_ref,
-        // Ensure WEBHOOK_SITE_ID is in your .env
-        callback_url = `https://webhook.site/${process.env.WEBHOOK_SITE_ID || 'YOUR_WEBHOOK_ID_FALLBACK'}`, // Changed fallback text
-        return_url
-    } = req.body;
-
-    console.log("CHAPA_ROUTE: Received /initialize-payment request body:", JSON.stringify(req.body, null, 2));
-    console.log("CHAPA_ROUTE: Using WEBHOOK_SITE_ID:", process.env.WEBHOOK_SITE_ID || "NOT SET (using fallback)");
-
-    if (!amount || !email || !first_name || !last_name || !tx_ref || !return_url) {
-        return res.status(400).json({ message: 'Missing required fields for payment initialization.' });
-    }
-
-    const initializeOptions = {
-        amount: String(amount),
-        currency: currency,
-        email: email,
-        first_name: first_name,
-        last_name: last_name,
-        phone_number: phone_number || '0900000000', // Default if not provided
-        tx_ref: tx_ref,
-        callback_url: callback_url,
-        return_url: return_url,
-    };
+    let clientErrorMessage = `SDK Error processing payment.`;
+    let providerApiError = null;
+    if (sdkError.response && sdkError.response.data) {
+        providerApiError = sdkError.response.data;
+        clientErrorMessage = providerApiError.msg || providerApiError.message || JSON.stringify(providerApiError);
+    } else if (sdkError.message) {
+        clientErrorMessage = (typeof sdkError.message === 'string') ? sdkError.message : JSON.stringify(sdkError.message);
+    }
+    res.status(sdkError.response?.status || sdkError.status || 500).json({ // Used optional chaining for status
+        message: `Failed to ${action.toLowerCase()} payment.`,
+        sdkErrorDetails: clientErrorMessage,
+        chapaApiError: providerApiError,
+        fullSdkErrorForDev: process.env.NODE_ENV === 'development' && sdkError ? JSON.parse(JSON.stringify(sdkError, Object.getOwnPropertyNames(sdkError))) : 'Details hidden in production'
+    });
+};
+
+// Order statuses in which a payment can still be started
+const PAYABLE_STATUSES = ['awaiting_payment', 'pending', 'payment_failed'];
+
+// Chapa only takes local mobile numbers (09xxxxxxxx / 07xxxxxxxx)
+const localPhone = (phone) => {
+    const digits = String(phone || '').replace(/\D/g, '');
+    const local = digits.startsWith('251') ? `0${digits.slice(3)}` : digits;
+    return /^0[79]\d{8}$/.test(local) ? local : undefined;
+};
+
+// @route   POST /api/payment/initialize-payment
+// @desc    Start paying one of your orders: { orderId, return_url, email? }. The amount, currency, tx_ref and
+//          customer details come from the order and your account. A new attempt (e.g. after a failed payment)
+//          gets a new tx_ref. Refused once the order is paid, or for cash on delivery.
+// @access  Private (the buyer of the order)
+router.post('/initialize-payment', authMiddleware, async (req, res) => {
+    const { orderId, return_url, email } = req.body;
+    console.log(`PAYMENT_ROUTE: /initialize-payment for order ${orderId} by user ${req.user.id}`);
+
+    if (!orderId || !return_url) {
+        return res.status(400).json({ message: 'Missing required fields for payment initialization (orderId, return_url).' });
+    }
+    if (!mongoose.Types.ObjectId.isValid(orderId)) {
+        return res.status(404).json({ message: 'Order not found' });
+    }
 
+    let providerName = 'chapa';
     try {
-        console.log("CHAPA_ROUTE: Initializing Chapa payment with options:", JSON.stringify(initializeOptions, null, 2));
-        const response = await chapa.initialize(initializeOptions);
-        console.log("CHAPA_ROUTE: Chapa SDK Initialize Response:", JSON.stringify(response, null, 2));
-        res.json(response);
-    } catch (sdkError) {
-        console.error('--- CHAPA_ROUTE: Chapa SDK Initialize Error ---');
-        // Your detailed error logging (copied from your original code)
-        console.error("RAW sdkError OBJECT:", JSON.stringify(sdkError, Object.getOwnPropertyNames(sdkError), 2));
-        console.error("Type of sdkError:", typeof sdkError);
-        if (sdkError && sdkError.toString) {
-            console.error("sdkError.toString():", sdkError.toString());
+        const order = await Order.findById(orderId);
+        if (!order || order.userId.toString() !== req.user.id) {
+            return res.status(404).json({ message: 'Order not found' });
         }
-        console.error("Error Name:", sdkError.name);
-        console.error("Raw Error Message from SDK:", sdkError.message);
-
-        if (sdkError.response && sdkError.response.data) {
-            console.error(">>> Chapa API Response Data (from sdkError.response.data):", JSON.stringify(sdkError.response.data, null, 2));
+        if (order.paymentStatus !== 'unpaid') {
+            return res.status(409).json({ message: 'This order is already paid.' });
         }
-        if (typeof sdkError.message === 'object' && sdkError.message !== null) {
-            console.error("SDK Error Message (if object):", JSON.stringify(sdkError.message, null, 2));
+        if (!PAYABLE_STATUSES.includes(order.status)) {
+            return res.status(409).json({ message: `An order that is "${order.status}" cannot be paid.` });
         }
-        if (sdkError.isAxiosError && sdkError.response) {
-            console.error("Axios Error - Status:", sdkError.response.status);
-            console.error("Axios Error - Data (from Axios):", JSON.stringify(sdkError.response.data, null, 2));
+        providerName = order.paymentProvider;
+        const provider = payments.getProvider(providerName);
+        if (provider.settlesOnDelivery) {
+            return res.status(409).json({ message: `This order is paid with ${provider.label.toLowerCase()}.` });
         }
-        console.error("Error Stack:", sdkError.stack);
-
-        let clientErrorMessage = 'SDK Error processing payment.';
-        let chapaApiActualError = null;
 
-        if (sdkError.response && sdkError.response.data) {
-            chapaApiActualError = sdkError.response.data;
-            clientErrorMessage = chapaApiActualError.msg || chapaApiActualError.message || JSON.stringify(chapaApiActualError);
-        } else if (sdkError.message) {
-            clientErrorMessage = (typeof sdkError.message === 'string') ? sdkError.message : JSON.stringify(sdkError.message);
+        // Providers refuse a tx_ref they have seen before, so every attempt after the first gets its own
+        // (as do orders placed before tx_refs were generated here)
+        const update = { $set: { paymentInitializedAt: new Date() } };
+        if (order.paymentInitializedAt || !order.tx_ref) {
+            update.$set.tx_ref = payments.generateTxRef();
+            if (order.tx_ref) update.$push = { previousTxRefs: order.tx_ref };
+        }
+        const started = await Order.findOneAndUpdate(
+            { _id: order._id, tx_ref: order.tx_ref || null, paymentStatus: 'unpaid' },
+            update,
+            { new: true }
+        );
+        if (!started) {
+            return res.status(409).json({ message: 'The order was changed meanwhile. Reload it and try again.' });
         }
 
-        res.status(sdkError.response?.status || 500).json({ // Used optional chaining for status
-            message: 'Failed to initialize payment using Chapa SDK.',
-            sdkErrorDetails: clientErrorMessage,
-            chapaApiError: chapaApiActualError,
-            fullSdkErrorForDev: process.env.NODE_ENV === 'development' && sdkError ? JSON.parse(JSON.stringify(sdkError, Object.getOwnPropertyNames(sdkError))) : 'Details hidden in production'
-        });
-    }
-});
+        const user = await User.findById(req.user.id).select('fullName phone');
+        const [first_name, ...lastNames] = (user?.fullName || 'AgriConnect Customer').split(/\s+/);
+        // The provider calls GET /api/payment/callback/:provider when the payment ends (unsigned, so the result
+        // is verified with the provider there); the signed webhook is set up in the provider's dashboard.
+        // The client never sets where.
+        const callback_url = payments.callbackUrl(providerName);
+        const payment = {
+            amount: started.totalAmount,
+            currency: started.pricing?.currency || 'ETB',
+            email: email || undefined,
+            first_name,
+            last_name: lastNames.join(' ') || first_name,
+            phone_number: localPhone(user?.phone),
+            tx_ref: started.tx_ref,
+            callback_url,
+            return_url
+        };
+        console.log(`PAYMENT_ROUTE: Initializing ${providerName} payment:`, JSON.stringify(payment, null, 2));
 
-// GET /api/payment/verify-payment/:tx_ref
-router.get('/verify-payment/:tx_ref', async (req, res) => {
-    // --- Instantiate Chapa SDK here, only when this route is hit ---
-    if (!process.env.CHAPA_SECRET_KEY) {
-        console.error("CHAPA_ROUTE: CHAPA_SECRET_KEY is not set.");
-        return res.status(500).json({ message: "Payment system configuration error." });
+        const result = await provider.initialize(payment);
+        console.log(`PAYMENT_ROUTE: ${providerName} Initialize Response:`, JSON.stringify(result.response, null, 2));
+        res.json({ ...result.response, provider: providerName, checkoutUrl: result.checkoutUrl, orderId: started._id, tx_ref: started.tx_ref });
+    } catch (sdkError) {
+        sendProviderError(res, providerName, 'Initialize', sdkError);
     }
-    const chapa = new Chapa({ secretKey: process.env.CHAPA_SECRET_KEY });
+});
 
+// @route   GET /api/payment/verify-payment/:tx_ref
+// @desc    Ask the order's provider for the result of a payment and settle the order with it
+// @access  Private (the buyer of the order, or payments:manage)
+router.get('/verify-payment/:tx_ref', authMiddleware, async (req, res) => {
     const { tx_ref } = req.params;
+    let providerName = 'chapa';
     try {
-        console.log(`CHAPA_ROUTE: Verifying payment via SDK for tx_ref: ${tx_ref}`);
-        const response = await chapa.verify({ tx_ref });
-        console.log("CHAPA_ROUTE: Chapa SDK Verify Response for", tx_ref, ":", JSON.stringify(response, null, 2));
-        res.json(response);
+        const order = await Order.findOne({ $or: [{ tx_ref }, { previousTxRefs: tx_ref }] });
+        if (!order || (order.userId.toString() !== req.user.id && !(await hasPermission(req.user.role, 'payments:manage')))) {
+            return res.status(404).json({ message: 'Order not found' });
+        }
+        providerName = order.paymentProvider;
+        const provider = payments.getProvider(providerName);
+        console.log(`PAYMENT_ROUTE: Verifying payment with ${providerName} for tx_ref: ${tx_ref}`);
+        const result = await provider.verify(tx_ref, order);
+        console.log(`PAYMENT_ROUTE: ${providerName} Verify Response for`, tx_ref, ":", JSON.stringify(result.response, null, 2));
+
+        // Settle the order the same way the webhook does (a missed webhook is caught up here)
+        if (['success', 'failed'].includes(result.status)) {
+            const { status, amount, currency, reference } = result;
+            const settlement = await settlePayment(tx_ref, { status, amount, currency, reference, source: `${provider.label} verification` });
+            console.log(`PAYMENT_ROUTE: Verification of ${tx_ref} settled: ${settlement.outcome}`);
+        }
+        res.json(result.response);
     } catch (error) {
-        console.error(`--- CHAPA_ROUTE: Chapa SDK Verify Error for ${tx_ref} ---`);
-        // Your detailed error logging (similar to above, simplified here for brevity)
+        console.error(`--- PAYMENT_ROUTE: ${providerName} Verify Error for ${tx_ref} ---`);
         console.error("Verify Error Message:", error.message);
         console.error("Verify Error Stack:", error.stack); // Important for debugging
-        res.status(error.response?.status || 500).json({ // Used optional chaining for status
+        if (error.configuration) {
+            return res.status(500).json({ message: "Payment system configuration error." });
+        }
+        res.status(error.response?.status || error.status || 500).json({ // Used optional chaining for status
             message: 'SDK Verify Failed',
             errorDetails: error.message,
             fullErrorForDev: process.env.NODE_ENV === 'development' && error ? JSON.parse(JSON.stringify(error, Object.getOwnPropertyNames(error))) : 'Details hidden in production'
@@ -120,4 +177,203 @@ router.get('/verify-payment/:tx_ref', async (req, res) => {
     }
 });
 
+// @route   GET /api/payment/callback/:provider?trx_ref=...
+// @desc    The provider's callback_url: it says a payment ended, without a signature, so nothing in it is
+//          trusted. The result is asked from the provider and settled like GET /verify-payment/:tx_ref.
+// @access  Public
+router.get('/callback/:provider', async (req, res) => {
+    const providerName = req.params.provider;
+    const tx_ref = String(req.query.trx_ref || req.query.tx_ref || '');
+    const provider = payments.isEnabled(providerName) && payments.getProvider(providerName);
+    if (!provider || !tx_ref) {
+        return res.status(404).json({ message: 'Unknown payment.' });
+    }
+    try {
+        const order = await Order.findOne({ $or: [{ tx_ref }, { previousTxRefs: tx_ref }] });
+        if (!order || order.paymentProvider !== providerName) {
+            return res.status(404).json({ message: 'Unknown payment.' });
+        }
+        const result = await provider.verify(tx_ref, order);
+        if (['success', 'failed'].includes(result.status)) {
+            const { status, amount, currency, reference } = result;
+            const settlement = await settlePayment(tx_ref, { status, amount, currency, reference, provider: providerName, source: `${provider.label} callback` });
+            console.log(`PAYMENT_ROUTE: Callback for ${tx_ref} settled: ${settlement.outcome}`);
+        }
+        res.json({ received: true });
+    } catch (err) {
+        console.error(`PAYMENT_ROUTE: ${providerName} callback for ${tx_ref} failed:`, err.message, err);
+        res.status(500).json({ message: 'Callback processing failed.' });
+    }
+});
+
+// Answers a provider's webhook call (see services/paymentWebhooks.js)
+const handleWebhook = (providerName) => async (req, res) => {
+    try {
+        const result = await paymentWebhooks.receiveWebhook(providerName, req.rawBody, req.headers);
+        res.status(result.status).json(result.body);
+    } catch (err) {
+        // Not acknowledged, so the provider delivers it again
+        console.error(`PAYMENT_WEBHOOK: Error processing ${providerName} webhook:`, err.message, err);
+        res.status(500).json({ message: 'Webhook processing failed.' });
+    }
+};
+
+// @route   POST /api/payment/webhook
+// @desc    Chapa webhook (set this URL in the Chapa dashboard). Must carry a valid
+//          x-chapa-signature; each event is stored and processed once.
+// @access  Public (signed by Chapa)
+router.post('/webhook', handleWebhook('chapa'));
+
+// @route   POST /api/payment/webhook/:provider
+// @desc    Webhook of any payment provider (e.g. /webhook/fake in development); checked by that provider
+// @access  Public (verified by the provider module)
+router.post('/webhook/:provider', (req, res) => handleWebhook(req.params.provider)(req, res));
+
+// @route   GET /api/payment/events
+// @desc    Stored payment provider events, newest first. ?status=failed&provider=chapa&tx_ref=...&page=1&limit=50
+// @access  Private (payments:manage)
+router.get('/events', [authMiddleware, requirePermission('payments:manage')], async (req, res) => {
+    const { status, provider, tx_ref } = req.query;
+    const query = {};
+    if (status) query.status = status;
+    if (provider) query.provider = String(provider);
+    if (tx_ref) query.tx_ref = String(tx_ref);
+    const limitNum = Math.min(parseInt(req.query.limit) || 50, 200);
+    const pageNum = parseInt(req.query.page) || 1;
+    try {
+        const [events, total] = await Promise.all([
+            PaymentEvent.find(query).select('-rawBody').sort({ createdAt: -1 }).skip((pageNum - 1) * limitNum).limit(limitNum),
+            PaymentEvent.countDocuments(query)
+        ]);
+        res.json({ events, total, page: pageNum, limit: limitNum });
+    } catch (err) {
+        console.error("Error fetching payment events:", err.message, err);
+        res.status(500).send('Server Error');
+    }
+});
+
+// @route   POST /api/payment/events/:id/replay
+// @desc    Process a stored event again (e.g. after fixing the order of an amount mismatch)
+// @access  Private (payments:manage)
+router.post('/events/:id/replay', [authMiddleware, requirePermission('payments:manage')], async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(404).json({ msg: 'Event not found' });
+    }
+    try {
+        const event = await PaymentEvent.findById(req.params.id);
+        if (!event) {
+            return res.status(404).json({ msg: 'Event not found' });
+        }
+        const replayed = await paymentWebhooks.replayEvent(event);
+        await recordAudit(req, {
+            action: 'payment_event.replay',
+            targetType: 'PaymentEvent',
+            targetId: event._id,
+            before: { status: event.status, outcome: event.outcome },
+            after: { status: replayed.status, outcome: replayed.outcome },
+            meta: { tx_ref: event.tx_ref }
+        });
+        res.json(replayed);
+    } catch (err) {
+        console.error(`Error replaying payment event ${req.params.id}:`, err.message, err);
+        res.status(500).send('Server Error');
+    }
+});
+
+// @route   GET /api/payment/reconciliation
+// @desc    Results of the payment reconciliation job, newest first. By default the open discrepancies.
+//          ?status=open|fixed|resolved|all&outcome=amount_mismatch&tx_ref=...&page=1&limit=50
+// @access  Private (payments:manage)
+router.get('/reconciliation', [authMiddleware, requirePermission('payments:manage')], async (req, res) => {
+    const { status = 'open', outcome, tx_ref } = req.query;
+    const query = {};
+    if (status !== 'all') query.status = status;
+    if (outcome) query.outcome = String(outcome);
+    if (tx_ref) query.tx_ref = String(tx_ref);
+    const limitNum = Math.min(parseInt(req.query.limit) || 50, 200);
+    const pageNum = parseInt(req.query.page) || 1;
+    try {
+        const [results, total] = await Promise.all([
+            PaymentReconciliation.find(query)
+                .select('-providerResponse')
+                .populate('orderId', 'status paymentStatus totalAmount userId createdAt')
+                .populate('resolution.by', 'fullName')
+                .sort({ createdAt: -1 })
+                .skip((pageNum - 1) * limitNum)
+                .limit(limitNum),
+            PaymentReconciliation.countDocuments(query)
+        ]);
+        res.json({ results, total, page: pageNum, limit: limitNum });
+    } catch (err) {
+        console.error("Error fetching payment reconciliation results:", err.message, err);
+        res.status(500).send('Server Error');
+    }
+});
+
+// @route   POST /api/payment/reconciliation/run
+// @desc    Run the reconciliation now instead of waiting for the next scheduled run
+// @access  Private (payments:manage)
+router.post('/reconciliation/run', [authMiddleware, requirePermission('payments:manage')], async (req, res) => {
+    try {
+        const summary = await paymentReconciliation.reconcilePayments();
+        if (!summary) {
+            return res.status(409).json({ msg: 'A reconciliation run is already in progress.' });
+        }
+        await recordAudit(req, { action: 'payment_reconciliation.run', targetType: 'PaymentReconciliation', meta: summary });
+        res.json(summary);
+    } catch (err) {
+        console.error("Error running payment reconciliation:", err.message, err);
+        res.status(500).send('Server Error');
+    }
+});
+
+// @route   GET /api/payment/reconciliation/:id
+// @desc    One reconciliation result, with the provider's raw answer
+// @access  Private (payments:manage)
+router.get('/reconciliation/:id', [authMiddleware, requirePermission('payments:manage')], async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(404).json({ msg: 'Reconciliation record not found' });
+    }
+    try {
+        const reconciliation = await PaymentReconciliation.findById(req.params.id)
+            .populate('orderId', 'status paymentStatus totalAmount pricing userId tx_ref previousTxRefs paymentReference createdAt')
+            .populate('resolution.by', 'fullName');
+        if (!reconciliation) {
+            return res.status(404).json({ msg: 'Reconciliation record not found' });
+        }
+        res.json(reconciliation);
+    } catch (err) {
+        console.error(`Error fetching reconciliation record ${req.params.id}:`, err.message, err);
+        res.status(500).send('Server Error');
+    }
+});
+
+// @route   POST /api/payment/reconciliation/:id/resolve
+// @desc    Close an open discrepancy after dealing with it (e.g. refunding a cancelled order's payment): { note }
+// @access  Private (payments:manage)
+router.post('/reconciliation/:id/resolve', [authMiddleware, requirePermission('payments:manage')], async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(404).json({ msg: 'Reconciliation record not found' });
+    }
+    try {
+        const result = await paymentReconciliation.resolveDiscrepancy(req.params.id, req.user.id, req.body.note);
+        if (result.error) {
+            return res.status(result.status).json({ msg: result.error });
+        }
+        const { reconciliation } = result;
+        await recordAudit(req, {
+            action: 'payment_reconciliation.resolve',
+            targetType: 'PaymentReconciliation',
+            targetId: reconciliation._id,
+            before: { status: 'open' },
+            after: { status: 'resolved', note: reconciliation.resolution.note },
+            meta: { orderId: reconciliation.orderId, tx_ref: reconciliation.tx_ref, outcome: reconciliation.outcome }
+        });
+        res.json(reconciliation);
+    } catch (err) {
+        console.error(`Error resolving reconciliation record ${req.params.id}:`, err.message, err);
+        res.status(500).send('Server Error');
+    }
+});
+
 module.exports = router;
@@ -0,0 +1,280 @@
+// backend/routes/payouts.js
+// Seller payouts for the admin panel: balances from the ledger, commission rules and payout batches.
+// Mounted at /api/admin/payouts.
+const express = require('express');
+const mongoose = require('mongoose');
+const authMiddleware = require('../middleware/auth');
+const requirePermission = require('../middleware/requirePermission');
+const User = require('../models/User');
+const CommissionRule = require('../models/CommissionRule');
+const PayoutBatch = require('../models/PayoutBatch');
+const ledger = require('../services/ledger');
+const payouts = require('../services/payouts');
+const { recordAudit } = require('../services/auditLog');
+const { csvHeader, csvRow, startCsvDownload } = require('../services/csv');
+
+const router = express.Router();
+
+// Every route here is admin-only
+router.use(authMiddleware, requirePermission('payouts:manage'));
+
+// Columns of a payout batch export (one row per seller, for the bank / mobile money transfer)
+const PAYOUT_CSV_COLUMNS = [
+    { header: 'Batch ID', value: ({ batch }) => batch._id },
+    { header: 'Seller ID', value: ({ item }) => item.sellerId },
+    { header: 'Seller Name', value: ({ item }) => item.sellerName },
+    { header: 'Phone', value: ({ item }) => item.phone },
+    { header: 'Amount', value: ({ item }) => item.amount },
+    { header: 'Currency', value: ({ batch }) => batch.currency },
+    { header: 'Status', value: ({ batch }) => batch.status },
+    { header: 'Reference', value: ({ batch }) => batch.reference },
+];
+
+// @route   GET /api/admin/payouts/balances
+// @desc    What is owed to each seller (ledger balance, not yet in a payout batch), largest first. ?minAmount=100
+// @access  Private (payouts:manage)
+router.get('/balances', async (req, res) => {
+    const minBalance = req.query.minAmount !== undefined ? parseFloat(req.query.minAmount) : undefined;
+    if (minBalance !== undefined && isNaN(minBalance)) {
+        return res.status(400).json({ msg: 'Invalid minAmount' });
+    }
+    try {
+        const balances = await ledger.sellerBalances({ minBalance });
+        const sellers = await User.find({ _id: { $in: balances.map(row => row.sellerId) } }).select('fullName phone').lean();
+        const sellerById = new Map(sellers.map(seller => [String(seller._id), seller]));
+        res.json(balances.map(row => ({ ...row, seller: sellerById.get(String(row.sellerId)) || null })));
+    } catch (err) {
+        console.error("Error fetching seller balances:", err.message, err);
+        res.status(500).send('Server Error');
+    }
+});
+
+// @route   GET /api/admin/payouts/commission
+// @desc    The default commission percent and the seller / category rules that override it
+// @access  Private (payouts:manage)
+router.get('/commission', async (req, res) => {
+    try {
+        const rules = await CommissionRule.find().populate('sellerId', 'fullName').sort({ scope: 1, category: 1 });
+        res.json({ defaultRatePercent: ledger.DEFAULT_COMMISSION_PERCENT, rules });
+    } catch (err) {
+        console.error("Error fetching commission rules:", err.message, err);
+        res.status(500).send('Server Error');
+    }
+});
+
+// @route   PUT /api/admin/payouts/commission/rules
+// @desc    Set the commission of a seller or a category: { scope: 'seller', sellerId, ratePercent, note }
+//          or { scope: 'category', category, ratePercent, note }. Applies to sales from now on.
+// @access  Private (payouts:manage)
+router.put('/commission/rules', async (req, res) => {
+    const { scope, sellerId, category, ratePercent, note } = req.body;
+    const rate = Number(ratePercent);
+    if (ratePercent === undefined || ratePercent === null || isNaN(rate) || rate < 0 || rate > 100) {
+        return res.status(400).json({ msg: 'ratePercent must be a number from 0 to 100.' });
+    }
+    let filter;
+    if (scope === 'seller') {
+        if (!mongoose.Types.ObjectId.isValid(sellerId)) return res.status(400).json({ msg: 'Invalid seller ID format' });
+        filter = { scope, sellerId };
+    } else if (scope === 'category') {
+        if (!category || !String(category).trim()) return res.status(400).json({ msg: 'category is required.' });
+        filter = { scope, category: String(category).trim().toLowerCase() };
+    } else {
+        return res.status(400).json({ msg: "scope must be 'seller' or 'category'." });
+    }
+    try {
+        const before = await CommissionRule.findOne(filter).lean();
+        const rule = await CommissionRule.findOneAndUpdate(
+            filter,
+            { $set: { ratePercent: rate, note, updatedBy: req.user.id } },
+            { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+        );
+        await recordAudit(req, {
+            action: 'commission_rule.set',
+            targetType: 'CommissionRule',
+            targetId: rule._id,
+            before: before ? { ratePercent: before.ratePercent } : null,
+            after: { ratePercent: rule.ratePercent },
+            meta: { scope, sellerId: rule.sellerId, category: rule.category }
+        });
+        res.json(rule);
+    } catch (err) {
+        console.error("Error saving commission rule:", err.message, err);
+        res.status(500).send('Server Error');
+    }
+});
+
+// @route   DELETE /api/admin/payouts/commission/rules/:id
+// @desc    Remove a commission rule (the seller / category falls back to the next rule or the default)
+// @access  Private (payouts:manage)
+router.delete('/commission/rules/:id', async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(404).json({ msg: 'Commission rule not found' });
+    }
+    try {
+        const rule = await CommissionRule.findByIdAndDelete(req.params.id);
+        if (!rule) {
+            return res.status(404).json({ msg: 'Commission rule not found' });
+        }
+        await recordAudit(req, {
+            action: 'commission_rule.delete',
+            targetType: 'CommissionRule',
+            targetId: rule._id,
+            before: { scope: rule.scope, sellerId: rule.sellerId, category: rule.category, ratePercent: rule.ratePercent }
+        });
+        res.json({ msg: 'Commission rule removed' });
+    } catch (err) {
+        console.error("Error deleting commission rule:", err.message, err);
+        res.status(500).send('Server Error');
+    }
+});
+
+// @route   GET /api/admin/payouts/batches
+// @desc    Payout batches, newest first (without their items). ?status=pending&page=1&limit=50
+// @access  Private (payouts:manage)
+router.get('/batches', async (req, res) => {
+    const query = {};
+    if (req.query.status) query.status = String(req.query.status);
+    const limitNum = Math.min(parseInt(req.query.limit) || 50, 200);
+    const pageNum = parseInt(req.query.page) || 1;
+    try {
+        const [batches, total] = await Promise.all([
+            PayoutBatch.find(query).select('-items').populate('createdBy', 'fullName').sort({ createdAt: -1 }).skip((pageNum - 1) * limitNum).limit(limitNum),
+            PayoutBatch.countDocuments(query)
+        ]);
+        res.json({ batches, total, page: pageNum, limit: limitNum });
+    } catch (err) {
+        console.error("Error fetching payout batches:", err.message, err);
+        res.status(500).send('Server Error');
+    }
+});
+
+// @route   POST /api/admin/payouts/batches
+// @desc    Create a payout batch of every seller's balance: { minAmount, sellerIds?, note }.
+//          The amounts leave the seller balances until the batch is marked paid or cancelled.
+// @access  Private (payouts:manage)
+router.post('/batches', async (req, res) => {
+    const { sellerIds, minAmount, note } = req.body;
+    if (sellerIds !== undefined && (!Array.isArray(sellerIds) || !sellerIds.every(id => mongoose.Types.ObjectId.isValid(id)))) {
+        return res.status(400).json({ msg: 'sellerIds must be an array of user IDs.' });
+    }
+    try {
+        const result = await payouts.createBatch({ sellerIds, minAmount, note }, req.user.id);
+        if (result.error) {
+            return res.status(result.status).json({ msg: result.error });
+        }
+        const { batch } = result;
+        await recordAudit(req, {
+            action: 'payout_batch.create',
+            targetType: 'PayoutBatch',
+            targetId: batch._id,
+            after: { status: batch.status, total: batch.total, sellers: batch.items.length },
+            meta: { minAmount, sellerIds }
+        });
+        res.status(201).json(batch);
+    } catch (err) {
+        console.error("Error creating payout batch:", err.message, err);
+        res.status(500).send('Server Error');
+    }
+});
+
+// @route   GET /api/admin/payouts/batches/:id
+// @desc    One payout batch with its items
+// @access  Private (payouts:manage)
+router.get('/batches/:id', async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(404).json({ msg: 'Payout batch not found' });
+    }
+    try {
+        const batch = await PayoutBatch.findById(req.params.id).populate('createdBy paidBy cancelledBy', 'fullName');
+        if (!batch) {
+            return res.status(404).json({ msg: 'Payout batch not found' });
+        }
+        res.json(batch);
+    } catch (err) {
+        console.error(`Error fetching payout batch ${req.params.id}:`, err.message, err);
+        res.status(500).send('Server Error');
+    }
+});
+
+// @route   GET /api/admin/payouts/batches/:id/export.csv
+// @desc    CSV of a batch (one row per seller) for making the transfers
+// @access  Private (payouts:manage)
+router.get('/batches/:id/export.csv', async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(404).json({ msg: 'Payout batch not found' });
+    }
+    try {
+        const batch = await PayoutBatch.findById(req.params.id).lean();
+        if (!batch) {
+            return res.status(404).json({ msg: 'Payout batch not found' });
+        }
+        startCsvDownload(res, `payout-batch-${batch._id}.csv`);
+        res.write(csvHeader(PAYOUT_CSV_COLUMNS));
+        for (const item of batch.items) {
+            res.write(csvRow(PAYOUT_CSV_COLUMNS, { batch, item }));
+        }
+        res.end();
+    } catch (err) {
+        console.error(`Error exporting payout batch ${req.params.id}:`, err.message, err);
+        res.status(500).send('Server Error');
+    }
+});
+
+// @route   POST /api/admin/payouts/batches/:id/mark-paid
+// @desc    Record that the batch was paid out: { reference, note }
+// @access  Private (payouts:manage)
+router.post('/batches/:id/mark-paid', async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(404).json({ msg: 'Payout batch not found' });
+    }
+    try {
+        const result = await payouts.markBatchPaid(req.params.id, req.body, req.user.id);
+        if (result.error) {
+            return res.status(result.status).json({ msg: result.error });
+        }
+        const { batch } = result;
+        await recordAudit(req, {
+            action: 'payout_batch.paid',
+            targetType: 'PayoutBatch',
+            targetId: batch._id,
+            before: { status: 'pending' },
+            after: { status: batch.status, reference: batch.reference },
+            meta: { total: batch.total }
+        });
+        res.json(batch);
+    } catch (err) {
+        console.error(`Error marking payout batch ${req.params.id} paid:`, err.message, err);
+        res.status(500).send('Server Error');
+    }
+});
+
+// @route   POST /api/admin/payouts/batches/:id/cancel
+// @desc    Cancel a pending batch; its amounts go back to the seller balances
+// @access  Private (payouts:manage)
+router.post('/batches/:id/cancel', async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(404).json({ msg: 'Payout batch not found' });
+    }
+    try {
+        const result = await payouts.cancelBatch(req.params.id, req.user.id);
+        if (result.error) {
+            return res.status(result.status).json({ msg: result.error });
+        }
+        const { batch } = result;
+        await recordAudit(req, {
+            action: 'payout_batch.cancel',
+            targetType: 'PayoutBatch',
+            targetId: batch._id,
+            before: { status: 'pending' },
+            after: { status: batch.status },
+            meta: { total: batch.total }
+        });
+        res.json(batch);
+    } catch (err) {
+        console.error(`Error cancelling payout batch ${req.params.id}:`, err.message, err);
+        res.status(500).send('Server Error');
+    }
+});
+
+module.exports = router;
@@ -5,12 +5,24 @@ const path = require('path');
 // Assuming productStorage is defined in ../config/cloudinary
 const { productStorage } = require('../config/cloudinary'); 
 const authMiddleware = require('../middleware/auth');
-const adminAuth = require('../middleware/adminAuth'); // Import admin auth
+const requirePermission = require('../middleware/requirePermission');
+const { hasPermission } = require('../services/permissionService');
+const requireVerifiedPhone = require('../middleware/requireVerifiedPhone');
+const allowApiKey = require('../middleware/apiKeyAuth');
 const Product = require('../models/Product');
+const { withVisibleSellers, isSellerVisible } = require('../services/listingVisibility');
+const { recordAudit } = require('../services/auditLog');
+const { parseVariants, summarizeVariants, findSkuConflict } = require('../services/productVariants');
 const mongoose = require('mongoose'); // Import mongoose for ObjectId validation
 
 const router = express.Router();
 
+// Seller fields shown with a product, including the verified badge
+const SELLER_PUBLIC_FIELDS = 'fullName avatarUrl sellerVerified';
+
+// Seller IDs the caller may manage listings for: themselves, plus the group's members for a cooperative API key
+const manageableSellerIds = (req) => [req.user.id, ...(req.apiKey?.memberIds || [])];
+
 // Multer setup for Cloudinary (used in POST/PUT route)
 const uploadCloudinary = multer({ storage: productStorage });
 
@@ -37,8 +49,8 @@ const CATEGORIES_MAP = {
 router.get('/featured', async (req, res) => {
     console.log("--- HIT: GET /api/products/featured ---");
     try {
-        const products = await Product.find({ isFeatured: true })
-            .populate('sellerId', 'fullName avatarUrl')
+        const products = await Product.find(await withVisibleSellers({ isFeatured: true }))
+            .populate('sellerId', SELLER_PUBLIC_FIELDS)
             .limit(4);
         res.json(products);
     } catch (err) {
@@ -53,8 +65,8 @@ router.get('/featured', async (req, res) => {
 router.get('/new-arrivals', async (req, res) => {
     console.log("--- HIT: GET /api/products/new-arrivals ---");
     try {
-        const products = await Product.find({})
-            .populate('sellerId', 'fullName avatarUrl')
+        const products = await Product.find(await withVisibleSellers({}))
+            .populate('sellerId', SELLER_PUBLIC_FIELDS)
             .sort({ createdAt: -1 })
             .limit(10);
         res.json(products);
@@ -72,11 +84,11 @@ router.get('/deals', async (req, res) => {
     console.log("--- HIT: GET /api/products/deals ---");
     try {
         // Find products where originalPrice exists, is greater than 0, AND price is strictly less than originalPrice
-        const products = await Product.find({
+        const products = await Product.find(await withVisibleSellers({
             originalPrice: { $exists: true, $ne: null, $gt: 0 },
             $expr: { $lt: ["$price", "$originalPrice"] } // FIX: Use $lt (less than) for deals
-        })
-        .populate('sellerId', 'fullName avatarUrl')
+        }))
+        .populate('sellerId', SELLER_PUBLIC_FIELDS)
         .sort({ createdAt: -1 }); // Optionally sort by creation date or another relevant field for sales
         // Removed the .limit(10) here to fetch all matching deals, you can add it back or use a query parameter if needed.
 
@@ -100,12 +112,12 @@ router.get('/weekly-deals', async (req, res) => {
         const dateAgo = new Date();
         dateAgo.setDate(dateAgo.getDate() - days);
 
-        const products = await Product.find({
+        const products = await Product.find(await withVisibleSellers({
             createdAt: { $gte: dateAgo },
             originalPrice: { $exists: true, $ne: null, $gt: 0 },
             $expr: { $lt: ["$price", "$originalPrice"] } // Correct condition for deals
-        })
-        .populate('sellerId', 'fullName avatarUrl')
+        }))
+        .populate('sellerId', SELLER_PUBLIC_FIELDS)
         .sort({ createdAt: -1 });
 
         res.json(products);
@@ -144,8 +156,8 @@ router.get('/category/:categoryName', async (req, res) => {
         }
 
 
-        const products = await Product.find(queryCondition)
-            .populate('sellerId', 'fullName avatarUrl')
+        const products = await Product.find(await withVisibleSellers(queryCondition))
+            .populate('sellerId', SELLER_PUBLIC_FIELDS)
             .sort({ createdAt: -1 }); // Optional: sort results
 
         res.json(products);
@@ -204,7 +216,7 @@ router.get('/', async (req, res) => {
         }
         // --- END FIX ---
 
-        let query = Product.find(findQuery); // Start building the query with filters
+        let query = Product.find(await withVisibleSellers(findQuery)); // Start building the query with filters (hides unverified sellers if that policy is on)
 
         // Apply sorting
         // If search is active, sort by text score first, then by creation date
@@ -222,7 +234,7 @@ router.get('/', async (req, res) => {
 
 
         // Populate seller info
-        query = query.populate('sellerId', 'fullName avatarUrl');
+        query = query.populate('sellerId', SELLER_PUBLIC_FIELDS);
 
         // Execute the query
         const products = await query.exec();
@@ -247,12 +259,12 @@ router.get('/', async (req, res) => {
 
 // @route   GET /api/products/my-products
 // @desc    Get all products for the currently logged-in user (Farmer only)
-// @access  Private (Farmer)
-router.get('/my-products', authMiddleware, async (req, res) => {
+// @access  Private (Farmer, or API key with products:read)
+router.get('/my-products', allowApiKey('products:read'), async (req, res) => {
     console.log("--- HIT: GET /api/products/my-products ---");
     try {
-        const products = await Product.find({ sellerId: req.user.id })
-            .populate('sellerId', 'fullName avatarUrl')
+        const products = await Product.find({ sellerId: { $in: manageableSellerIds(req) } })
+            .populate('sellerId', SELLER_PUBLIC_FIELDS)
             .sort({ createdAt: -1 });
         res.json(products);
     } catch (err) {
@@ -274,12 +286,16 @@ router.get('/:id', async (req, res) => {
              return res.status(400).json({ msg: 'Invalid product ID format' });
         }
         const product = await Product.findById(req.params.id)
-            .populate('sellerId', 'fullName avatarUrl');
+            .populate('sellerId', SELLER_PUBLIC_FIELDS);
              // .lean(); // Can use lean if no Mongoose methods are needed after fetching
 
         if (!product) {
             return res.status(404).json({ msg: 'Product not found' });
         }
+        // Hidden by the unverified-seller policy (the seller can still see it via /my-products)
+        if (product.sellerId && !(await isSellerVisible(product.sellerId._id))) {
+            return res.status(404).json({ msg: 'Product not found' });
+        }
         res.json(product);
     } catch (err) {
         console.error("Error fetching product by ID:", err.message);
@@ -292,30 +308,47 @@ router.get('/:id', async (req, res) => {
 
 
 // @route   POST /api/products/
-// @desc    Add a new product (Using Cloudinary)
-// @access  Private (Farmer only)
-router.post('/', [authMiddleware, uploadCloudinary.array('images', 5)], async (req, res) => {
+// @desc    Add a new product (Using Cloudinary). Optional `variants`: array (or JSON string) of
+//          { name, sku, unit, price, originalPrice, stockQuantity }; price/unit then come from the variants.
+// @access  Private (products:create, verified phone; or API key with products:write)
+router.post('/', [allowApiKey('products:write'), requirePermission('products:create'), requireVerifiedPhone, uploadCloudinary.array('images', 5)], async (req, res) => {
   console.log("--- HIT: POST /api/products ---");
   const {
-    name, description, price, unit, category, originalPrice, stockQuantity, externalLink, city, area
+    name, description, price, unit, category, originalPrice, stockQuantity, externalLink, city, area, variants
   } = req.body;
+  const hasVariants = variants !== undefined && variants !== null && variants !== '';
 
-  if (req.user.role !== 'farmer') {
-    return res.status(403).json({ msg: 'Access denied. Only farmers can add products.' });
-  }
-
-   if (!name || price === undefined || !unit || !category) { // Check for price existence specifically
+   if (!name || !category || (!hasVariants && (price === undefined || !unit))) { // Check for price existence specifically
       return res.status(400).json({ msg: 'Required fields (name, price, unit, category) are missing.' });
    }
 
+   // Cooperative API keys may list on behalf of a group member by passing sellerId
+   const sellerId = req.body.sellerId || req.user.id;
+   if (!manageableSellerIds(req).includes(String(sellerId))) {
+      return res.status(403).json({ msg: 'Access denied. You cannot list products for this seller.' });
+   }
+
   try {
     let imageUrls = [];
     if (req.files && req.files.length > 0) {
       imageUrls = req.files.map(file => file.path); // Cloudinary URL is in file.path
     }
 
+    let parsedVariants = [];
+    if (hasVariants) {
+        const parsed = parseVariants(variants);
+        if (parsed.error) {
+            return res.status(400).json({ msg: parsed.error });
+        }
+        parsedVariants = parsed.variants;
+        const conflictingSku = await findSkuConflict(sellerId, parsedVariants);
+        if (conflictingSku) {
+            return res.status(400).json({ msg: `SKU "${conflictingSku}" is already used by another of your products.` });
+        }
+    }
+
     const parsedPrice = parseFloat(price);
-    if (isNaN(parsedPrice) || parsedPrice < 0) {
+    if (!hasVariants && (isNaN(parsedPrice) || parsedPrice < 0)) {
          return res.status(400).json({ msg: 'Invalid price.' });
     }
      const parsedOriginalPrice = originalPrice ? parseFloat(originalPrice) : undefined; // Use undefined for optional
@@ -343,12 +376,14 @@ router.post('/', [authMiddleware, uploadCloudinary.array('images', 5)], async (r
       price: parsedPrice,
       unit,
       category, // This should be the sub-category string
-      sellerId: req.user.id,
+      sellerId,
       imageUrls, // Array of Cloudinary URLs
       originalPrice: parsedOriginalPrice,
       stockQuantity: parsedStockQuantity,
       externalLink: externalLink || null,
-      location: productLocation // Use the optional location object
+      location: productLocation, // Use the optional location object
+      variants: parsedVariants,
+      ...summarizeVariants(parsedVariants) // price/originalPrice/unit/stockQuantity come from the variants when there are any
     });
 
     // await newProduct.validate(); // Mongoose save already runs validation
@@ -369,15 +404,16 @@ router.post('/', [authMiddleware, uploadCloudinary.array('images', 5)], async (r
 
 
 // @route   PUT /api/products/:id
-// @desc    Update a product (Only by the seller or admin)
+// @desc    Update a product (Only by the seller or staff with products:edit_any)
 // @access  Private
-router.put('/:id', [authMiddleware, uploadCloudinary.array('images', 5)], async (req, res) => {
+router.put('/:id', [allowApiKey('products:write'), uploadCloudinary.array('images', 5)], async (req, res) => {
     const productId = req.params.id;
     // Include all possible updatable fields
     const {
         name, description, price, unit, category, originalPrice, stockQuantity, externalLink, city, area,
+        variants, // Full replacement list; send a variant's _id to keep it (orders reference variant IDs)
         existingImageUrls, // Expect array of URLs to keep
-        // Add admin-only fields if needed here, protected by adminAuth middleware
+        // Add admin-only fields if needed here, protected by requirePermission middleware
         // isFeatured, // Example
     } = req.body;
 
@@ -393,8 +429,11 @@ router.put('/:id', [authMiddleware, uploadCloudinary.array('images', 5)], async
             return res.status(404).json({ msg: 'Product not found' });
         }
 
-        // Check authorization: seller or admin
-        if (product.sellerId.toString() !== req.user.id.toString() && req.user.role !== 'admin') {
+        // Staff editing someone else's listing is a privileged action and gets audited below
+        const actingAsStaff = !manageableSellerIds(req).includes(product.sellerId.toString());
+
+        // Check authorization: seller, or staff allowed to edit any product
+        if (actingAsStaff && (req.apiKey || !(await hasPermission(req.user.role, 'products:edit_any')))) { // API keys never get staff powers
              // If unauthorized, clean up any newly uploaded files before returning
              if (req.files && req.files.length > 0) {
                   // TODO: Implement Cloudinary cleanup for uploaded images req.files here
@@ -407,6 +446,23 @@ router.put('/:id', [authMiddleware, uploadCloudinary.array('images', 5)], async
         const updateFields = {};
         const unsetFields = {}; // To handle explicitly setting fields to null/undefined or removing
 
+        // Variants: when sent, they replace the current list and drive price/unit/stock
+        let variantSummary = null;
+        if (Object.prototype.hasOwnProperty.call(req.body, 'variants')) {
+            const parsed = variants === null || variants === '' ? { variants: [] } : parseVariants(variants);
+            if (parsed.error) {
+                return res.status(400).json({ msg: parsed.error });
+            }
+            const conflictingSku = await findSkuConflict(product.sellerId, parsed.variants, product._id);
+            if (conflictingSku) {
+                return res.status(400).json({ msg: `SKU "${conflictingSku}" is already used by another of your products.` });
+            }
+            updateFields.variants = parsed.variants;
+            variantSummary = summarizeVariants(parsed.variants);
+        } else if (product.variants.length > 0 && ['price', 'originalPrice', 'unit', 'stockQuantity'].some(field => Object.prototype.hasOwnProperty.call(req.body, field))) {
+            return res.status(400).json({ msg: 'This product has variants. Update price, unit and stock on its variants instead.' });
+        }
+
         // Process standard fields
         if (Object.prototype.hasOwnProperty.call(req.body, 'name')) updateFields.name = name;
         if (Object.prototype.hasOwnProperty.call(req.body, 'description')) updateFields.description = description; // Allow setting description to empty string
@@ -527,7 +583,7 @@ router.put('/:id', [authMiddleware, uploadCloudinary.array('images', 5)], async
          }
 
 
-        // --- Admin-specific field updates (Requires adminAuth middleware already applied) ---
+        // --- Admin-specific field updates ---
         // Example: Allow admin to toggle 'isFeatured'
         // Check if the user is an admin AND the 'isFeatured' field was provided in the body
         // if (req.user.role === 'admin' && Object.prototype.hasOwnProperty.call(req.body, 'isFeatured')) {
@@ -535,6 +591,12 @@ router.put('/:id', [authMiddleware, uploadCloudinary.array('images', 5)], async
         // }
 
 
+        // Derived fields from the variants win over anything sent directly
+        if (variantSummary && Object.keys(variantSummary).length > 0) {
+            Object.assign(updateFields, variantSummary);
+            ['price', 'originalPrice', 'unit', 'stockQuantity'].forEach(field => delete unsetFields[field]);
+        }
+
         // Perform the update using $set for fields to set/update and $unset for fields to remove
         // Combine $set and $unset operations
         const updateOperation = { $set: updateFields };
@@ -548,12 +610,16 @@ router.put('/:id', [authMiddleware, uploadCloudinary.array('images', 5)], async
             productId,
             updateOperation, // Pass the combined update object
             { new: true, runValidators: true } // Return the updated document and run schema validators
-        ).populate('sellerId', 'fullName avatarUrl'); // Re-populate seller info for response
+        ).populate('sellerId', SELLER_PUBLIC_FIELDS); // Re-populate seller info for response
 
         if (!updatedProduct) {
             return res.status(404).json({ msg: 'Product not found after update attempt' });
         }
 
+        if (actingAsStaff) {
+            await recordAudit(req, { action: 'product.update', targetType: 'Product', targetId: productId, before: product, after: await Product.findById(productId).lean() });
+        }
+
         res.json(updatedProduct); // Return the updated product
 
     } catch (err) {
@@ -577,9 +643,9 @@ router.put('/:id', [authMiddleware, uploadCloudinary.array('images', 5)], async
 
 
 // @route   DELETE /api/products/:id
-// @desc    Delete a product (Only by the seller or admin)
+// @desc    Delete a product (Only by the seller or staff with products:delete_any)
 // @access  Private
-router.delete('/:id', authMiddleware, async (req, res) => {
+router.delete('/:id', allowApiKey('products:write'), async (req, res) => {
     const productId = req.params.id;
 
     if (!mongoose.Types.ObjectId.isValid(productId)) {
@@ -594,8 +660,8 @@ router.delete('/:id', authMiddleware, async (req, res) => {
             return res.status(404).json({ msg: 'Product not found' });
         }
 
-        // Check if the logged-in user is the seller or an admin
-        if (product.sellerId.toString() !== req.user.id.toString() && req.user.role !== 'admin') {
+        // Check if the logged-in user is the seller, or staff allowed to delete any product
+        if (!manageableSellerIds(req).includes(product.sellerId.toString()) && (req.apiKey || !(await hasPermission(req.user.role, 'products:delete_any')))) { // API keys never get staff powers
              return res.status(403).json({ msg: 'Access denied. You can only delete your own products.' });
         }
 
@@ -605,6 +671,10 @@ router.delete('/:id', authMiddleware, async (req, res) => {
 
         await Product.findByIdAndDelete(productId); // Use findByIdAndDelete for direct deletion
 
+        if (!manageableSellerIds(req).includes(product.sellerId.toString())) {
+            await recordAudit(req, { action: 'product.delete', targetType: 'Product', targetId: productId, before: product });
+        }
+
 
         res.json({ msg: 'Product removed successfully' }); // More user-friendly message
 
@@ -621,13 +691,13 @@ router.delete('/:id', authMiddleware, async (req, res) => {
 
 // @route   GET /api/products/admin/all
 // @desc    Get ALL products (Admin only)
-// @access  Private (Admin)
-router.get('/admin/all', [authMiddleware, adminAuth], async (req, res) => {
+// @access  Private (products:moderate)
+router.get('/admin/all', [authMiddleware, requirePermission('products:moderate')], async (req, res) => {
      console.log("--- HIT: GET /api/products/admin/all ---");
      try {
         // Get all products, populate seller info
         const products = await Product.find()
-            .populate('sellerId', 'fullName phone email') // Populate necessary seller fields
+            .populate('sellerId', 'fullName phone email sellerVerified') // Populate necessary seller fields
             .sort({ createdAt: -1 })
             .lean(); // Use lean() for performance
 
@@ -641,8 +711,8 @@ router.get('/admin/all', [authMiddleware, adminAuth], async (req, res) => {
 
 // @route   DELETE /api/products/admin/:id
 // @desc    Delete a specific product by ID (Admin only)
-// @access  Private (Admin)
-router.delete('/admin/:id', [authMiddleware, adminAuth], async (req, res) => {
+// @access  Private (products:moderate)
+router.delete('/admin/:id', [authMiddleware, requirePermission('products:moderate')], async (req, res) => {
     const productId = req.params.id;
     console.log(`--- HIT: DELETE /api/products/admin/${productId} ---`);
 
@@ -668,6 +738,7 @@ router.delete('/admin/:id', [authMiddleware, adminAuth], async (req, res) => {
         }
 
          console.log(`Admin deleted product: ${productId}`);
+        await recordAudit(req, { action: 'product.delete', targetType: 'Product', targetId: productId, before: product });
         res.json({ msg: 'Product removed by admin successfully' });
 
     } catch (err) {
@@ -681,8 +752,8 @@ router.delete('/admin/:id', [authMiddleware, adminAuth], async (req, res) => {
 
 // @route   PUT /api/products/admin/:id/featured
 // @desc    Toggle isFeatured status for a product (Admin only)
-// @access  Private (Admin)
-router.put('/admin/:id/featured', [authMiddleware, adminAuth], async (req, res) => {
+// @access  Private (products:moderate)
+router.put('/admin/:id/featured', [authMiddleware, requirePermission('products:moderate')], async (req, res) => {
     const productId = req.params.id;
 
     console.log(`--- HIT: PUT /api/products/admin/${productId}/featured ---`);
@@ -703,6 +774,14 @@ router.put('/admin/:id/featured', [authMiddleware, adminAuth], async (req, res)
         product.isFeatured = !product.isFeatured;
         await product.save();
 
+        await recordAudit(req, {
+            action: 'product.feature',
+            targetType: 'Product',
+            targetId: productId,
+            before: { isFeatured: !product.isFeatured },
+            after: { isFeatured: product.isFeatured }
+        });
+
         console.log(`Product ${productId} featured status toggled to: ${product.isFeatured}`);
 
         // Return updated status and potentially other fields needed by admin UI
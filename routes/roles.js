@@ -0,0 +1,173 @@
+// backend/routes/roles.js
+// Role management for the admin panel. Mounted at /api/admin/roles.
+const express = require('express');
+const authMiddleware = require('../middleware/auth');
+const requirePermission = require('../middleware/requirePermission');
+const Role = require('../models/Role');
+const User = require('../models/User');
+const permissionService = require('../services/permissionService');
+const { recordAudit } = require('../services/auditLog');
+const { PERMISSIONS, ADMIN_ROLE } = require('../config/permissions');
+
+const router = express.Router();
+
+// Every route here is admin-only
+router.use(authMiddleware, requirePermission('roles:manage'));
+
+// Validates a `permissions` body field. Returns an error message or null.
+const validatePermissions = (permissions) => {
+    if (!Array.isArray(permissions)) {
+        return 'Permissions must be an array of permission names.';
+    }
+    const unknown = permissionService.unknownPermissions(permissions);
+    if (unknown.length > 0) {
+        return `Unknown permission(s): ${unknown.join(', ')}`;
+    }
+    return null;
+};
+
+// @route   GET /api/admin/roles/permissions
+// @desc    List every permission that can be granted, with a description
+// @access  Private (roles:manage)
+router.get('/permissions', (req, res) => {
+    res.json(Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description })));
+});
+
+// @route   GET /api/admin/roles
+// @desc    List all roles with their permissions and how many users hold each
+// @access  Private (roles:manage)
+router.get('/', async (req, res) => {
+    console.log("GET /api/admin/roles received");
+    try {
+        const roles = await Role.find().sort({ isSystem: -1, name: 1 }).lean();
+        const counts = await User.aggregate([{ $group: { _id: '$role', count: { $sum: 1 } } }]);
+        const countByRole = new Map(counts.map(c => [c._id, c.count]));
+
+        res.json(roles.map(role => ({ ...role, userCount: countByRole.get(role.name) || 0 })));
+    } catch (err) {
+        console.error("Error fetching roles:", err.message, err);
+        res.status(500).send('Server Error');
+    }
+});
+
+// @route   GET /api/admin/roles/:name
+// @desc    Get one role
+// @access  Private (roles:manage)
+router.get('/:name', async (req, res) => {
+    try {
+        const role = await Role.findOne({ name: req.params.name.toLowerCase() }).lean();
+        if (!role) {
+            return res.status(404).json({ msg: 'Role not found' });
+        }
+        res.json(role);
+    } catch (err) {
+        console.error(`Error fetching role ${req.params.name}:`, err.message, err);
+        res.status(500).send('Server Error');
+    }
+});
+
+// @route   POST /api/admin/roles
+// @desc    Create a custom role
+// @access  Private (roles:manage)
+router.post('/', async (req, res) => {
+    console.log("POST /api/admin/roles - Body:", JSON.stringify(req.body, null, 2));
+    const { name, description, permissions = [] } = req.body;
+
+    if (!name) {
+        return res.status(400).json({ msg: 'Role name is required.' });
+    }
+    const permissionError = validatePermissions(permissions);
+    if (permissionError) {
+        return res.status(400).json({ msg: permissionError });
+    }
+
+    try {
+        const role = await Role.create({ name, description, permissions: [...new Set(permissions)], isSystem: false });
+        permissionService.clearCache();
+        console.log(`Role "${role.name}" created by ${req.user.id}`);
+        await recordAudit(req, { action: 'role.create', targetType: 'Role', targetId: role.name, after: role });
+        res.status(201).json(role);
+    } catch (err) {
+        console.error("Error creating role:", err.message, err);
+        if (err.code === 11000) {
+            return res.status(400).json({ msg: 'A role with this name already exists.' });
+        }
+        if (err.name === 'ValidationError') {
+            const errors = Object.values(err.errors).map(val => val.message);
+            return res.status(400).json({ msg: errors.join(', ') });
+        }
+        res.status(500).send('Server Error');
+    }
+});
+
+// @route   PUT /api/admin/roles/:name
+// @desc    Update a role's description and/or permissions
+// @access  Private (roles:manage)
+router.put('/:name', async (req, res) => {
+    const roleName = req.params.name.toLowerCase();
+    console.log(`PUT /api/admin/roles/${roleName} - Body:`, JSON.stringify(req.body, null, 2));
+    const { description, permissions } = req.body;
+
+    if (roleName === ADMIN_ROLE && permissions !== undefined) {
+        return res.status(400).json({ msg: 'The admin role always has every permission.' });
+    }
+
+    const updateFields = {};
+    if (description !== undefined) updateFields.description = description;
+    if (permissions !== undefined) {
+        const permissionError = validatePermissions(permissions);
+        if (permissionError) {
+            return res.status(400).json({ msg: permissionError });
+        }
+        updateFields.permissions = [...new Set(permissions)];
+    }
+
+    try {
+        const roleBefore = await Role.findOne({ name: roleName }).lean();
+        if (!roleBefore) {
+            return res.status(404).json({ msg: 'Role not found' });
+        }
+        const role = await Role.findOneAndUpdate({ name: roleName }, { $set: updateFields }, { new: true, runValidators: true });
+        if (!role) {
+            return res.status(404).json({ msg: 'Role not found' });
+        }
+        permissionService.clearCache();
+        console.log(`Role "${role.name}" updated by ${req.user.id}`);
+        await recordAudit(req, { action: 'role.update', targetType: 'Role', targetId: role.name, before: roleBefore, after: role });
+        res.json(role);
+    } catch (err) {
+        console.error(`Error updating role ${roleName}:`, err.message, err);
+        res.status(500).send('Server Error');
+    }
+});
+
+// @route   DELETE /api/admin/roles/:name
+// @desc    Delete a custom role (only when no user holds it)
+// @access  Private (roles:manage)
+router.delete('/:name', async (req, res) => {
+    const roleName = req.params.name.toLowerCase();
+    try {
+        const role = await Role.findOne({ name: roleName });
+        if (!role) {
+            return res.status(404).json({ msg: 'Role not found' });
+        }
+        if (role.isSystem) {
+            return res.status(400).json({ msg: 'Built-in roles cannot be deleted.' });
+        }
+        const holders = await User.countDocuments({ role: roleName });
+        if (holders > 0) {
+            return res.status(400).json({ msg: `Role is still assigned to ${holders} user(s). Reassign them first.` });
+        }
+
+        await role.deleteOne();
+        permissionService.clearCache();
+        console.log(`Role "${roleName}" deleted by ${req.user.id}`);
+        await recordAudit(req, { action: 'role.delete', targetType: 'Role', targetId: roleName, before: role });
+        res.json({ msg: 'Role removed' });
+    } catch (err) {
+        console.error(`Error deleting role ${roleName}:`, err.message, err);
+        res.status(500).send('Server Error');
+    }
+});
+
+module.exports = router;
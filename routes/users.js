@@ -1,18 +1,36 @@
 // backend/routes/users.js
 const express = require('express');
-// Removed bcrypt and jwt as they are only needed for auth (login/register/change-password)
+const bcrypt = require('bcryptjs'); // Used to confirm the password before self-deletion
 const multer = require('multer');
 // Removed path as it's not used in the final Cloudinary storage config
-const { avatarStorage } = require('../config/cloudinary'); // Assuming Cloudinary is used for avatars
+const { avatarStorage, verificationDocumentStorage, signedDocumentUrl } = require('../config/cloudinary'); // Assuming Cloudinary is used for avatars
 const authMiddleware = require('../middleware/auth');
-const adminAuth = require('../middleware/adminAuth'); // Import the admin middleware
+const requirePermission = require('../middleware/requirePermission');
+const { hasPermission, coversRole, roleExists } = require('../services/permissionService');
 const User = require('../models/User');
+const LoginThrottle = require('../models/LoginThrottle');
+const FarmerVerification = require('../models/FarmerVerification');
+const LedgerEntry = require('../models/LedgerEntry');
+const loginThrottle = require('../services/loginThrottle');
+const { revokeAllSessions } = require('../services/tokenService');
+const { recordAudit } = require('../services/auditLog');
+const accountDeletion = require('../services/accountDeletion');
+const ledger = require('../services/ledger');
 const mongoose = require('mongoose'); // Import mongoose for ObjectId validation
 
 const router = express.Router();
 
 // Multer setup for Cloudinary Avatars - used only for PUT /me
 const uploadAvatarCloudinary = multer({ storage: avatarStorage });
+// Multer setup for farmer verification documents - used only for POST /me/verification
+const uploadVerificationDocuments = multer({ storage: verificationDocumentStorage });
+
+// Form field name -> FarmerVerification document kind
+const VERIFICATION_DOCUMENT_FIELDS = {
+    idDocument: 'national_id',
+    farmRegistration: 'farm_registration',
+    otherDocuments: 'other',
+};
 
 // --- PRIVATE 'ME' ROUTES (Requires logged-in user) ---
 
@@ -24,7 +42,7 @@ router.get('/me', authMiddleware, async (req, res) => {
     try {
         // --- FIX HERE: Explicitly select ALL fields needed by the frontend after login ---
         // Including _id, fullName, phone, role, avatarUrl, notifications, language, AND addresses, location
-        const user = await User.findById(req.user.id).select('_id fullName phone role avatarUrl notifications language addresses location area').populate('addresses');
+        const user = await User.findById(req.user.id).select('_id fullName phone phoneVerified sellerVerified role avatarUrl notifications language addresses location area').populate('addresses');
         if (!user) {
              console.log("/users/me - User not found for ID:", req.user.id); // Added log
             // Log out the user on the backend side if their ID is invalid/not found
@@ -53,8 +71,8 @@ router.put('/me', [authMiddleware, uploadAvatarCloudinary.single('avatar')], asy
     // Fetch the current user's notifications to merge (safer than direct overwrite)
     let currentUser;
      try {
-         // --- Select notifications only ---
-         currentUser = await User.findById(req.user.id).select('notifications');
+         // --- Select notifications (for the merge) and phone (to detect a phone change) ---
+         currentUser = await User.findById(req.user.id).select('notifications phone');
          if (!currentUser) {
               console.log("PUT /me - User not found during current user fetch:", req.user.id); // Added log
               return res.status(404).json({ msg: 'User not found during update (fetching current)' });
@@ -68,6 +86,11 @@ router.put('/me', [authMiddleware, uploadAvatarCloudinary.single('avatar')], asy
 
     if (fullName !== undefined) profileFields.fullName = fullName; // Allow empty string for fullName if intended
     if (phone !== undefined) profileFields.phone = phone;     // Allow empty string for phone if intended
+    // A new phone number has to be verified again before the user can sell
+    if (phone !== undefined && phone !== currentUser.phone) {
+        profileFields.phoneVerified = false;
+        profileFields.phoneVerifiedAt = null;
+    }
 
     // Safely handle nested objects like notifications
     if (notifications !== undefined && typeof notifications === 'object') { // Check if notifications is provided AND is an object
@@ -104,7 +127,7 @@ router.put('/me', [authMiddleware, uploadAvatarCloudinary.single('avatar')], asy
         )
         // --- SELECT fields to return after update, INCLUDING all necessary fields ---
         // List all fields you need in the response object on the frontend AFTER update.
-        .select('_id fullName phone role avatarUrl notifications language addresses location')
+        .select('_id fullName phone phoneVerified role avatarUrl notifications language addresses location')
         .populate('addresses');
 
         if (!updatedUser) {
@@ -211,6 +234,20 @@ router.patch('/me', authMiddleware, async (req, res) => {
          return res.status(400).json({ msg: 'No valid fields provided for update' });
     }
 
+    // A new phone number has to be verified again before the user can sell
+    if (updateFields.phone !== undefined) {
+        try {
+            const currentUserForPhone = await User.findById(req.user.id).select('phone').lean();
+            if (currentUserForPhone && currentUserForPhone.phone !== updateFields.phone) {
+                updateFields.phoneVerified = false;
+                updateFields.phoneVerifiedAt = null;
+            }
+        } catch (fetchErr) {
+            console.error("Error fetching current phone (PATCH /me):", fetchErr.message, fetchErr);
+            return res.status(500).send('Server Error');
+        }
+    }
+
     try {
         // Find user by ID and update the fields using $set
         const updatedUser = await User.findByIdAndUpdate(
@@ -219,7 +256,7 @@ router.patch('/me', authMiddleware, async (req, res) => {
             { new: true, runValidators: true } // Return the updated document and run schema validators
         )
         // Select fields to return after update, INCLUDING all necessary fields for AuthContext
-        .select('_id fullName phone role avatarUrl notifications language addresses location area')
+        .select('_id fullName phone phoneVerified sellerVerified role avatarUrl notifications language addresses location area')
         .populate('addresses'); // Re-populate addresses
 
         if (!updatedUser) {
@@ -252,6 +289,162 @@ router.patch('/me', authMiddleware, async (req, res) => {
 
 
 
+// @route   GET /api/users/me/verification
+// @desc    Get the current user's latest seller verification request (or null)
+// @access  Private
+router.get('/me/verification', authMiddleware, async (req, res) => {
+    try {
+        const verification = await FarmerVerification.findOne({ userId: req.user.id })
+            .sort({ createdAt: -1 })
+            .select('-documents.publicId')
+            .lean();
+        const user = await User.findById(req.user.id).select('sellerVerified sellerVerifiedAt').lean();
+        res.json({
+            sellerVerified: !!user?.sellerVerified,
+            sellerVerifiedAt: user?.sellerVerifiedAt || null,
+            verification: verification || null
+        });
+    } catch (err) {
+        console.error("Error fetching verification status (/me/verification):", err.message, err);
+        res.status(500).send('Server Error');
+    }
+});
+
+// @route   POST /api/users/me/verification
+// @desc    Submit verification documents for the verified seller badge.
+//          Multipart fields: idDocument (required), farmRegistration (required), otherDocuments (optional, up to 3)
+// @access  Private (sellers: products:create)
+router.post('/me/verification', [
+    authMiddleware,
+    requirePermission('products:create'),
+    uploadVerificationDocuments.fields([
+        { name: 'idDocument', maxCount: 1 },
+        { name: 'farmRegistration', maxCount: 1 },
+        { name: 'otherDocuments', maxCount: 3 },
+    ])
+], async (req, res) => {
+    console.log("POST /api/users/me/verification received for user:", req.user.id);
+    const files = req.files || {};
+
+    if (!files.idDocument || !files.farmRegistration) {
+        return res.status(400).json({ msg: 'Both an ID document (idDocument) and a farm registration (farmRegistration) are required.' });
+    }
+
+    try {
+        const user = await User.findById(req.user.id).select('sellerVerified').lean();
+        if (user?.sellerVerified) {
+            return res.status(400).json({ msg: 'Your account is already verified.' });
+        }
+        const pending = await FarmerVerification.exists({ userId: req.user.id, status: 'pending' });
+        if (pending) {
+            return res.status(400).json({ msg: 'You already have a verification request waiting for review.' });
+        }
+
+        const documents = [];
+        for (const [field, kind] of Object.entries(VERIFICATION_DOCUMENT_FIELDS)) {
+            for (const file of files[field] || []) {
+                documents.push({ kind, url: file.path, publicId: file.filename, format: file.format });
+            }
+        }
+
+        const verification = await FarmerVerification.create({ userId: req.user.id, documents });
+        console.log(`POST /me/verification - Verification ${verification._id} submitted with ${documents.length} document(s).`);
+
+        const response = verification.toObject();
+        response.documents = response.documents.map(({ publicId, ...doc }) => doc);
+        res.status(201).json(response);
+    } catch (err) {
+        console.error("Error submitting verification (/me/verification):", err.message, err);
+        if (err.name === 'ValidationError') {
+            const errors = Object.values(err.errors).map(val => val.message);
+            return res.status(400).json({ msg: errors.join(', ') });
+        }
+        res.status(500).send('Server Error');
+    }
+});
+
+// @route   GET /api/users/me/earnings
+// @desc    The seller's earnings: balance owed by the platform, pending and paid payouts, totals, and the
+//          history of ledger entries (sales after commission, refunds, payouts), newest first. ?page=1&limit=50
+// @access  Private
+router.get('/me/earnings', authMiddleware, async (req, res) => {
+    const limitNum = Math.min(parseInt(req.query.limit) || 50, 200);
+    const pageNum = parseInt(req.query.page) || 1;
+    const historyQuery = { sellerId: req.user.id, account: 'seller' };
+    try {
+        const [summary, history, total] = await Promise.all([
+            ledger.sellerEarnings(req.user.id),
+            LedgerEntry.find(historyQuery)
+                .select('type amount currency orderId orderItemId refundId payoutBatchId quantity commissionRate description createdAt')
+                .sort({ createdAt: -1 })
+                .skip((pageNum - 1) * limitNum)
+                .limit(limitNum)
+                .lean(),
+            LedgerEntry.countDocuments(historyQuery)
+        ]);
+        res.json({ ...summary, history, total, page: pageNum, limit: limitNum });
+    } catch (err) {
+        console.error("Error fetching earnings:", err.message, err);
+        res.status(500).send('Server Error');
+    }
+});
+
+// @route   GET /api/users/me/export
+// @desc    Download a JSON archive of the user's personal data (profile, addresses, orders, products, messages)
+// @access  Private
+router.get('/me/export', authMiddleware, async (req, res) => {
+    console.log("GET /api/users/me/export received for user:", req.user.id);
+    try {
+        const archive = await accountDeletion.exportUserData(req.user.id);
+        if (!archive) {
+            return res.status(404).json({ msg: 'User not found' });
+        }
+        res.set('Content-Disposition', `attachment; filename="agriconnect-export-${req.user.id}.json"`);
+        res.json(archive);
+    } catch (err) {
+        console.error("Error exporting user data:", err.message, err);
+        res.status(500).send('Server Error');
+    }
+});
+
+// @route   DELETE /api/users/me
+// @desc    Request deletion of the own account. Body: { password }.
+//          The account is logged out everywhere, its API keys are revoked and its listings hidden; it is purged
+//          after the grace period (ACCOUNT_DELETION_GRACE_DAYS). Logging in again before then cancels the request.
+//          Refused (409, with `blockers`) while the user has unfinished orders or money in the seller ledger.
+// @access  Private
+router.delete('/me', authMiddleware, async (req, res) => {
+    console.log("DELETE /api/users/me received for user:", req.user.id);
+    const { password } = req.body || {};
+    if (!password) {
+        return res.status(400).json({ msg: 'Please confirm your password to delete your account.' });
+    }
+    try {
+        const user = await User.findById(req.user.id).select('+password');
+        if (!user) {
+            return res.status(404).json({ msg: 'User not found' });
+        }
+        if (!(await bcrypt.compare(password, user.password))) {
+            return res.status(400).json({ msg: 'Incorrect password.' });
+        }
+
+        const result = await accountDeletion.scheduleDeletion(user._id);
+        if (result.error) {
+            return res.status(result.status).json({ msg: result.error, blockers: result.blockers });
+        }
+        const { deletionScheduledFor } = result;
+        console.log(`User ${req.user.id} requested account deletion, scheduled for ${deletionScheduledFor.toISOString()}`);
+        res.json({
+            msg: `Your account will be deleted on ${deletionScheduledFor.toISOString()}. Log in again before then to cancel.`,
+            deletionScheduledFor
+        });
+    } catch (err) {
+        console.error("Error requesting account deletion:", err.message, err);
+        res.status(500).send('Server Error');
+    }
+});
+
+
 // --- PUBLIC ROUTES ---
 
 // @route   GET /api/users/top-farmers
@@ -266,7 +459,7 @@ router.get('/top-farmers', async (req, res) => {
         let query = User.find({ role: 'farmer', rating: { $gt: 0 } }) // Filter for rating > 0
             .sort({ rating: -1, fullName: 1 }) // Highest rating first, then alphabetical
             // --- Select necessary data, INCLUDING _id ---
-            .select('_id fullName avatarUrl rating phone') 
+            .select('_id fullName avatarUrl rating phone sellerVerified') 
             .lean(); // Added .lean()
 
         if (limit && parseInt(limit, 10) > 0) {
@@ -297,7 +490,7 @@ router.get('/:id', async (req, res) => {
         // --- Select necessary public data, INCLUDING _id ---
         // Adding .lean() for performance
         const user = await User.findById(req.params.id)
-            .select('_id fullName role avatarUrl rating phone') // Select public fields
+            .select('_id fullName role avatarUrl rating phone sellerVerified') // Select public fields
             .lean(); // Added .lean()
 
         if (!user) {
@@ -316,12 +509,12 @@ router.get('/:id', async (req, res) => {
     }
 });
 
-// --- ADMIN ROUTES (Requires Admin role) ---
+// --- ADMIN ROUTES (Require staff permissions, see config/permissions.js) ---
 
 // @route   GET /api/users/admin/all
 // @desc    Get ALL users (Admin only)
-// @access  Private (Admin)
-router.get('/admin/all', [authMiddleware, adminAuth], async (req, res) => {
+// @access  Private (users:read)
+router.get('/admin/all', [authMiddleware, requirePermission('users:read')], async (req, res) => {
      console.log("GET /api/users/admin/all received (Admin)"); // Added log
      const fieldsQuery = req.query.fields; // e.g., ?fields=fullName,phone,role,rating,_id
      let selectFields = '-password'; // Default: exclude password
@@ -336,7 +529,7 @@ router.get('/admin/all', [authMiddleware, adminAuth], async (req, res) => {
     } else {
          // If no fields query, select default useful admin fields
          // --- Select default fields, INCLUDING _id, and fields for admin list ---
-         selectFields = '_id fullName phone role rating avatarUrl createdAt lastLogin'; 
+         selectFields = '_id fullName phone role rating avatarUrl createdAt lastLogin lastFailedLogin'; 
     }
 
     try {
@@ -351,10 +544,210 @@ router.get('/admin/all', [authMiddleware, adminAuth], async (req, res) => {
     }
 });
 
+// @route   GET /api/users/admin/verifications
+// @desc    Seller verification review queue. ?status=pending (default) | approved | rejected | all
+// @access  Private (users:verify)
+router.get('/admin/verifications', [authMiddleware, requirePermission('users:verify')], async (req, res) => {
+    console.log("GET /api/users/admin/verifications received", req.query);
+    const status = req.query.status || 'pending';
+    const filter = status === 'all' ? {} : { status };
+
+    try {
+        const verifications = await FarmerVerification.find(filter)
+            .populate('userId', '_id fullName phone phoneVerified role area sellerVerified createdAt')
+            .populate('reviewedBy', '_id fullName')
+            .select('-documents.publicId')
+            // Oldest first so the queue is worked through in order
+            .sort({ createdAt: status === 'pending' ? 1 : -1 })
+            .lean();
+        res.json(verifications);
+    } catch (err) {
+        console.error("Admin error fetching verifications:", err.message, err);
+        res.status(500).send('Server Error');
+    }
+});
+
+// @route   GET /api/users/admin/verifications/:id
+// @desc    One verification request, with short-lived signed URLs to view the documents
+// @access  Private (users:verify)
+router.get('/admin/verifications/:id', [authMiddleware, requirePermission('users:verify')], async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ msg: 'Invalid verification ID format' });
+    }
+    try {
+        const verification = await FarmerVerification.findById(req.params.id)
+            .populate('userId', '_id fullName phone phoneVerified role area sellerVerified createdAt')
+            .populate('reviewedBy', '_id fullName')
+            .lean();
+        if (!verification) {
+            return res.status(404).json({ msg: 'Verification request not found' });
+        }
+        verification.documents = verification.documents.map(({ publicId, ...doc }) => ({
+            ...doc,
+            viewUrl: signedDocumentUrl(publicId, doc.format)
+        }));
+        res.json(verification);
+    } catch (err) {
+        console.error(`Admin error fetching verification ${req.params.id}:`, err.message, err);
+        res.status(500).send('Server Error');
+    }
+});
+
+// Shared by the approve/reject routes: records the decision and updates the user's badge
+const reviewVerification = async (req, res, decision) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ msg: 'Invalid verification ID format' });
+    }
+    const reason = req.body?.reason?.trim();
+    if (decision === 'rejected' && !reason) {
+        return res.status(400).json({ msg: 'A reason is required when rejecting a verification.' });
+    }
+
+    try {
+        const verification = await FarmerVerification.findById(req.params.id);
+        if (!verification) {
+            return res.status(404).json({ msg: 'Verification request not found' });
+        }
+        // Approving is only possible from pending. Rejecting an approved request revokes the badge.
+        if (decision === 'approved' && verification.status !== 'pending') {
+            return res.status(400).json({ msg: `Cannot approve a request that is ${verification.status}.` });
+        }
+        if (decision === 'rejected' && verification.status === 'rejected') {
+            return res.status(400).json({ msg: 'This request is already rejected.' });
+        }
+
+        const before = verification.toObject();
+        verification.status = decision;
+        verification.reviewedBy = req.user.id;
+        verification.reviewedAt = new Date();
+        verification.rejectionReason = decision === 'rejected' ? reason : null;
+        await verification.save();
+
+        await User.updateOne(
+            { _id: verification.userId },
+            { $set: decision === 'approved'
+                ? { sellerVerified: true, sellerVerifiedAt: new Date() }
+                : { sellerVerified: false, sellerVerifiedAt: null } }
+        );
+
+        console.log(`Verification ${verification._id} ${decision} by ${req.user.id} (user ${verification.userId})`);
+        await recordAudit(req, {
+            action: decision === 'approved' ? 'verification.approve' : 'verification.reject',
+            targetType: 'FarmerVerification',
+            targetId: verification._id,
+            before,
+            after: verification,
+            meta: { userId: verification.userId.toString(), reason: verification.rejectionReason }
+        });
+        const response = verification.toObject();
+        response.documents = response.documents.map(({ publicId, ...doc }) => doc);
+        res.json(response);
+    } catch (err) {
+        console.error(`Admin error reviewing verification ${req.params.id}:`, err.message, err);
+        res.status(500).send('Server Error');
+    }
+};
+
+// @route   PUT /api/users/admin/verifications/:id/approve
+// @desc    Approve a seller verification and grant the verified badge
+// @access  Private (users:verify)
+router.put('/admin/verifications/:id/approve', [authMiddleware, requirePermission('users:verify')], (req, res) => reviewVerification(req, res, 'approved'));
+
+// @route   PUT /api/users/admin/verifications/:id/reject
+// @desc    Reject a seller verification (body: { reason }). Also revokes the badge of an approved request.
+// @access  Private (users:verify)
+router.put('/admin/verifications/:id/reject', [authMiddleware, requirePermission('users:verify')], (req, res) => reviewVerification(req, res, 'rejected'));
+
+// @route   GET /api/users/admin/lockouts
+// @desc    List login throttles: locked out phones/IPs and keys with recent failed attempts (Admin only)
+// @access  Private (users:read)
+router.get('/admin/lockouts', [authMiddleware, requirePermission('users:read')], async (req, res) => {
+    console.log("GET /api/users/admin/lockouts received (Admin)");
+    try {
+        const filter = req.query.active === 'true'
+            ? { lockedUntil: { $gt: new Date() } }
+            : { failedCount: { $gt: 0 } };
+        const throttles = await LoginThrottle.find(filter).sort({ lastFailedAt: -1 }).lean();
+
+        // Attach the matching user to phone-based entries so the admin UI can show who is affected
+        const phones = throttles.filter(t => t.type === 'phone').map(t => t.value);
+        const users = await User.find({ phone: { $in: phones } }).select('_id fullName phone role lastLogin lastFailedLogin').lean();
+        const usersByPhone = new Map(users.map(u => [u.phone, u]));
+
+        res.json(throttles.map(t => ({
+            ...t,
+            isLocked: !!(t.lockedUntil && t.lockedUntil > new Date()),
+            user: t.type === 'phone' ? (usersByPhone.get(t.value) || null) : null
+        })));
+    } catch (err) {
+        console.error("Admin error fetching lockouts:", err.message, err);
+        res.status(500).send('Server Error');
+    }
+});
+
+// @route   DELETE /api/users/admin/lockouts/:id
+// @desc    Clear a login lockout / failed-attempt counter (Admin only)
+// @access  Private (users:edit)
+router.delete('/admin/lockouts/:id', [authMiddleware, requirePermission('users:edit')], async (req, res) => {
+    console.log(`DELETE /api/users/admin/lockouts/${req.params.id} received (Admin)`);
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ msg: 'Invalid lockout ID format' });
+    }
+    try {
+        const existing = await LoginThrottle.findById(req.params.id).select('type value').lean();
+        if (!existing) {
+            return res.status(404).json({ msg: 'Lockout not found' });
+        }
+        // A phone lockout protects an account: only someone who could edit that account may lift it
+        const owner = existing.type === 'phone' ? await User.findOne({ phone: existing.value }).select('role').lean() : null;
+        if (owner && !(await coversRole(req.user.role, owner.role))) {
+            return res.status(403).json({ msg: 'Access denied: this account has permissions you do not have.' });
+        }
+        const throttle = await loginThrottle.clearLockout(req.params.id);
+        if (!throttle) {
+            return res.status(404).json({ msg: 'Lockout not found' });
+        }
+        console.log(`Admin ${req.user.id} cleared login lockout ${throttle.key}`);
+        await recordAudit(req, { action: 'lockout.clear', targetType: 'LoginThrottle', targetId: throttle._id, before: throttle });
+        res.json({ msg: 'Lockout cleared' });
+    } catch (err) {
+        console.error("Admin error clearing lockout:", err.message, err);
+        res.status(500).send('Server Error');
+    }
+});
+
+// @route   DELETE /api/users/admin/:id/lockout
+// @desc    Clear the login lockout for a specific user's phone number (Admin only)
+// @access  Private (users:edit)
+router.delete('/admin/:id/lockout', [authMiddleware, requirePermission('users:edit')], async (req, res) => {
+    console.log(`DELETE /api/users/admin/${req.params.id}/lockout received (Admin)`);
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ msg: 'Invalid user ID format' });
+    }
+    try {
+        const user = await User.findById(req.params.id).select('phone role').lean();
+        if (!user) {
+            return res.status(404).json({ msg: 'User not found' });
+        }
+        if (!(await coversRole(req.user.role, user.role))) {
+            return res.status(403).json({ msg: 'Access denied: this account has permissions you do not have.' });
+        }
+        const result = await LoginThrottle.deleteOne({ key: `phone:${user.phone}` });
+        console.log(`Admin ${req.user.id} cleared login lockout for user ${req.params.id} (removed: ${result.deletedCount})`);
+        if (result.deletedCount) {
+            await recordAudit(req, { action: 'lockout.clear', targetType: 'User', targetId: req.params.id });
+        }
+        res.json({ msg: result.deletedCount ? 'Lockout cleared' : 'User had no lockout' });
+    } catch (err) {
+        console.error("Admin error clearing user lockout:", err.message, err);
+        res.status(500).send('Server Error');
+    }
+});
+
 // @route   GET /api/users/admin/:id
 // @desc    Get a specific user by ID (Admin only)
-// @access  Private (Admin)
-router.get('/admin/:id', [authMiddleware, adminAuth], async (req, res) => {
+// @access  Private (users:read)
+router.get('/admin/:id', [authMiddleware, requirePermission('users:read')], async (req, res) => {
      console.log(`GET /api/users/admin/${req.params.id} received (Admin)`); // Added log
      try {
         if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
@@ -382,8 +775,8 @@ router.get('/admin/:id', [authMiddleware, adminAuth], async (req, res) => {
 
 // @route   PUT /api/users/admin/:id
 // @desc    Update a specific user by ID (Admin only)
-// @access  Private (Admin)
-router.put('/admin/:id', [authMiddleware, adminAuth], async (req, res) => {
+// @access  Private (users:edit)
+router.put('/admin/:id', [authMiddleware, requirePermission('users:edit')], async (req, res) => {
      console.log(`PUT /api/users/admin/${req.params.id} received (Admin)`); // Added log
      console.log("PUT /api/users/admin/:id - Body:", JSON.stringify(req.body, null, 2)); // Added log
     // Allowed fields for admin to update
@@ -392,8 +785,13 @@ router.put('/admin/:id', [authMiddleware, adminAuth], async (req, res) => {
     const updateFields = {};
 
     if (fullName !== undefined) updateFields.fullName = fullName;
-    if (phone !== undefined) updateFields.phone = phone;
-    if (role !== undefined) updateFields.role = role; // Admin can change role
+    if (phone !== undefined) {
+        updateFields.phone = phone;
+        // The new number has not been verified by its owner
+        updateFields.phoneVerified = false;
+        updateFields.phoneVerifiedAt = null;
+    }
+    if (role !== undefined) updateFields.role = role; // Checked against roles:assign below
 
     // Handle 'rating' update with validation
     if (rating !== undefined) {
@@ -435,6 +833,38 @@ router.put('/admin/:id', [authMiddleware, adminAuth], async (req, res) => {
              return res.status(400).json({ msg: 'Invalid user ID format' });
         }
 
+        // Changing a role can grant staff access, so it needs its own permission
+        if (updateFields.role !== undefined) {
+            if (!(await hasPermission(req.user.role, 'roles:assign'))) {
+                return res.status(403).json({ msg: 'Access denied: missing permission roles:assign' });
+            }
+            if (!(await roleExists(updateFields.role))) {
+                return res.status(400).json({ msg: `Unknown role: ${updateFields.role}` });
+            }
+        }
+
+        // Snapshot for the audit log
+        const userBefore = await User.findById(req.params.id).lean();
+        if (!userBefore) {
+            console.log(`PUT /api/users/admin/${req.params.id} - User not found for update.`);
+            return res.status(404).json({ msg: 'User not found for update' });
+        }
+        // An account with permissions the caller does not have is off limits (e.g. support moving an admin's
+        // phone to their own number and resetting the admin's password)
+        if (!(await coversRole(req.user.role, userBefore.role))) {
+            console.log(`PUT /api/users/admin/${req.params.id} - Refused: target role ${userBefore.role} has permissions ${req.user.role} lacks.`);
+            return res.status(403).json({ msg: 'Access denied: this account has permissions you do not have.' });
+        }
+        const roleChanged = updateFields.role !== undefined && updateFields.role !== userBefore.role;
+        if (roleChanged && req.user.id === req.params.id) {
+            return res.status(403).json({ msg: 'You cannot change your own role.' });
+        }
+        // Nobody hands out permissions they do not hold themselves
+        if (roleChanged && !(await coversRole(req.user.role, updateFields.role))) {
+            console.log(`PUT /api/users/admin/${req.params.id} - Refused: role ${updateFields.role} has permissions ${req.user.role} lacks.`);
+            return res.status(403).json({ msg: `Access denied: the role ${updateFields.role} has permissions you do not have.` });
+        }
+
         const updatedUser = await User.findByIdAndUpdate(
             req.params.id, // Use param ID here
             { $set: updateFields },
@@ -451,6 +881,12 @@ router.put('/admin/:id', [authMiddleware, adminAuth], async (req, res) => {
         if (!updatedUser) {
              console.log(`PUT /api/users/admin/${req.params.id} - User not found for update.`); // Added log
             return res.status(404).json({ msg: 'User not found for update' });
+        }
+         await recordAudit(req, { action: 'user.update', targetType: 'User', targetId: req.params.id, before: userBefore, after: { ...userBefore, ...updateFields } });
+        // The role is part of the access token: sign the user out so the new role applies at once
+        if (roleChanged) {
+            const revoked = await revokeAllSessions(req.params.id, 'role_changed');
+            console.log(`PUT /api/users/admin/${req.params.id} - Role changed to ${updateFields.role}, ${revoked} sessions revoked.`);
         }
          console.log(`PUT /api/users/admin/${req.params.id} - User updated successfully:`, JSON.stringify({ _id: updatedUser._id, fullName: updatedUser.fullName, role: updatedUser.role, hasLocation: !!updatedUser.location, addressesCount: updatedUser.addresses?.length }, null, 2)); // Added log
         res.json(updatedUser); // Return the updated user object
@@ -472,9 +908,9 @@ router.put('/admin/:id', [authMiddleware, adminAuth], async (req, res) => {
 
 
 // @route   DELETE /api/users/admin/:id
-// @desc    Delete a specific user by ID (Admin only)
-// @access  Private (Admin)
-router.delete('/admin/:id', [authMiddleware, adminAuth], async (req, res) => {
+// @desc    Delete a specific user by ID (Admin only). Refused (409, with `blockers`) while the user has unfinished orders or money in the seller ledger.
+// @access  Private (users:delete)
+router.delete('/admin/:id', [authMiddleware, requirePermission('users:delete')], async (req, res) => {
      console.log(`DELETE /api/users/admin/${req.params.id} received (Admin)`); // Added log
     try {
         if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
@@ -487,13 +923,30 @@ router.delete('/admin/:id', [authMiddleware, adminAuth], async (req, res) => {
              return res.status(400).json({ msg: 'Cannot delete your own admin account via this route' });
         }
 
-        const user = await User.findByIdAndDelete(req.params.id).lean(); // Add lean()
+        const target = await User.findById(req.params.id).select('role').lean();
+        if (!target) {
+            console.log(`DELETE /api/users/admin/${req.params.id} - User not found for deletion.`);
+            return res.status(404).json({ msg: 'User not found for deletion' });
+        }
+        if (!(await coversRole(req.user.role, target.role))) {
+            console.log(`DELETE /api/users/admin/${req.params.id} - Refused: target role ${target.role} has permissions ${req.user.role} lacks.`);
+            return res.status(403).json({ msg: 'Access denied: this account has permissions you do not have.' });
+        }
+
+        const blockers = await accountDeletion.deletionBlockers(req.params.id);
+        if (blockers.length > 0) {
+            return res.status(409).json({ msg: `The account cannot be deleted yet: ${blockers.join('; ')}.`, blockers });
+        }
+
+        // Same cascade as self-deletion, without the grace period
+        const user = await accountDeletion.deleteUserData(req.params.id);
 
         if (!user) {
              console.log(`DELETE /api/users/admin/${req.params.id} - User not found for deletion.`); // Added log
             return res.status(404).json({ msg: 'User not found for deletion' });
         }
          console.log(`DELETE /api/users/admin/${req.params.id} - User deleted successfully:`, user._id); // Added log
+         await recordAudit(req, { action: 'user.delete', targetType: 'User', targetId: user._id, before: user });
         res.json({ msg: 'User removed' });
     } catch (err) {
         console.error(`Admin user deletion error for ID ${req.params.id}:`, err.message, err); // More detailed error log
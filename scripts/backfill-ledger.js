@@ -0,0 +1,49 @@
+// backend/scripts/backfill-ledger.js
+// Writes the seller ledger entries (services/ledger.js) of every paid order and completed refund that
+// does not have them yet: orders paid before the ledger existed, or a sale whose entries failed to write.
+// Then takes back the sales of orders and sub-orders that ended refunded or rejected. (Cancelled orders are
+// skipped: one that was paid was cancelled by staff, or its late payment was sent back.)
+// Journals that already exist are skipped, so running it again is harmless.
+//
+//   node scripts/backfill-ledger.js
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Refund = require('../models/Refund');
+const SubOrder = require('../models/SubOrder');
+const ledger = require('../services/ledger');
+
+const run = async () => {
+    if (!process.env.MONGO_URI) {
+        console.error('MONGO_URI is not set.');
+        process.exit(1);
+    }
+    await mongoose.connect(process.env.MONGO_URI);
+
+    let orders = 0;
+    for await (const order of Order.find({ paidAt: { $ne: null }, status: { $ne: 'cancelled' } }).sort({ paidAt: 1 }).cursor()) {
+        await ledger.recordSale(order);
+        orders++;
+    }
+    let refunds = 0;
+    for await (const refund of Refund.find({ status: 'refunded', kind: { $ne: 'late_payment' } }).sort({ refundedAt: 1 }).cursor()) {
+        await ledger.recordRefund(refund);
+        refunds++;
+    }
+    let reversed = 0;
+    for await (const order of Order.find({ paidAt: { $ne: null }, status: { $in: ['refunded', 'rejected'] } }).cursor()) {
+        await ledger.reverseSales(order, order.items, `Order ${order.status}`);
+        reversed++;
+    }
+    for await (const subOrder of SubOrder.find({ status: { $in: ['refunded', 'rejected'] } }).cursor()) {
+        await ledger.reverseSales({ _id: subOrder.orderId }, subOrder.items, `Sub-order ${subOrder.status}`);
+        reversed++;
+    }
+    console.log(`Ledger backfill: ${orders} paid orders, ${refunds} refunds and ${reversed} ended orders / sub-orders checked.`);
+    await mongoose.disconnect();
+};
+
+run().catch(err => {
+    console.error('Ledger backfill failed:', err.message, err);
+    process.exit(1);
+});
@@ -0,0 +1,49 @@
+// backend/scripts/send-chapa-webhook.js
+// Sends a Chapa webhook fixture to the server, signed with CHAPA_WEBHOOK_SECRET the way Chapa signs it.
+//
+//   node scripts/send-chapa-webhook.js fixtures/chapa/charge.success.json --tx_ref=<order tx_ref> --amount=250
+//
+// Options (each overrides the fixture field of the same name): --tx_ref, --amount, --currency, --reference, --status
+//   --url=<webhook URL>  default http://localhost:$PORT/api/payment/webhook
+//   --print              only print the body and its x-chapa-signature (e.g. for curl), send nothing
+require('dotenv').config();
+const fs = require('fs');
+const axios = require('axios');
+const { signPayload, SIGNATURE_HEADER } = require('../services/payments/providers/chapa');
+
+const [fixturePath, ...flags] = process.argv.slice(2);
+if (!fixturePath) {
+    console.error('Usage: node scripts/send-chapa-webhook.js <fixture.json> [--tx_ref=...] [--amount=...] [--url=...] [--print]');
+    process.exit(1);
+}
+const secret = process.env.CHAPA_WEBHOOK_SECRET;
+if (!secret) {
+    console.error('CHAPA_WEBHOOK_SECRET is not set.');
+    process.exit(1);
+}
+
+const options = Object.fromEntries(flags.map(flag => {
+    const [name, ...value] = flag.replace(/^--/, '').split('=');
+    return [name, value.length ? value.join('=') : true];
+}));
+const payload = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+for (const field of ['tx_ref', 'amount', 'currency', 'reference', 'status']) {
+    if (options[field] !== undefined) payload[field] = String(options[field]);
+}
+
+const body = JSON.stringify(payload);
+const signature = signPayload(body, secret);
+
+if (options.print) {
+    console.log(body);
+    console.log(`${SIGNATURE_HEADER}: ${signature}`);
+    process.exit(0);
+}
+
+const url = options.url || `http://localhost:${process.env.PORT || 5001}/api/payment/webhook`;
+axios.post(url, body, { headers: { 'Content-Type': 'application/json', [SIGNATURE_HEADER]: signature }, timeout: 15000 })
+    .then(response => console.log(response.status, JSON.stringify(response.data)))
+    .catch(err => {
+        console.error(err.response ? `${err.response.status} ${JSON.stringify(err.response.data)}` : err.message);
+        process.exit(1);
+    });
@@ -5,7 +5,7 @@ const cors = require('cors');
 const path = require('path');
 const http = require('http');
 const { Server } = require("socket.io");
-const { Chapa } = require('chapa-nodejs'); // If you use Chapa
+const { verifyAccessToken } = require('./services/tokenService'); // Shared with middleware/auth.js for Socket.IO auth
 
 require('dotenv').config();
 
@@ -31,15 +31,20 @@ const io = new Server(server, {
 });
 
 
-// --- CHAPA INSTANCE --- (keep if used)
+// --- PAYMENTS ---
+// Payment providers (Chapa, cash on delivery, fake) are picked per order; see services/payments/index.js.
+// A missing CHAPA_SECRET_KEY only breaks Chapa payments, not the server.
 if (!process.env.CHAPA_SECRET_KEY) {
-  console.error("\nFATAL ERROR: CHAPA_SECRET_KEY is not set in the .env file.");
-  // process.exit(1); // Commented out to allow server start without Chapa key if needed for other features
+  console.warn("\nCHAPA_SECRET_KEY is not set in the .env file. Chapa payments will fail.");
 } else {
    console.log("BACKEND SERVER - CHAPA_SECRET_KEY being used:", process.env.CHAPA_SECRET_KEY.substring(0, 15) + "...");
 }
-
-const chapa = process.env.CHAPA_SECRET_KEY ? new Chapa({ secretKey: process.env.CHAPA_SECRET_KEY }) : null;
+// Providers call back PUBLIC_API_URL: without it they would be handed a relative URL
+const paymentConfigError = require('./services/payments').configurationError();
+if (paymentConfigError) {
+  console.error(`FATAL ERROR: ${paymentConfigError}`);
+  process.exit(1);
+}
 
 
 // --- MODELS --- (keep all your requires here to ensure they are loaded)
@@ -54,25 +59,41 @@ const Message = require('./models/Message');
 
 // --- MIDDLEWARE --- (keep cors, json, static)
 app.use(cors());
-app.use(express.json());
+// The payment webhook's signature covers the body exactly as sent, so keep the raw bytes for it
+app.use(express.json({
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/payment/webhook')) req.rawBody = buf; // Also /webhook/:provider
+  }
+}));
 app.use('/uploads', express.static(path.join(__dirname, 'uploads'))); // Serve static files from uploads dir
 
-// --- IMPORT NEW MIDDLEWARE ---
-// The middleware needs to be required here so it's available for the route files to use.
-const adminAuth = require('./middleware/adminAuth'); // IMPORT the new middleware
+// --- PERMISSIONS ---
+// Staff/admin access is granted per permission (config/permissions.js) with middleware/requirePermission.js.
+// Built-in roles are seeded into the Role collection once MongoDB is connected (see startServer).
+const { ensureDefaultRoles } = require('./services/permissionService');
+const { startPurgeJob } = require('./services/accountDeletion');
+const { startOrderExpiryJob } = require('./services/orderStatus');
+const { startReconciliationJob } = require('./services/paymentReconciliation');
+const payments = require('./services/payments');
 
 
 // --- API ROUTES --- (keep existing imports)
 const authRoutes = require('./routes/auth');
 const productRoutes = require('./routes/products'); // Contains standard, 'my-products', and admin product routes
 const groupRoutes = require('./routes/groups'); // Contains standard group routes (add admin routes here if needed)
-const orderRoutes = require('./routes/orders'); // Contains standard order routes (add admin routes here if needed)
+const orderRoutes = require('./routes/orders'); // Contains standard order routes, the seller inbox (/selling/*) and admin routes (/admin/*)
+const cartRoutes = require('./routes/cart');
 const contentRoutes = require('./routes/content');
 const userRoutes = require('./routes/users'); // Contains standard and admin user routes
 const addressRoutes = require('./routes/addresses');
 const mediaRoutes = require('./routes/media');
 const paymentRoutes = require('./routes/payment');
 const farmersMarketRoutes = require('./routes/farmers-market');
+const roleRoutes = require('./routes/roles');
+const apiKeyRoutes = require('./routes/apiKeys');
+const auditRoutes = require('./routes/audit');
+const couponRoutes = require('./routes/coupons');
+const payoutRoutes = require('./routes/payouts');
 
 
 // --- MOUNT API ROUTES --- (keep existing mounts)
@@ -80,27 +101,28 @@ app.use('/api/auth', authRoutes);
 app.use('/api/products', productRoutes); // This router handles /products, /products/my-products, /products/admin/*
 app.use('/api/groups', groupRoutes);
 app.use('/api/orders', orderRoutes);
+app.use('/api/cart', cartRoutes); // Server-side cart (logged-in users and guests with X-Cart-Token)
 app.use('/api/content', contentRoutes);
 app.use('/api/users', userRoutes); // This router handles /users, /users/admin/*
 app.use('/api/addresses', addressRoutes);
 app.use('/api/media', mediaRoutes);
 app.use('/api/farmers-market', farmersMarketRoutes);
+app.use('/api/admin/roles', roleRoutes); // Role & permission management (roles:manage)
+app.use('/api/admin/api-keys', apiKeyRoutes); // Integration API keys (apikeys:manage)
+app.use('/api/admin/audit', auditRoutes); // Audit log of administrative actions (audit:read)
+app.use('/api/admin/coupons', couponRoutes); // Promo codes and redemption reports (coupons:manage)
+app.use('/api/admin/payouts', payoutRoutes); // Seller balances, commission rules and payout batches (payouts:manage)
 
-// Mount payment routes only if Chapa is initialized
-if (chapa) {
-  app.use('/api/payment', paymentRoutes);
-   console.log("Payment routes mounted.");
-} else {
-   console.warn("CHAPA_SECRET_KEY not set. Payment routes will not be mounted.");
-}
+app.use('/api/payment', paymentRoutes); // Payment providers, webhooks and stored payment events
+console.log("Payment routes mounted. Payment providers:", payments.availableProviders().map(provider => provider.name).join(', '));
 
 
 // You could optionally create separate admin routers if you prefer:
 // Example:
 // const adminRouter = express.Router();
-// // Apply auth and adminAuth middleware once for the entire admin router
+// // Apply auth and a permission check once for the entire admin router
 // adminRouter.use(authMiddleware); 
-// adminRouter.use(adminAuth);
+// adminRouter.use(requirePermission('users:read'));
 // // Then include admin-specific routes inside this router
 // adminRouter.use('/users', require('./routes/admin/users')); // e.g., new file backend/routes/admin/users.js
 // adminRouter.use('/products', require('./routes/admin/products')); // e.g., new file backend/routes/admin/products.js
@@ -108,14 +130,47 @@ if (chapa) {
 
 
 // --- Socket.IO Logic --- (keep)
+
+// Authenticate every socket with the same access token the REST API uses (middleware/auth.js).
+// Clients pass it as `io(url, { auth: { token } })` or in an `Authorization: Bearer` header.
+io.use(async (socket, next) => {
+  const token = socket.handshake.auth?.token || socket.handshake.headers?.authorization?.replace('Bearer ', '');
+  if (!token) {
+    return next(new Error('No token, authorization denied'));
+  }
+  try {
+    socket.user = await verifyAccessToken(token);
+    next();
+  } catch (err) {
+    next(new Error('Token is not valid'));
+  }
+});
+
+// Same membership rule as GET /api/groups/:id/messages
+const isGroupMember = async (groupId, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(groupId)) return false;
+  const group = await FarmerGroup.findById(groupId).select('members').lean();
+  return !!group && (group.members?.some(memberId => memberId?.toString() === userId.toString()) || false);
+};
+
 io.on('connection', (socket) => {
-  console.log('A user connected via WebSocket:', socket.id);
+  console.log(`A user connected via WebSocket: ${socket.id} (user ${socket.user.id})`);
 
   // ... (keep your existing socket handlers like joinGroup, sendMessage, disconnect, etc.) ...
 
-   socket.on('joinGroup', (groupId) => {
-    socket.join(groupId); // Make the socket join the room
-    console.log(`Socket ${socket.id} joined group ${groupId}`);
+   socket.on('joinGroup', async (groupId) => {
+    try {
+      if (!(await isGroupMember(groupId, socket.user.id))) {
+        console.warn(`Socket ${socket.id} (user ${socket.user.id}) refused joining group ${groupId}: not a member.`);
+        socket.emit('joinError', { groupId, error: 'Access denied. You are not a member of this group.' });
+        return;
+      }
+      socket.join(String(groupId)); // Make the socket join the room
+      console.log(`Socket ${socket.id} joined group ${groupId}`);
+    } catch (error) {
+      console.error('[Socket joinGroup] Error:', error);
+      socket.emit('joinError', { groupId, error: 'Server error: Could not join group.' });
+    }
   });
 
   socket.on('sendMessage', async (payload) => {
@@ -123,7 +178,9 @@ io.on('connection', (socket) => {
         console.log('[Socket sendMessage] RAW PAYLOAD RECEIVED:', JSON.stringify(payload, null, 2));
 
       try {
-          const { groupId, senderId, messageText, messageType, fileUrl } = payload;
+          const { groupId, messageText, messageType, fileUrl } = payload;
+          // The sender is always the authenticated user, whatever the payload claims
+          const senderId = socket.user.id;
 
           // Basic Validations
           if (!groupId) {
@@ -131,9 +188,9 @@ io.on('connection', (socket) => {
               socket.emit('messageError', { error: "Internal server error: Group ID missing." });
               return;
           }
-          if (!senderId) {
-              console.error('[Socket sendMessage] ERROR: senderId is missing in payload!', payload);
-              socket.emit('messageError', { error: "Internal server error: Sender ID missing." });
+          if (!(await isGroupMember(groupId, senderId))) {
+              console.warn(`[Socket sendMessage] User ${senderId} is not a member of group ${groupId}.`);
+              socket.emit('messageError', { error: "Access denied. You are not a member of this group." });
               return;
           }
           if (messageType === 'text' && (messageText === undefined || messageText.trim() === '')) {
@@ -176,7 +233,7 @@ io.on('connection', (socket) => {
           }
           
           console.log(`[Socket sendMessage] Broadcasting 'newMessage' to group room: ${groupId}. Populated message data:`, JSON.stringify(populatedMessage, null, 2));
-          io.to(groupId).emit('newMessage', populatedMessage); // Emit to all clients in the group room
+          io.to(String(groupId)).emit('newMessage', populatedMessage); // Emit to all clients in the group room
 
       } catch (error) {
           console.error('[Socket sendMessage] FULL ERROR during save or broadcast:', error);
@@ -224,6 +281,16 @@ const startServer = async () => {
     };
     await mongoose.connect(MONGO_URI, mongoOptions);
     console.log('MongoDB Connected successfully!');
+
+    // Make sure the built-in roles (admin, moderator, support, farmer, consumer) exist
+    await ensureDefaultRoles();
+
+    // Purge accounts whose self-deletion grace period has ended
+    startPurgeJob();
+    // Cancel orders that were not paid in time (gives their reserved stock back)
+    startOrderExpiryJob();
+    // Check unsettled / recently settled payments against the provider (missed webhooks, mismatches)
+    startReconciliationJob();
     
     // Use 'server.listen' (the http server) instead of 'app.listen' for Socket.IO
     server.listen(PORT, () => console.log(`Server (with Socket.IO) running on port ${PORT}`));
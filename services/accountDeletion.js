@@ -0,0 +1,190 @@
+// backend/services/accountDeletion.js
+// Account removal (self-service with a grace period, or immediate by an admin) and personal data export.
+// An account with unfinished orders (as buyer or seller) or money in the seller ledger cannot be deleted:
+// the request is refused, and a purge that finds such an account waits and flags it (deletionBlockedReason).
+// While the deletion is scheduled the account is logged out, its API keys are revoked and its listings are
+// hidden and off sale (services/listingVisibility.js).
+//
+// Cascade when an account is purged:
+//   - messages:      kept, but anonymised (sender removed)
+//   - orders:        kept for accounting
+//   - ledger, payout batches: kept for accounting
+//   - products:      deleted
+//   - addresses:     deleted
+//   - verification:  KYC records and their documents deleted
+//   - sessions, API keys, login throttles, OTPs: deleted / revoked
+const User = require('../models/User');
+const Address = require('../models/Address');
+const Order = require('../models/Order');
+const SubOrder = require('../models/SubOrder');
+const Refund = require('../models/Refund');
+const LedgerEntry = require('../models/LedgerEntry');
+const Cart = require('../models/Cart');
+const Product = require('../models/Product');
+const Message = require('../models/Message');
+const FarmerGroup = require('../models/FarmerGroup');
+const FarmerVerification = require('../models/FarmerVerification');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
+const LoginThrottle = require('../models/LoginThrottle');
+const Otp = require('../models/Otp');
+const { destroyDocument } = require('../config/cloudinary');
+const ledger = require('./ledger');
+
+const GRACE_PERIOD_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10) || 14;
+const PURGE_INTERVAL_MINUTES = parseInt(process.env.ACCOUNT_PURGE_INTERVAL_MINUTES, 10) || 60;
+
+// Orders that have not reached a final status yet
+const OPEN_ORDER_STATUSES = ['awaiting_payment', 'pending', 'payment_failed', 'paid', 'processing', 'packed', 'shipped'];
+
+// What keeps the account from being deleted: [] or reasons such as '2 unfinished orders as a seller'
+const deletionBlockers = async (userId) => {
+    const [buying, sellingSplit, sellingWhole, earnings] = await Promise.all([
+        Order.countDocuments({ userId, status: { $in: OPEN_ORDER_STATUSES } }),
+        SubOrder.countDocuments({ sellerId: userId, status: { $in: OPEN_ORDER_STATUSES } }),
+        Order.countDocuments({ 'items.sellerId': userId, 'subOrders.0': { $exists: false }, status: { $in: OPEN_ORDER_STATUSES } }),
+        ledger.sellerEarnings(userId)
+    ]);
+    const blockers = [];
+    if (buying > 0) blockers.push(`${buying} unfinished order(s) as a buyer`);
+    if (sellingSplit + sellingWhole > 0) blockers.push(`${sellingSplit + sellingWhole} unfinished order(s) as a seller`);
+    if (earnings.balance !== 0) blockers.push(`a seller balance of ${earnings.balance} ${earnings.currency}`);
+    if (earnings.pendingPayout !== 0) blockers.push(`a payout of ${earnings.pendingPayout} ${earnings.currency} in progress`);
+    return blockers;
+};
+
+// JSON archive of everything we hold about a user
+const exportUserData = async (userId) => {
+    const [profile, addresses, cart, orders, refunds, earnings, products, messages, verifications, sessions] = await Promise.all([
+        User.findById(userId).select('-addresses').lean(),
+        Address.find({ userId }).lean(),
+        Cart.findOne({ userId }).select('items updatedAt').lean(),
+        Order.find({ userId }).sort({ createdAt: -1 }).lean(),
+        Refund.find({ buyerId: userId }).select('-provider.response').sort({ createdAt: -1 }).lean(),
+        LedgerEntry.find({ sellerId: userId, account: 'seller' }).sort({ createdAt: 1 }).lean(), // Seller earnings history
+        Product.find({ sellerId: userId }).sort({ createdAt: -1 }).lean(),
+        Message.find({ senderId: userId }).sort({ sentAt: 1 }).lean(),
+        // Document files themselves are not included, only what was submitted and when
+        FarmerVerification.find({ userId }).select('-documents.url -documents.publicId').lean(),
+        Session.find({ userId }).select('userAgent ip createdAt lastUsedAt revokedAt').lean()
+    ]);
+    if (!profile) {
+        return null;
+    }
+    return {
+        exportedAt: new Date(),
+        profile,
+        addresses,
+        cart,
+        orders,
+        refunds,
+        earnings,
+        products,
+        messages,
+        verifications,
+        sessions
+    };
+};
+
+// Marks the account for deletion after the grace period, logs it out everywhere and revokes its API keys.
+// Resolves to { deletionScheduledFor } or { error, status, blockers }.
+const scheduleDeletion = async (userId) => {
+    const blockers = await deletionBlockers(userId);
+    if (blockers.length > 0) {
+        return { error: `The account cannot be deleted yet: ${blockers.join('; ')}.`, status: 409, blockers };
+    }
+    const now = new Date();
+    const deletionScheduledFor = new Date(now.getTime() + GRACE_PERIOD_DAYS * 24 * 60 * 60 * 1000);
+    await User.updateOne({ _id: userId }, { $set: { deletionRequestedAt: now, deletionScheduledFor, deletionBlockedReason: null } });
+    await Session.updateMany(
+        { userId, revokedAt: null },
+        { $set: { revokedAt: now, revokedReason: 'account_deletion_requested' } }
+    );
+    await ApiKey.updateMany({ userId, revokedAt: null }, { $set: { revokedAt: now } });
+    return { deletionScheduledFor };
+};
+
+// Cancels a pending self-deletion. Returns true if one was pending.
+const cancelDeletion = async (userId) => {
+    const result = await User.updateOne(
+        { _id: userId, deletionScheduledFor: { $ne: null } },
+        { $set: { deletionRequestedAt: null, deletionScheduledFor: null, deletionBlockedReason: null } }
+    );
+    return result.modifiedCount > 0;
+};
+
+// Runs the cascade and removes the user. Resolves to the deleted user (lean) or null if not found.
+const deleteUserData = async (userId) => {
+    const user = await User.findById(userId).lean();
+    if (!user) {
+        return null;
+    }
+
+    await Message.updateMany({ senderId: userId }, { $set: { senderDeleted: true }, $unset: { senderId: '' } });
+    await Product.deleteMany({ sellerId: userId });
+    await Address.deleteMany({ userId });
+    await Cart.deleteOne({ userId });
+    await FarmerGroup.updateMany({ members: userId }, { $pull: { members: userId } });
+
+    const verifications = await FarmerVerification.find({ userId }).lean();
+    for (const verification of verifications) {
+        for (const document of verification.documents) {
+            try {
+                await destroyDocument(document.publicId);
+            } catch (err) {
+                console.error(`Account deletion: could not remove verification document ${document.publicId}:`, err.message);
+            }
+        }
+    }
+    await FarmerVerification.deleteMany({ userId });
+
+    await Session.deleteMany({ userId });
+    await ApiKey.updateMany({ userId, revokedAt: null }, { $set: { revokedAt: new Date() } });
+    if (user.phone) {
+        await LoginThrottle.deleteMany({ type: 'phone', value: user.phone });
+        await Otp.deleteMany({ phone: user.phone });
+    }
+
+    // Orders and refunds are intentionally left in place (their user IDs then point at a deleted account)
+    await User.deleteOne({ _id: userId });
+    console.log(`Account deletion: user ${userId} and their personal data removed`);
+    return user;
+};
+
+// Purges every account whose grace period has ended. One that still has unfinished orders or money in the
+// ledger (e.g. a sale paid out after the request) waits, flagged for staff, and is tried again on the next run.
+const purgeDueAccounts = async () => {
+    const due = await User.find({ deletionScheduledFor: { $ne: null, $lte: new Date() } }).select('_id').lean();
+    for (const { _id } of due) {
+        try {
+            const blockers = await deletionBlockers(_id);
+            if (blockers.length > 0) {
+                console.warn(`Account deletion: purge of user ${_id} on hold: ${blockers.join('; ')}`);
+                await User.updateOne({ _id }, { $set: { deletionBlockedReason: blockers.join('; ') } });
+                continue;
+            }
+            await deleteUserData(_id);
+        } catch (err) {
+            console.error(`Account deletion: purge of user ${_id} failed:`, err.message, err);
+        }
+    }
+    return due.length;
+};
+
+// Starts the periodic purge. Called once the database connection is up.
+const startPurgeJob = () => {
+    const run = () => purgeDueAccounts().catch(err => console.error('Account deletion: purge run failed:', err.message));
+    run();
+    setInterval(run, PURGE_INTERVAL_MINUTES * 60 * 1000).unref();
+};
+
+module.exports = {
+    deletionBlockers,
+    exportUserData,
+    scheduleDeletion,
+    cancelDeletion,
+    deleteUserData,
+    purgeDueAccounts,
+    startPurgeJob,
+    GRACE_PERIOD_DAYS
+};
@@ -0,0 +1,60 @@
+// backend/services/apiKeyService.js
+// Generates, verifies and logs integration API keys. Key format: "agc_<prefix>_<secret>".
+const crypto = require('crypto');
+const ApiKey = require('../models/ApiKey');
+const ApiKeyUsage = require('../models/ApiKeyUsage');
+
+const KEY_PATTERN = /^agc_([a-f0-9]{12})_([a-f0-9]{48})$/;
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// Returns { key, prefix, keyHash }. `key` must be shown to the admin once and never stored.
+const generateKey = () => {
+    const prefix = crypto.randomBytes(6).toString('hex');
+    const key = `agc_${prefix}_${crypto.randomBytes(24).toString('hex')}`;
+    return { key, prefix, keyHash: hashKey(key) };
+};
+
+// Resolves to the active ApiKey document for a presented key, or null
+const findActiveKey = async (presentedKey) => {
+    const match = KEY_PATTERN.exec(String(presentedKey || '').trim());
+    if (!match) return null;
+
+    const apiKey = await ApiKey.findOne({ prefix: match[1] }).select('+keyHash');
+    if (!apiKey || apiKey.revokedAt || (apiKey.expiresAt && apiKey.expiresAt <= new Date())) {
+        return null;
+    }
+
+    const expected = Buffer.from(apiKey.keyHash, 'hex');
+    const actual = Buffer.from(hashKey(presentedKey.trim()), 'hex');
+    return crypto.timingSafeEqual(expected, actual) ? apiKey : null;
+};
+
+// Extracts a key from "X-API-Key: <key>" or "Authorization: ApiKey <key>"
+const keyFromRequest = (req) => {
+    const header = req.header('X-API-Key');
+    if (header) return header;
+    const authorization = req.header('Authorization');
+    if (authorization && authorization.startsWith('ApiKey ')) {
+        return authorization.slice('ApiKey '.length);
+    }
+    return null;
+};
+
+// Writes the usage log entry once the response is sent. Failures are logged, never thrown.
+const recordUsage = (apiKey, req, res) => {
+    res.on('finish', () => {
+        ApiKeyUsage.create({
+            apiKeyId: apiKey._id,
+            method: req.method,
+            path: req.originalUrl,
+            statusCode: res.statusCode,
+            ip: req.ip,
+            userAgent: req.get('User-Agent')
+        }).catch(err => console.error('API key usage log error:', err.message));
+        ApiKey.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: new Date() } })
+            .catch(err => console.error('API key lastUsedAt update error:', err.message));
+    });
+};
+
+module.exports = { generateKey, findActiveKey, keyFromRequest, recordUsage, hashKey };
@@ -0,0 +1,50 @@
+// backend/services/auditLog.js
+// Records privileged mutations in the AuditLog collection.
+// Auditing must never break the action being audited, so failures are only logged.
+const AuditLog = require('../models/AuditLog');
+
+// Bookkeeping fields that change on every save and would only add noise
+const IGNORED_FIELDS = new Set(['_id', '__v', 'updatedAt', 'createdAt', 'id', 'password', 'keyHash', 'refreshTokenHash']);
+
+const toPlain = (doc) => {
+    if (!doc) return {};
+    const plain = typeof doc.toObject === 'function' ? doc.toObject({ virtuals: false }) : doc;
+    return JSON.parse(JSON.stringify(plain)); // normalises ObjectIds/Dates for comparison and storage
+};
+
+// Top-level field diff between two versions of a document
+const diff = (before, after) => {
+    const a = toPlain(before);
+    const b = toPlain(after);
+    const fields = new Set([...Object.keys(a), ...Object.keys(b)]);
+    const changes = [];
+    for (const field of fields) {
+        if (IGNORED_FIELDS.has(field)) continue;
+        if (JSON.stringify(a[field]) !== JSON.stringify(b[field])) {
+            changes.push({ field, before: a[field], after: b[field] });
+        }
+    }
+    return changes;
+};
+
+// recordAudit(req, { action, targetType, targetId, before, after, meta })
+// `before`/`after` are documents or plain objects; pass only one of them for creations/deletions.
+const recordAudit = async (req, { action, targetType, targetId, before = null, after = null, meta }) => {
+    try {
+        await AuditLog.create({
+            actorId: req.user.id,
+            actorRole: req.user.role,
+            action,
+            targetType,
+            targetId: targetId ? String(targetId) : undefined,
+            changes: diff(before, after),
+            meta,
+            ip: req.ip,
+            userAgent: req.get('User-Agent')
+        });
+    } catch (err) {
+        console.error(`Audit log error for ${action} on ${targetType} ${targetId}:`, err.message);
+    }
+};
+
+module.exports = { recordAudit, diff };
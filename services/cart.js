@@ -0,0 +1,162 @@
+// backend/services/cart.js
+// Server-side shopping carts (models/Cart.js). Carts only hold product/variant IDs and quantities;
+// every read revalidates them against the current products, so the app always shows today's prices
+// and stock, with changed items flagged.
+const crypto = require('crypto');
+const Cart = require('../models/Cart');
+const { priceItems, pricingFor } = require('./orderPricing');
+
+// Problems the buyer can fix by lowering the quantity; everything else means the item is gone
+const STOCK_CODES = ['out_of_stock', 'insufficient_stock'];
+
+const sameLine = (item, productId, variantId) =>
+    String(item.productId) === String(productId) && String(item.variantId || '') === String(variantId || '');
+
+// The cart of { userId } or { guestToken }. With `create`, a missing cart is made (a new guest cart gets a fresh token).
+const findCart = async ({ userId, guestToken }, { create = false } = {}) => {
+    if (userId) {
+        return create
+            ? Cart.findOneAndUpdate({ userId }, { $setOnInsert: { userId } }, { upsert: true, new: true })
+            : Cart.findOne({ userId });
+    }
+    const cart = guestToken ? await Cart.findOne({ guestToken }) : null;
+    if (cart || !create) return cart;
+    return Cart.create({ guestToken: crypto.randomBytes(24).toString('hex') });
+};
+
+// Checks `quantity` of a product/variant against the current product data.
+// Resolves to { item } (priced) or { error, code, available?, status }.
+const checkLine = async (productId, variantId, quantity) => {
+    const [line] = await priceItems([{ productId, variantId, quantity }]);
+    if (!line.error) return line;
+    const { msg, code, available } = line.error;
+    return { error: msg, code, available, status: STOCK_CODES.includes(code) ? 409 : 400 };
+};
+
+const touch = (cart) => {
+    cart.lastActivityAt = new Date();
+    return cart.save();
+};
+
+// Adds `quantity` of a product (or one of its variants) to the cart, on top of what is already there.
+// Resolves to { cart } or { error, code, available?, status }.
+const addItem = async (cart, { productId, variantId = null, quantity = 1 }) => {
+    const added = Number(quantity);
+    if (!Number.isInteger(added) || added < 1) {
+        return { error: 'Quantity must be a whole number of at least 1.', code: 'invalid_quantity', status: 400 };
+    }
+    const existing = cart.items.find(item => sameLine(item, productId, variantId));
+    const checked = await checkLine(productId, variantId, (existing ? existing.quantity : 0) + added);
+    if (checked.error) return checked;
+
+    if (existing) {
+        existing.quantity = checked.item.quantity;
+        existing.price = checked.item.price;
+    } else {
+        cart.items.push({ productId: checked.item.productId, variantId: checked.item.variantId, quantity: checked.item.quantity, price: checked.item.price });
+    }
+    return { cart: await touch(cart) };
+};
+
+// Sets the quantity of one cart line. Resolves to { cart } or { error, code?, available?, status }.
+const updateItem = async (cart, itemId, quantity) => {
+    const item = cart.items.id(itemId);
+    if (!item) {
+        return { error: 'Item is not in the cart.', status: 404 };
+    }
+    const checked = await checkLine(item.productId, item.variantId, Number(quantity));
+    if (checked.error) return checked;
+    item.quantity = checked.item.quantity;
+    item.price = checked.item.price;
+    return { cart: await touch(cart) };
+};
+
+// Removes one cart line. Resolves to { cart } or { error, status }.
+const removeItem = async (cart, itemId) => {
+    const item = cart.items.id(itemId);
+    if (!item) {
+        return { error: 'Item is not in the cart.', status: 404 };
+    }
+    item.deleteOne();
+    return { cart: await touch(cart) };
+};
+
+const clearCart = async (cart) => {
+    cart.items = [];
+    return touch(cart);
+};
+
+// Takes the lines that were just ordered out of the cart
+const removeOrderedLines = (cart, lineIds) =>
+    Cart.updateOne({ _id: cart._id }, { $pull: { items: { _id: { $in: lineIds } } }, $set: { lastActivityAt: new Date() } });
+
+// Moves a guest cart's items into the user's cart (quantities of the same item are added up) and removes
+// the guest cart. Resolves to the user's cart, or null when there was no such guest cart.
+const mergeGuestCart = async (userId, guestToken) => {
+    if (!guestToken) return null;
+    const guestCart = await Cart.findOneAndDelete({ guestToken: String(guestToken) });
+    if (!guestCart) return null;
+
+    const cart = await findCart({ userId }, { create: true });
+    for (const guestItem of guestCart.items) {
+        const existing = cart.items.find(item => sameLine(item, guestItem.productId, guestItem.variantId));
+        if (existing) {
+            existing.quantity += guestItem.quantity;
+        } else {
+            cart.items.push({ productId: guestItem.productId, variantId: guestItem.variantId, quantity: guestItem.quantity, price: guestItem.price });
+        }
+    }
+    console.log(`Cart: merged guest cart ${guestCart._id} (${guestCart.items.length} items) into the cart of user ${userId}`);
+    return touch(cart);
+};
+
+// The cart as the app shows it: every line revalidated against the current product data.
+// Each item has a `status`: 'ok', 'price_changed' (with `previousPrice`), or the pricing service's error code
+// ('out_of_stock', 'insufficient_stock' with `available`, 'product_not_found', 'variant_not_found', ...).
+// A price change is flagged once: the new price is remembered, so checking out again accepts it.
+const cartView = async (cart) => {
+    const lines = cart.items.length > 0
+        ? await priceItems(cart.items.map(item => ({ productId: item.productId, variantId: item.variantId, quantity: item.quantity })))
+        : [];
+
+    const items = [];
+    const orderable = [];
+    for (const [index, cartItem] of cart.items.entries()) {
+        const { item, error } = lines[index];
+        const view = { _id: cartItem._id, productId: cartItem.productId, variantId: cartItem.variantId, quantity: cartItem.quantity, addedAt: cartItem.addedAt };
+        if (error) {
+            items.push({ ...view, status: error.code, msg: error.msg, ...(error.available !== undefined && { available: error.available }) });
+            continue;
+        }
+        const { name, imageUrl, unit, variantName, sellerId, price, listPrice, lineTotal } = item;
+        Object.assign(view, { name, imageUrl, unit, variantName, sellerId, price, listPrice, lineTotal, status: 'ok' });
+        if (cartItem.price !== price) {
+            if (cartItem.price != null) {
+                view.status = 'price_changed';
+                view.previousPrice = cartItem.price;
+            }
+            await Cart.updateOne({ _id: cart._id, 'items._id': cartItem._id }, { $set: { 'items.$.price': price } });
+        }
+        items.push(view);
+        orderable.push(item);
+    }
+
+    return {
+        ...(cart.guestToken && { cartToken: cart.guestToken }),
+        items,
+        pricing: orderable.length > 0 ? pricingFor(orderable) : null,
+        hasChanges: items.some(item => item.status !== 'ok'), // Something needs the buyer's attention before checkout
+        updatedAt: cart.updatedAt
+    };
+};
+
+module.exports = {
+    findCart,
+    addItem,
+    updateItem,
+    removeItem,
+    clearCart,
+    removeOrderedLines,
+    mergeGuestCart,
+    cartView
+};
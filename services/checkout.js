@@ -0,0 +1,154 @@
+// backend/services/checkout.js
+// Turns a list of { productId, variantId, quantity } into an order: prices it on the server, reserves
+// the stock and splits it per seller. Used by POST /api/orders and the cart checkout (POST /api/cart/checkout).
+const Order = require('../models/Order');
+const SubOrder = require('../models/SubOrder');
+const inventoryService = require('./inventoryService');
+const orderPricing = require('./orderPricing');
+const coupons = require('./coupons');
+const payments = require('./payments');
+const orderStatus = require('./orderStatus');
+const { splitOrder } = require('./subOrders');
+
+// What the buyer sees of each seller's part of their order
+const SUB_ORDER_BUYER_POPULATE = {
+    path: 'subOrders',
+    select: 'sellerId status shipping subtotal items.productId items.variantId',
+    populate: { path: 'sellerId', select: 'fullName avatarUrl sellerVerified' }
+};
+
+// placeOrder(userId, { items, shippingAddress, couponCode, paymentProvider, idempotencyKey })
+// `paymentProvider` names one of services/payments' enabled providers (the default one if omitted).
+// The order's tx_ref is generated here; the payment is started afterwards for the order (POST /api/payment/initialize-payment).
+// Placing an order again with the same `idempotencyKey` returns the first order instead of a second one.
+// Resolves to { status, body } to answer with; on success also { order } (the saved order).
+// Unexpected errors are thrown after anything half-created has been undone.
+const placeOrder = async (userId, { items, shippingAddress, couponCode, paymentProvider, idempotencyKey }) => {
+    if (!items || items.length === 0 || !shippingAddress) {
+        return { status: 400, body: { error: 'Missing required order information (items or shippingAddress).' } };
+    }
+    if (idempotencyKey !== undefined && (typeof idempotencyKey !== 'string' || !idempotencyKey.trim() || idempotencyKey.length > 100)) {
+        return { status: 400, body: { error: 'idempotencyKey must be a non-empty string of at most 100 characters.' } };
+    }
+
+    // Add check for shippingAddress being an object and having required nested fields
+    // This provides a more specific 400 error before Mongoose validation
+    if (typeof shippingAddress !== 'object' || shippingAddress === null ||
+        !shippingAddress.address || !shippingAddress.city || !shippingAddress.postalCode) {
+        console.error("Received invalid shippingAddress structure:", shippingAddress);
+        return { status: 400, body: { error: 'Invalid shippingAddress structure. Requires object with address, city, postalCode.' } };
+    }
+
+    const payment = payments.resolveProvider(paymentProvider);
+    if (payment.error) {
+        return { status: 400, body: { error: payment.error } };
+    }
+
+    // A retried checkout gets the order it already placed
+    if (idempotencyKey) {
+        const existingOrder = await Order.findOne({ userId, idempotencyKey }).populate(SUB_ORDER_BUYER_POPULATE);
+        if (existingOrder) {
+            console.warn(`Order with idempotency key ${idempotencyKey} already exists for user ${userId}. Returning existing order.`);
+            return { status: 200, body: existingOrder };
+        }
+    }
+
+    // Price every item from the database; reject with a per-item error list if anything can't be ordered
+    const quote = await orderPricing.priceOrder(items, { couponCode, userId });
+    if (quote.errors) {
+        return { status: 400, body: pricingErrorBody(quote.errors) };
+    }
+
+    // Take the stock for every item, or reject the whole order if anything is short
+    const reservation = await inventoryService.reserveItems(quote.items);
+    if (!reservation.ok) {
+        return {
+            status: 409,
+            body: {
+                error: `Not enough stock for "${reservation.item.name}". Only ${reservation.available} left.`,
+                productId: reservation.item.productId,
+                variantId: reservation.item.variantId || null,
+                available: reservation.available
+            }
+        };
+    }
+
+    // One use of the promo code, unless it was used up meanwhile
+    if (quote.couponId && !(await coupons.claimCoupon(quote.couponId))) {
+        await inventoryService.releaseItems(quote.items);
+        return { status: 409, body: { error: 'This promo code has been used up.', code: 'invalid_coupon' } };
+    }
+
+    let savedOrder = null;
+    try {
+        const newOrder = new Order({
+            userId,
+            items: quote.items,
+            totalAmount: quote.pricing.total,
+            pricing: quote.pricing,
+            shippingAddress,
+            tx_ref: payments.generateTxRef(),
+            paymentProvider: payment.name,
+            idempotencyKey,
+            status: 'awaiting_payment', // Every new order starts here; later changes go through PATCH /api/orders/:id/status
+            statusHistory: [{ from: null, to: 'awaiting_payment', actorType: 'buyer', actorId: userId }],
+            reservation: { status: 'held', expiresAt: inventoryService.reservationExpiry() }, // Released if not paid in time
+        });
+
+        savedOrder = await newOrder.save(); // Mongoose validation runs here (including the enum check on `status`)
+
+        // One fulfilment sub-order per seller in the cart
+        const subOrders = await splitOrder(savedOrder);
+        if (quote.couponId) {
+            const redemption = await coupons.recordRedemption(quote.couponId, savedOrder);
+            if (redemption.error) {
+                // A concurrent checkout of the same user used the code first: undone below like any failure
+                throw Object.assign(new Error(redemption.error), { couponError: true });
+            }
+        }
+        console.log(`Order saved successfully with ID: ${savedOrder._id}, tx_ref: ${savedOrder.tx_ref}, total: ${savedOrder.totalAmount}, sellers: ${subOrders.length}, payment: ${payment.name}`);
+
+        // Nothing to pay online (cash on delivery): the order goes to the sellers right away
+        if (payment.provider.settlesOnDelivery) {
+            const confirmed = await orderStatus.transitionOrder(savedOrder, 'paid', { type: 'payment' }, `${payment.provider.label}: payment due on delivery`);
+            if (confirmed.error) throw new Error(`Could not confirm order ${savedOrder._id}: ${confirmed.error}`);
+        }
+
+        return { status: 201, body: await Order.findById(savedOrder._id).populate(SUB_ORDER_BUYER_POPULATE), order: savedOrder };
+    } catch (err) {
+        if (savedOrder) {
+            // Don't leave a half-created order behind
+            await Order.deleteOne({ _id: savedOrder._id }).catch(() => {});
+            await SubOrder.deleteMany({ orderId: savedOrder._id }).catch(() => {});
+        }
+        // The order was not created, give the stock and the coupon use back
+        if (quote.couponId) {
+            await coupons.undoClaim(quote.couponId, savedOrder?._id).catch(() => {});
+        }
+        await inventoryService.releaseItems(quote.items).catch(releaseErr => console.error("Error releasing stock of failed order:", releaseErr.message));
+
+        if (err.couponError) {
+            return { status: 409, body: { error: err.message, code: 'invalid_coupon' } };
+        }
+        // The same checkout placed concurrently: the other request created the order
+        if (err.code === 11000 && idempotencyKey) {
+            const existingOrder = await Order.findOne({ userId, idempotencyKey }).populate(SUB_ORDER_BUYER_POPULATE);
+            if (existingOrder) return { status: 200, body: existingOrder };
+        }
+        // If it's a Mongoose validation error, extract details
+        if (err.name === 'ValidationError') {
+            const errors = Object.keys(err.errors).map(key => err.errors[key].message);
+            return { status: 400, body: { error: `Order validation failed: ${errors.join(', ')}` } };
+        }
+        throw err;
+    }
+};
+
+// Body for the per-item problems found by the pricing service
+// (problems with the order as a whole, like an unusable promo code, have index null and bring their own message)
+const pricingErrorBody = (errors) => ({
+    error: errors.length === 1 && errors[0].index === null ? errors[0].msg : 'Some items cannot be ordered.',
+    items: errors
+});
+
+module.exports = { placeOrder, pricingErrorBody, SUB_ORDER_BUYER_POPULATE };
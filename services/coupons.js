@@ -0,0 +1,128 @@
+// backend/services/coupons.js
+// Promo code rules (models/Coupon.js). orderPricing asks checkCoupon for the discount of a code;
+// placing the order claims one use of it (claimCoupon + recordRedemption) and cancelling the order
+// unpaid gives that use back (releaseRedemption).
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const Order = require('../models/Order');
+
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+// Whether the user already has an order that was not cancelled
+const hasPlacedOrder = (userId) => Order.exists({ userId, status: { $ne: 'cancelled' } });
+
+// Checks whether `userId` may use coupon `code` on `items` (priced items: lineTotal, sellerId, category).
+// Resolves to { coupon, eligibleItems, discount } (discount not yet rounded) or { error } to show to the buyer.
+const checkCoupon = async (code, { items, userId }) => {
+    const coupon = await Coupon.findOne({ code: normalizeCode(code) }).lean();
+    if (!coupon || !coupon.active) {
+        return { error: 'This promo code is not valid.' };
+    }
+    const now = new Date();
+    if (coupon.startsAt && coupon.startsAt > now) {
+        return { error: 'This promo code is not active yet.' };
+    }
+    if (coupon.endsAt && coupon.endsAt < now) {
+        return { error: 'This promo code has expired.' };
+    }
+    if (coupon.usageLimit != null && coupon.redemptionCount >= coupon.usageLimit) {
+        return { error: 'This promo code has been used up.' };
+    }
+    const usedByUser = await CouponRedemption.countDocuments({ couponId: coupon._id, userId, status: 'active' });
+    if (usedByUser >= coupon.usageLimitPerUser) {
+        return { error: 'You have already used this promo code.' };
+    }
+    if (coupon.firstOrderOnly && await hasPlacedOrder(userId)) {
+        return { error: 'This promo code is only valid on your first order.' };
+    }
+
+    const categories = coupon.categories.map(category => category.toLowerCase());
+    const eligibleItems = items.filter(item =>
+        (categories.length === 0 || categories.includes(String(item.category).toLowerCase()))
+        && (coupon.sellerIds.length === 0 || coupon.sellerIds.some(id => String(id) === String(item.sellerId))));
+    if (eligibleItems.length === 0) {
+        return { error: 'This promo code does not apply to anything in your order.' };
+    }
+    const eligibleSubtotal = eligibleItems.reduce((sum, item) => sum + item.lineTotal, 0);
+    if (eligibleSubtotal < coupon.minOrderValue) {
+        return { error: `This promo code needs an order of at least ${coupon.minOrderValue}${categories.length || coupon.sellerIds.length ? ' in eligible items' : ''}.` };
+    }
+
+    let discount = coupon.type === 'percentage' ? eligibleSubtotal * coupon.value / 100 : coupon.value;
+    if (coupon.type === 'percentage' && coupon.maxDiscount != null) {
+        discount = Math.min(discount, coupon.maxDiscount);
+    }
+    return { coupon, eligibleItems, discount: Math.min(discount, eligibleSubtotal) };
+};
+
+// Takes one use of the coupon for an order being placed. The overall limit is checked in the same
+// update, so concurrent checkouts cannot go over it. Resolves to false when the coupon is used up or was disabled.
+const claimCoupon = async (couponId) => {
+    const claimed = await Coupon.findOneAndUpdate(
+        { _id: couponId, active: true, $or: [{ usageLimit: null }, { $expr: { $lt: ['$redemptionCount', '$usageLimit'] } }] },
+        { $inc: { redemptionCount: 1 } }
+    );
+    return Boolean(claimed);
+};
+
+const unclaimCoupon = (couponId) => Coupon.updateOne({ _id: couponId, redemptionCount: { $gt: 0 } }, { $inc: { redemptionCount: -1 } });
+
+// Undoes claimCoupon (and recordRedemption, if it got that far) for an order that could not be created
+const undoClaim = async (couponId, orderId) => {
+    if (orderId) {
+        await CouponRedemption.deleteOne({ orderId });
+    }
+    await unclaimCoupon(couponId);
+};
+
+// Records the use of a claimed coupon by a saved order. checkCoupon's per-user rules are enforced again
+// here, where concurrent checkouts of the same user cannot both pass: each active use takes one of the
+// user's usageLimitPerUser slots (a unique index), and a first-order coupon fails if the user has another order.
+// Resolves to { redemption } or { error } to show to the buyer (the caller then undoes the order).
+const recordRedemption = async (couponId, order) => {
+    const coupon = await Coupon.findById(couponId).select('usageLimitPerUser firstOrderOnly').lean();
+    let redemption = null;
+    for (let slot = 1; slot <= (coupon?.usageLimitPerUser || 1) && !redemption; slot++) {
+        try {
+            redemption = await CouponRedemption.create({
+                couponId,
+                code: order.pricing.couponCode,
+                userId: order.userId,
+                orderId: order._id,
+                discount: order.pricing.discount,
+                orderTotal: order.totalAmount,
+                slot
+            });
+        } catch (err) {
+            if (err.code !== 11000 || !err.keyPattern?.slot) throw err; // Slot taken: try the next one
+        }
+    }
+    if (!redemption) {
+        return { error: 'You have already used this promo code.' };
+    }
+    if (coupon?.firstOrderOnly && await Order.exists({ userId: order.userId, _id: { $ne: order._id }, status: { $ne: 'cancelled' } })) {
+        return { error: 'This promo code is only valid on your first order.' };
+    }
+    return { redemption };
+};
+
+// Gives back the coupon use of an order that will never be paid (cancelled or expired)
+const releaseRedemption = async (orderId) => {
+    const redemption = await CouponRedemption.findOneAndUpdate(
+        { orderId, status: 'active' },
+        { $set: { status: 'released', releasedAt: new Date() } }
+    );
+    if (!redemption) return false;
+    await unclaimCoupon(redemption.couponId);
+    console.log(`Coupons: released ${redemption.code} of order ${orderId}`);
+    return true;
+};
+
+module.exports = {
+    normalizeCode,
+    checkCoupon,
+    claimCoupon,
+    undoClaim,
+    recordRedemption,
+    releaseRedemption
+};
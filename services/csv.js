@@ -0,0 +1,22 @@
+// backend/services/csv.js
+// Minimal CSV writing for admin exports (RFC 4180 quoting).
+
+const escapeCell = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = value instanceof Date ? value.toISOString() : String(value);
+    // Quote anything with separators/quotes/newlines, and neutralise spreadsheet formulas
+    const safe = /^[=+\-@]/.test(text) && isNaN(Number(text)) ? `'${text}` : text;
+    return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+};
+
+// columns: [{ header, value: (row) => any }]
+const csvHeader = (columns) => columns.map(column => escapeCell(column.header)).join(',') + '\r\n';
+const csvRow = (columns, row) => columns.map(column => escapeCell(column.value(row))).join(',') + '\r\n';
+
+// Sets the download headers for a CSV response
+const startCsvDownload = (res, filename) => {
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+};
+
+module.exports = { csvHeader, csvRow, startCsvDownload };
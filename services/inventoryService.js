@@ -0,0 +1,110 @@
+// backend/services/inventoryService.js
+// Stock reservation for orders.
+//
+// Checkout takes the ordered quantities out of Product.stockQuantity (or the variant's stockQuantity)
+// with conditional updates ("only if at least N left"), so two concurrent checkouts can never both get
+// the last unit. If any item is short, what was already taken for that order is put back.
+// The order then holds the stock until it is paid (committed) or the hold is released
+// (payment window expired or order cancelled). Status changes drive this: services/orderStatus.js.
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const { summarizeVariants } = require('./productVariants');
+
+const RESERVATION_TTL_MINUTES = parseInt(process.env.INVENTORY_RESERVATION_TTL_MINUTES, 10) || 30;
+const EXPIRY_CHECK_INTERVAL_SECONDS = parseInt(process.env.INVENTORY_EXPIRY_CHECK_INTERVAL_SECONDS, 10) || 60;
+
+// Conditional stock change for one item. `delta` is negative to take stock, positive to put it back.
+const adjustStock = (item, delta) => {
+    if (item.variantId) {
+        const filter = { _id: item.productId, variants: { $elemMatch: { _id: item.variantId } } };
+        if (delta < 0) filter.variants.$elemMatch.stockQuantity = { $gte: -delta };
+        return Product.updateOne(filter, { $inc: { 'variants.$.stockQuantity': delta } });
+    }
+    const filter = { _id: item.productId };
+    if (delta < 0) filter.stockQuantity = { $gte: -delta };
+    return Product.updateOne(filter, { $inc: { stockQuantity: delta } });
+};
+
+// Keeps the derived price/unit/total stock of variant products in line after their stock moved
+const refreshVariantSummaries = async (items) => {
+    const productIds = [...new Set(items.filter(item => item.variantId).map(item => String(item.productId)))];
+    for (const productId of productIds) {
+        const product = await Product.findById(productId).select('variants').lean();
+        if (product && product.variants.length > 0) {
+            await Product.updateOne({ _id: productId }, { $set: summarizeVariants(product.variants) });
+        }
+    }
+};
+
+// Puts the stock of `items` back
+const releaseItems = async (items) => {
+    for (const item of items) {
+        await adjustStock(item, item.quantity);
+    }
+    await refreshVariantSummaries(items);
+};
+
+// Takes stock for every item, all or nothing.
+// Resolves to { ok: true } or { ok: false, item, available } for the first item that is short.
+const reserveItems = async (items) => {
+    const taken = [];
+    for (const item of items) {
+        const result = await adjustStock(item, -item.quantity);
+        if (result.modifiedCount !== 1) {
+            await releaseItems(taken);
+            const product = await Product.findById(item.productId).select('stockQuantity variants').lean();
+            const variant = item.variantId && product?.variants.find(v => v._id.toString() === String(item.variantId));
+            const available = item.variantId ? (variant?.stockQuantity ?? 0) : (product?.stockQuantity ?? 0);
+            return { ok: false, item, available };
+        }
+        taken.push(item);
+    }
+    await refreshVariantSummaries(items);
+    return { ok: true };
+};
+
+// When a new order's hold runs out
+const reservationExpiry = () => new Date(Date.now() + RESERVATION_TTL_MINUTES * 60 * 1000);
+
+// Gives back the stock held by an order. The status flip is atomic, so stock is returned at most once.
+const releaseOrderReservation = async (orderOrId, reason) => {
+    const order = await Order.findOneAndUpdate(
+        { _id: orderOrId._id || orderOrId, 'reservation.status': 'held' },
+        { $set: { 'reservation.status': 'released', 'reservation.releasedAt': new Date(), 'reservation.releasedReason': reason } },
+        { new: true }
+    );
+    if (!order) return false;
+    await releaseItems(order.items);
+    console.log(`Inventory: released stock of order ${order._id} (${reason})`);
+    return true;
+};
+
+// Gives back the stock of `items` of a paid order that will not ship after all (cancelled by staff, or rejected).
+// The atomic flip from 'committed' makes it happen at most once per order.
+const releaseCommittedStock = async (orderId, items, reason) => {
+    const order = await Order.findOneAndUpdate(
+        { _id: orderId, 'reservation.status': 'committed' },
+        { $set: { 'reservation.status': 'released', 'reservation.releasedAt': new Date(), 'reservation.releasedReason': reason } }
+    );
+    if (!order) return false;
+    await releaseItems(items);
+    console.log(`Inventory: returned the stock of ${items.length} item(s) of paid order ${orderId} (${reason})`);
+    return true;
+};
+
+// Makes an order's decrement final once it is paid. Only unpaid orders that still hold their stock can
+// be paid: a hold is released by cancelling the order, and a payment for a cancelled order is sent back
+// (services/paymentSettlement.js), so the stock never has to be taken again here.
+const commitOrderReservation = async (orderId) => {
+    await Order.updateOne({ _id: orderId, 'reservation.status': 'held' }, { $set: { 'reservation.status': 'committed' } });
+};
+
+module.exports = {
+    reserveItems,
+    releaseItems,
+    reservationExpiry,
+    releaseOrderReservation,
+    releaseCommittedStock,
+    commitOrderReservation,
+    EXPIRY_CHECK_INTERVAL_SECONDS
+};
@@ -0,0 +1,216 @@
+// backend/services/ledger.js
+// Seller payouts ledger (models/LedgerEntry.js): what the platform owes each seller for their sales.
+//
+//   sale (an order is paid, per item):  seller +(goods - commission), commission +commission,
+//                                       customer_funds -(goods - discount), discounts -discount
+//   refund (per refunded item):         the same, reversed, for the refunded quantity (at the sale's commission rate)
+//   reversal (per item):                whatever is left of the item's sale after its refunds, taken back when the
+//                                       item will not be paid for after all (order refunded or cancelled by staff,
+//                                       portion rejected by the seller); refunds of a reversed item are not booked again
+//   payouts (services/payouts.js):      seller -amount, payouts_pending +amount; then paid or cancelled
+//
+// `goods` is the item's price x quantity: coupon discounts and delivery / service fees are the platform's,
+// so the seller's side never depends on them. The commission rate is a seller rule, else a category rule
+// (models/CommissionRule.js), else PLATFORM_COMMISSION_PERCENT (default 10).
+// Every journal has a fixed key per account, so writing it again (a replayed webhook, the backfill script) is harmless.
+// A journal is claimed (models/LedgerJournal.js) before its lines are written, and only the claimed lines are
+// ever written: two writers racing for the same journal cannot leave it unbalanced.
+const mongoose = require('mongoose');
+const LedgerEntry = require('../models/LedgerEntry');
+const LedgerJournal = require('../models/LedgerJournal');
+const CommissionRule = require('../models/CommissionRule');
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const { roundMoney, CURRENCY } = require('./orderPricing');
+
+const envCommission = parseFloat(process.env.PLATFORM_COMMISSION_PERCENT);
+const DEFAULT_COMMISSION_PERCENT = Number.isFinite(envCommission) ? envCommission : 10;
+
+// Commission lookup for a set of sellers and categories, with one query: (sellerId, category) -> percent
+const commissionRates = async (sellerIds, categories) => {
+    const rules = await CommissionRule.find({
+        $or: [
+            { scope: 'seller', sellerId: { $in: sellerIds } },
+            { scope: 'category', category: { $in: categories.filter(Boolean).map(category => category.toLowerCase()) } }
+        ]
+    }).lean();
+    const bySeller = new Map(rules.filter(rule => rule.scope === 'seller').map(rule => [String(rule.sellerId), rule.ratePercent]));
+    const byCategory = new Map(rules.filter(rule => rule.scope === 'category').map(rule => [rule.category, rule.ratePercent]));
+    return (sellerId, category) => bySeller.get(String(sellerId))
+        ?? byCategory.get(String(category || '').toLowerCase())
+        ?? DEFAULT_COMMISSION_PERCENT;
+};
+
+// The commission percent that applies to a seller's item of `category` right now
+const commissionRateFor = async (sellerId, category) => (await commissionRates([sellerId], [category]))(sellerId, category);
+
+// Writes the lines of one journal (amounts must add up to zero). Lines already written are skipped.
+// If the journal was claimed before (by this caller or another one), its claimed lines are written instead
+// of `lines`. Resolves to the claim: { journal, type, entries }, where `entries` are the lines written.
+const writeJournal = async (journal, type, common, lines) => {
+    const entries = lines.map(line => ({
+        journal,
+        key: `${journal}:${line.account}`,
+        type,
+        ...common,
+        account: line.account,
+        amount: roundMoney(line.amount)
+    }));
+    let claim;
+    try {
+        claim = (await LedgerJournal.create({ journal, type, entries })).toObject();
+    } catch (err) {
+        if (err.code !== 11000) throw err;
+        claim = await LedgerJournal.findOne({ journal }).lean();
+    }
+    try {
+        await LedgerEntry.insertMany(claim.entries, { ordered: false });
+    } catch (err) {
+        const duplicatesOnly = err.code === 11000 && (!err.writeErrors || err.writeErrors.every(writeError => writeError.code === 11000));
+        if (!duplicatesOnly) throw err;
+    }
+    return claim;
+};
+
+// Orders from before items kept their category: take it from the product
+const fillMissingCategories = async (items) => {
+    const missing = items.filter(item => !item.category).map(item => item.productId);
+    if (missing.length === 0) return items;
+    const products = await Product.find({ _id: { $in: missing } }).select('category').lean();
+    const categories = new Map(products.map(product => [String(product._id), product.category]));
+    return items.map(item => (item.category ? item : { ...item, category: categories.get(String(item.productId)) }));
+};
+
+// Credits the sellers of a paid order (one sale journal per item). Safe to call more than once.
+const recordSale = async (order) => {
+    const items = await fillMissingCategories(order.items.filter(item => item.sellerId).map(item => (item.toObject ? item.toObject() : item)));
+    if (items.length === 0) return;
+    const rateFor = await commissionRates(items.map(item => item.sellerId), items.map(item => item.category));
+    const currency = order.pricing?.currency || CURRENCY;
+
+    for (const item of items) {
+        const goods = roundMoney(item.lineTotal ?? item.price * item.quantity);
+        const discount = roundMoney(item.discount || 0);
+        const rate = rateFor(item.sellerId, item.category);
+        const commission = roundMoney(goods * rate / 100);
+        await writeJournal(`sale:${item._id}`, 'sale', {
+            sellerId: item.sellerId,
+            currency,
+            orderId: order._id,
+            orderItemId: item._id,
+            quantity: item.quantity,
+            commissionRate: rate,
+            description: `${item.quantity} x ${item.name}`
+        }, [
+            { account: 'seller', amount: goods - commission },
+            { account: 'commission', amount: commission },
+            { account: 'customer_funds', amount: -(goods - discount) },
+            { account: 'discounts', amount: -discount }
+        ]);
+    }
+};
+
+// Debits the sellers for a completed refund (one refund journal per refunded item). Safe to call more than once.
+const recordRefund = async (refund) => {
+    const order = await Order.findById(refund.orderId);
+    if (!order) return;
+    await recordSale(order); // Orders paid before the ledger existed are credited first
+    const currency = refund.currency || order.pricing?.currency || CURRENCY;
+
+    for (const refunded of refund.items) {
+        const item = order.items.id(refunded.orderItemId);
+        if (!item || !item.sellerId) continue;
+        if (await LedgerEntry.exists({ key: `reversal:${item._id}:seller` })) continue; // Taken back in full already
+        const sale = await LedgerEntry.findOne({ key: `sale:${item._id}:seller` }).select('commissionRate').lean();
+        const rate = sale?.commissionRate ?? await commissionRateFor(item.sellerId, item.category);
+        const goods = roundMoney(item.price * refunded.quantity);
+        const commission = roundMoney(goods * rate / 100);
+        await writeJournal(`refund:${refund._id}:${item._id}`, 'refund', {
+            sellerId: item.sellerId,
+            currency,
+            orderId: order._id,
+            orderItemId: item._id,
+            refundId: refund._id,
+            quantity: refunded.quantity,
+            commissionRate: rate,
+            description: `Refund of ${refunded.quantity} x ${item.name}`
+        }, [
+            { account: 'seller', amount: -(goods - commission) },
+            { account: 'commission', amount: -commission },
+            { account: 'customer_funds', amount: refunded.amount },
+            { account: 'discounts', amount: goods - refunded.amount }
+        ]);
+    }
+};
+
+// Takes back the sellers' credit for `items` of `order` (see 'reversal' above): each account the item's
+// journals touched is brought back to zero. Items with nothing booked are skipped. Safe to call more than once.
+const reverseSales = async (order, items, reason) => {
+    const itemIds = items.filter(item => item.sellerId).map(item => new mongoose.Types.ObjectId(String(item._id))); // Aggregations don't cast
+    if (itemIds.length === 0) return;
+    const rows = await LedgerEntry.aggregate([
+        { $match: { orderItemId: { $in: itemIds } } },
+        { $group: { _id: { item: '$orderItemId', account: '$account' }, amount: { $sum: '$amount' }, sellerId: { $first: '$sellerId' }, currency: { $first: '$currency' } } }
+    ]);
+    for (const item of items) {
+        const booked = rows.filter(row => String(row._id.item) === String(item._id) && roundMoney(row.amount) !== 0);
+        if (booked.length === 0) continue;
+        await writeJournal(`reversal:${item._id}`, 'reversal', {
+            sellerId: booked[0].sellerId,
+            currency: booked[0].currency,
+            orderId: order._id,
+            orderItemId: item._id,
+            description: `${reason}: ${item.quantity} x ${item.name}`
+        }, booked.map(row => ({ account: row._id.account, amount: -row.amount })));
+    }
+};
+
+// Seller balances (the sum of their 'seller' account), largest first: [{ sellerId, balance, payoutCount }]
+// `payoutCount` is the number of payouts the balance was moved into so far (services/payouts.js numbers them).
+// Only sellers whose balance is at least `minBalance`; restricted to `sellerIds` when given.
+const sellerBalances = async ({ sellerIds, minBalance } = {}) => {
+    const match = { account: 'seller' };
+    if (sellerIds) match.sellerId = { $in: sellerIds.map(id => new mongoose.Types.ObjectId(String(id))) }; // Aggregations don't cast
+    const rows = await LedgerEntry.aggregate([
+        { $match: match },
+        { $group: { _id: '$sellerId', balance: { $sum: '$amount' }, payoutCount: { $sum: { $cond: [{ $eq: ['$type', 'payout'] }, 1, 0] } } } },
+        { $sort: { balance: -1 } }
+    ]);
+    return rows
+        .map(row => ({ sellerId: row._id, balance: roundMoney(row.balance), payoutCount: row.payoutCount }))
+        .filter(row => minBalance === undefined || row.balance >= minBalance);
+};
+
+// A seller's earnings: balance (owed and not in a payout yet), pending payouts, paid out, and totals per kind
+const sellerEarnings = async (sellerId) => {
+    const rows = await LedgerEntry.aggregate([
+        { $match: { sellerId: new mongoose.Types.ObjectId(String(sellerId)), account: { $in: ['seller', 'commission', 'payouts_pending', 'payouts_paid'] } } },
+        { $group: { _id: { account: '$account', type: '$type' }, amount: { $sum: '$amount' } } }
+    ]);
+    const sum = (account, types) => roundMoney(rows
+        .filter(row => row._id.account === account && (!types || types.includes(row._id.type)))
+        .reduce((total, row) => total + row.amount, 0));
+    return {
+        currency: CURRENCY,
+        balance: sum('seller'),
+        pendingPayout: sum('payouts_pending'),
+        paidOut: sum('payouts_paid'),
+        totals: {
+            sales: sum('seller', ['sale']), // After commission
+            refunds: -sum('seller', ['refund']),
+            reversed: -sum('seller', ['reversal']), // Sales taken back (order cancelled, refunded or rejected)
+            commission: sum('commission')
+        }
+    };
+};
+
+module.exports = {
+    DEFAULT_COMMISSION_PERCENT,
+    commissionRateFor,
+    writeJournal,
+    recordSale,
+    recordRefund,
+    reverseSales,
+    sellerBalances,
+    sellerEarnings
+};
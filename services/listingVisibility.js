@@ -0,0 +1,29 @@
+// backend/services/listingVisibility.js
+// Optional policy: when HIDE_UNVERIFIED_SELLER_LISTINGS=true, public product listings only show
+// products of sellers with the verified badge (User.sellerVerified).
+// Products of sellers whose account is scheduled for deletion are never shown (nor sold, see orderPricing.js).
+const User = require('../models/User');
+
+const hideUnverifiedSellers = () => process.env.HIDE_UNVERIFIED_SELLER_LISTINGS === 'true';
+
+// Sellers who asked for their account to be deleted (services/accountDeletion.js)
+const leavingSellerIds = () => User.distinct('_id', { deletionScheduledFor: { $ne: null } });
+
+// Returns `filter` restricted to visible sellers
+const withVisibleSellers = async (filter = {}) => {
+    if (!hideUnverifiedSellers()) {
+        return { $and: [filter, { sellerId: { $nin: await leavingSellerIds() } }] };
+    }
+    const verifiedSellerIds = await User.distinct('_id', { sellerVerified: true, deletionScheduledFor: null });
+    return { $and: [filter, { sellerId: { $in: verifiedSellerIds } }] };
+};
+
+// True if a single product may be shown publicly
+const isSellerVisible = async (sellerId) => {
+    if (!hideUnverifiedSellers()) {
+        return !(await User.exists({ _id: sellerId, deletionScheduledFor: { $ne: null } }));
+    }
+    return !!(await User.exists({ _id: sellerId, sellerVerified: true, deletionScheduledFor: null }));
+};
+
+module.exports = { withVisibleSellers, isSellerVisible, hideUnverifiedSellers, leavingSellerIds };
@@ -0,0 +1,156 @@
+// backend/services/loginThrottle.js
+// Brute-force protection for POST /api/auth/login.
+// Failures are counted per phone number and per IP. After a few failures each new attempt
+// must wait progressively longer; at the threshold the key is locked out for a while.
+const LoginThrottle = require('../models/LoginThrottle');
+
+const config = {
+    phoneThreshold: parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD, 10) || 5,
+    ipThreshold: parseInt(process.env.LOGIN_IP_LOCKOUT_THRESHOLD, 10) || 20,
+    lockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15,
+    // Failures older than this no longer count towards the threshold
+    windowMinutes: parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES, 10) || 15,
+    // Failures allowed before delays kick in, and the cap on a single delay
+    freeAttempts: 2,
+    maxDelaySeconds: 30,
+    // Attempts for one phone number are taken one at a time, at most one per this many seconds
+    attemptGapSeconds: 1,
+};
+
+const keysFor = (phone, ip) => {
+    const keys = [];
+    if (phone) keys.push({ key: `phone:${phone}`, type: 'phone', value: phone });
+    if (ip) keys.push({ key: `ip:${ip}`, type: 'ip', value: ip });
+    return keys;
+};
+
+// 1s, 2s, 4s, ... after the free attempts, capped at maxDelaySeconds
+const requiredDelaySeconds = (failedCount) => {
+    if (failedCount <= config.freeAttempts) return 0;
+    return Math.min(2 ** (failedCount - config.freeAttempts - 1), config.maxDelaySeconds);
+};
+
+const lockoutThreshold = (type) => (type === 'phone' ? config.phoneThreshold : config.ipThreshold);
+
+// Starts counting again after a quiet period or once a lockout has run out
+const resetIfStale = async (key, now) => {
+    await LoginThrottle.updateOne(
+        {
+            key,
+            $or: [
+                { failedCount: { $gt: 0 }, lastFailedAt: { $lt: new Date(now - config.windowMinutes * 60 * 1000) } },
+                { lockedUntil: { $lte: new Date(now) } }
+            ]
+        },
+        { $set: { failedCount: 0, firstFailedAt: null, lockedUntil: null } }
+    );
+};
+
+// Resolves to { allowed: true } or { allowed: false, retryAfterSeconds, reason }
+// An allowed attempt claims the phone's next slot (nextAttemptAt) with one conditional write, so parallel
+// guesses for the same number are taken one at a time and each of them sees the failures before it.
+const checkLogin = async (phone, ip) => {
+    const now = Date.now();
+    const keys = keysFor(phone, ip);
+    for (const { key } of keys) {
+        await resetIfStale(key, now);
+    }
+    const throttles = await LoginThrottle.find({ key: { $in: keys.map(k => k.key) } }).lean();
+
+    let retryAfterSeconds = 0;
+    let reason = null;
+    for (const throttle of throttles) {
+        if (throttle.lockedUntil && throttle.lockedUntil.getTime() > now) {
+            const wait = Math.ceil((throttle.lockedUntil.getTime() - now) / 1000);
+            if (wait > retryAfterSeconds) {
+                retryAfterSeconds = wait;
+                reason = 'locked';
+            }
+            continue;
+        }
+        const readyAt = Math.max(
+            throttle.nextAttemptAt ? throttle.nextAttemptAt.getTime() : 0,
+            throttle.lastFailedAt ? throttle.lastFailedAt.getTime() + requiredDelaySeconds(throttle.failedCount) * 1000 : 0
+        );
+        if (readyAt > now) {
+            const wait = Math.ceil((readyAt - now) / 1000);
+            if (wait > retryAfterSeconds) {
+                retryAfterSeconds = wait;
+                reason = reason || 'delayed';
+            }
+        }
+    }
+    if (retryAfterSeconds > 0) {
+        return { allowed: false, retryAfterSeconds, reason };
+    }
+
+    const phoneEntry = keys.find(k => k.type === 'phone');
+    if (phoneEntry) {
+        const current = throttles.find(t => t.key === phoneEntry.key);
+        // Wait at least the delay this attempt would earn if it fails, and never less than the in-flight gap
+        const gapSeconds = Math.max(config.attemptGapSeconds, requiredDelaySeconds((current?.failedCount || 0) + 1));
+        try {
+            await LoginThrottle.findOneAndUpdate(
+                { key: phoneEntry.key, nextAttemptAt: { $not: { $gt: new Date(now) } } },
+                {
+                    $set: { nextAttemptAt: new Date(now + gapSeconds * 1000) },
+                    $setOnInsert: { type: phoneEntry.type, value: phoneEntry.value }
+                },
+                { upsert: true }
+            );
+        } catch (err) {
+            // The key exists but another attempt holds the slot, so the upsert collided with it
+            if (err.code !== 11000) throw err;
+            return { allowed: false, retryAfterSeconds: config.attemptGapSeconds, reason: 'delayed' };
+        }
+    }
+    return { allowed: true };
+};
+
+// Counts a failure with one atomic upsert per key and locks the key out once the returned count reaches
+// its threshold, so concurrent failures are all counted.
+const recordFailure = async (phone, ip) => {
+    const now = new Date();
+    for (const { key, type, value } of keysFor(phone, ip)) {
+        await resetIfStale(key, now.getTime());
+        const update = {
+            $inc: { failedCount: 1 },
+            $set: { lastFailedAt: now },
+            $setOnInsert: { type, value }
+        };
+        let throttle;
+        try {
+            throttle = await LoginThrottle.findOneAndUpdate({ key }, update, { upsert: true, new: true });
+        } catch (err) {
+            // Two first failures raced to insert the key: the other one won, so count this one on it
+            if (err.code !== 11000) throw err;
+            throttle = await LoginThrottle.findOneAndUpdate({ key }, update, { new: true });
+        }
+        if (!throttle.firstFailedAt) {
+            await LoginThrottle.updateOne({ _id: throttle._id, firstFailedAt: null }, { $set: { firstFailedAt: now } });
+        }
+
+        if (throttle.failedCount >= lockoutThreshold(type)) {
+            const lockedUntil = new Date(now.getTime() + config.lockoutMinutes * 60 * 1000);
+            // Only the failure that finds the key unlocked starts the lockout
+            const locked = await LoginThrottle.findOneAndUpdate(
+                { _id: throttle._id, $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] },
+                { $set: { lockedUntil }, $inc: { lockoutCount: 1 } },
+                { new: true }
+            );
+            if (locked) {
+                console.warn(`Login lockout for ${key} until ${lockedUntil.toISOString()} after ${throttle.failedCount} failed attempts.`);
+            }
+        }
+    }
+};
+
+// A successful login clears the phone's counter. The IP counter is left alone so one
+// valid account cannot be used to reset the counter while guessing others from the same IP.
+const recordSuccess = async (phone) => {
+    await LoginThrottle.deleteOne({ key: `phone:${phone}` });
+};
+
+const clearLockout = async (throttleId) => LoginThrottle.findByIdAndDelete(throttleId);
+
+module.exports = { checkLogin, recordFailure, recordSuccess, clearLockout, config };
@@ -0,0 +1,148 @@
+// backend/services/orderPricing.js
+// Prices an order on the server from product/variant IDs and quantities.
+// Nothing the client sends about prices or totals is trusted.
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const coupons = require('./coupons');
+const { leavingSellerIds } = require('./listingVisibility');
+
+const CURRENCY = process.env.ORDER_CURRENCY || 'ETB';
+const DELIVERY_FEE = parseFloat(process.env.ORDER_DELIVERY_FEE) || 0;
+const FREE_DELIVERY_THRESHOLD = parseFloat(process.env.ORDER_FREE_DELIVERY_THRESHOLD) || 0; // 0 = never free
+const SERVICE_FEE_PERCENT = parseFloat(process.env.ORDER_SERVICE_FEE_PERCENT) || 0;
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// priceItems([{ productId, variantId, quantity }])
+// Prices each item on its own. Resolves to one entry per item, in order: { item } when it can be
+// ordered, otherwise { error: { index, productId, variantId, code, msg, available? } }.
+const priceItems = async (rawItems) => {
+    const productIds = rawItems.map(item => item?.productId).filter(id => mongoose.Types.ObjectId.isValid(id));
+    const products = await Product.find({ _id: { $in: productIds } })
+        .select('name category price originalPrice unit stockQuantity imageUrls variants sellerId')
+        .lean();
+    const productsById = new Map(products.map(p => [p._id.toString(), p]));
+    const leaving = new Set((await leavingSellerIds()).map(String)); // Their listings are off sale
+
+    return rawItems.map((raw, index) => {
+        const productId = raw?.productId;
+        const variantId = raw?.variantId || null;
+        const fail = (code, msg, extra = {}) => ({ error: { index, productId, variantId, code, msg, ...extra } });
+
+        const quantity = Number(raw?.quantity);
+        if (!Number.isInteger(quantity) || quantity < 1) {
+            return fail('invalid_quantity', 'Quantity must be a whole number of at least 1.');
+        }
+        if (!mongoose.Types.ObjectId.isValid(productId)) {
+            return fail('invalid_product', 'Invalid product ID.');
+        }
+        const product = productsById.get(String(productId));
+        if (!product || leaving.has(String(product.sellerId))) {
+            return fail('product_not_found', 'This product is no longer available.');
+        }
+
+        // Products sold in variants are priced and stocked per variant
+        let sellable = product;
+        let variant = null;
+        if (product.variants && product.variants.length > 0) {
+            if (!variantId) {
+                return fail('variant_required', `Choose an option for "${product.name}".`);
+            }
+            variant = product.variants.find(v => v._id.toString() === String(variantId));
+            if (!variant) {
+                return fail('variant_not_found', `The selected option of "${product.name}" is no longer available.`);
+            }
+            sellable = variant;
+        }
+
+        const available = sellable.stockQuantity || 0;
+        if (available <= 0) {
+            return fail('out_of_stock', `"${product.name}" is out of stock.`, { available: 0 });
+        }
+        if (available < quantity) {
+            return fail('insufficient_stock', `Only ${available} of "${product.name}" left.`, { available });
+        }
+
+        // `price` is what is charged; a higher `originalPrice` means the item is on sale
+        const unitPrice = roundMoney(sellable.price);
+        const listPrice = sellable.originalPrice && sellable.originalPrice > sellable.price ? roundMoney(sellable.originalPrice) : unitPrice;
+
+        return {
+            item: {
+                productId: product._id,
+                sellerId: product.sellerId,
+                variantId: variant ? variant._id : null,
+                variantName: variant ? variant.name : undefined,
+                sku: variant?.sku || undefined,
+                unit: sellable.unit,
+                name: product.name,
+                category: product.category, // For coupon restrictions and the seller's commission rate (services/ledger.js)
+                imageUrl: product.imageUrls?.[0],
+                quantity,
+                price: unitPrice,
+                listPrice,
+                lineTotal: roundMoney(unitPrice * quantity)
+            }
+        };
+    });
+};
+
+// Spreads a coupon discount over the items it applies to, in proportion to their line totals
+// (stored per line so refunds give back what was actually paid)
+const allocateDiscount = (items, discount) => {
+    const base = items.reduce((sum, item) => sum + item.lineTotal, 0);
+    let left = discount;
+    items.forEach((item, index) => {
+        item.discount = index === items.length - 1 ? roundMoney(left) : roundMoney(discount * item.lineTotal / base);
+        left -= item.discount;
+    });
+};
+
+// Order totals of already priced items. `coupon` ({ code, discount }) comes off the subtotal before fees.
+const pricingFor = (items, coupon = null) => {
+    const subtotal = roundMoney(items.reduce((sum, item) => sum + item.lineTotal, 0));
+    const savings = roundMoney(items.reduce((sum, item) => sum + (item.listPrice - item.price) * item.quantity, 0));
+    const discount = coupon ? coupon.discount : 0;
+    const goods = roundMoney(subtotal - discount);
+    const deliveryFee = FREE_DELIVERY_THRESHOLD > 0 && goods >= FREE_DELIVERY_THRESHOLD ? 0 : roundMoney(DELIVERY_FEE);
+    const serviceFee = roundMoney(goods * SERVICE_FEE_PERCENT / 100);
+
+    return {
+        currency: CURRENCY,
+        subtotal,
+        savings,
+        ...(coupon && { couponCode: coupon.code, discount }),
+        deliveryFee,
+        serviceFee,
+        total: roundMoney(goods + deliveryFee + serviceFee)
+    };
+};
+
+// priceOrder([{ productId, variantId, quantity }], { couponCode, userId })
+// Resolves to { items, pricing, couponId } when every item can be ordered (couponId: the applied coupon, if any),
+// or { errors } with one entry per bad item: { index, productId, variantId, code, msg, available? }.
+// A coupon that cannot be used gives a single error with index null and code 'invalid_coupon'.
+const priceOrder = async (rawItems, { couponCode, userId } = {}) => {
+    if (!Array.isArray(rawItems) || rawItems.length === 0) {
+        return { errors: [{ index: null, code: 'no_items', msg: 'The order has no items.' }] };
+    }
+    const lines = await priceItems(rawItems);
+    const errors = lines.filter(line => line.error).map(line => line.error);
+    if (errors.length > 0) {
+        return { errors };
+    }
+    const items = lines.map(line => line.item);
+    if (!couponCode) {
+        return { items, pricing: pricingFor(items), couponId: null };
+    }
+
+    const checked = await coupons.checkCoupon(couponCode, { items, userId });
+    if (checked.error) {
+        return { errors: [{ index: null, code: 'invalid_coupon', msg: checked.error }] };
+    }
+    const discount = roundMoney(checked.discount);
+    allocateDiscount(checked.eligibleItems, discount);
+    return { items, pricing: pricingFor(items, { code: checked.coupon.code, discount }), couponId: checked.coupon._id };
+};
+
+module.exports = { priceOrder, priceItems, pricingFor, roundMoney, CURRENCY };
@@ -0,0 +1,337 @@
+// backend/services/orderStatus.js
+// Order status state machine, shared by orders and their per-seller sub-orders.
+//
+//   awaiting_payment -> paid -> processing -> packed -> shipped -> delivered
+//          |             |  \         |           |                    |
+//          v             v   v        v           v                    v
+//      cancelled   refunded  rejected refunded  refunded            refunded
+//                               |
+//                               v
+//                            refunded
+//
+//   awaiting_payment -> payment_failed -> paid | cancelled
+//
+// processing = accepted by the seller, shipped = handed over to delivery, rejected = the seller
+// declined a paid order (it still has to be refunded). payment_failed = the provider reported a failed
+// payment; the stock stays held until the order is paid after all, cancelled, or its hold runs out.
+// Cash on delivery orders are 'paid' (confirmed) at checkout with paymentStatus still 'unpaid'; the
+// payment status follows once the order is delivered.
+//
+// Every transition names the actors allowed to make it. Actors:
+//   buyer   - the user who placed the order
+//   seller  - a seller with items in the order (for a sub-order: its seller)
+//   admin   - staff with the orders:manage permission
+//   payment - the payment provider (verification / webhook, or a completed refund)
+// Only a completed refund makes an order or sub-order 'refunded': staff refund through services/refunds.js
+// (refundAsStaff), which sends the money back first.
+//   system  - background jobs (e.g. unpaid order expiry)
+const Order = require('../models/Order');
+const SubOrder = require('../models/SubOrder');
+const inventoryService = require('./inventoryService');
+const coupons = require('./coupons');
+const payments = require('./payments');
+const ledger = require('./ledger');
+const { hasPermission } = require('./permissionService');
+
+const ORDER_STATUSES = ['awaiting_payment', 'payment_failed', 'paid', 'processing', 'packed', 'shipped', 'delivered', 'cancelled', 'rejected', 'refunded'];
+
+// from -> { to: [actors] }
+const TRANSITIONS = {
+    awaiting_payment: {
+        paid: ['payment'], // Only a payment (verification, webhook or reconciliation) marks an order paid
+        payment_failed: ['payment'],
+        cancelled: ['buyer', 'admin', 'system'],
+    },
+    payment_failed: {
+        paid: ['payment'], // A later attempt went through
+        cancelled: ['buyer', 'admin', 'system'],
+    },
+    paid: {
+        processing: ['seller', 'admin'],
+        rejected: ['seller', 'admin'],
+        refunded: ['payment'],
+    },
+    processing: {
+        packed: ['seller', 'admin'],
+        shipped: ['seller', 'admin'],
+        refunded: ['payment'],
+    },
+    packed: {
+        shipped: ['seller', 'admin'],
+        refunded: ['payment'],
+    },
+    shipped: {
+        delivered: ['buyer', 'seller', 'admin'],
+    },
+    delivered: {
+        refunded: ['payment'],
+    },
+    rejected: {
+        refunded: ['payment'],
+    },
+    cancelled: {},
+    refunded: {},
+};
+// Orders created before the state machine used 'pending' for "not paid yet"
+TRANSITIONS.pending = TRANSITIONS.awaiting_payment;
+
+const allowedActors = (from, to) => (TRANSITIONS[from] && TRANSITIONS[from][to]) || [];
+
+// Which actor roles `user` ({ id, role }) holds for an order or sub-order, most specific first
+const actorsFor = async (order, user) => {
+    const actors = [];
+    const buyerId = order.buyerId || order.userId;
+    if (buyerId.toString() === user.id) actors.push('buyer');
+    const isSeller = order.sellerId
+        ? order.sellerId.toString() === user.id
+        : order.items.some(item => item.sellerId && item.sellerId.toString() === user.id);
+    if (isSeller) actors.push('seller');
+    if (await hasPermission(user.role, 'orders:manage')) actors.push('admin');
+    return actors;
+};
+
+// Statuses that, for an order split into sub-orders, each seller reaches separately
+const FULFILMENT_STATUSES = ['paid', 'processing', 'packed', 'shipped', 'delivered'];
+
+const historyEntry = (from, to, actor, note) => ({ from, to, actorType: actor.type, actorId: actor.userId || null, note, at: new Date() });
+
+// Conditional status change on an Order or SubOrder document: only applies if the status is still `from`.
+// `force` skips the transition table (admin override; the caller must record a reason).
+// Resolves to { doc } or { error, status } (HTTP status to answer with).
+const applyTransition = async (Model, current, to, actor, note, extraSet = {}, force = false) => {
+    const from = current.status;
+    if (!ORDER_STATUSES.includes(to)) {
+        return { error: `Unknown order status "${to}".`, status: 400 };
+    }
+    if (from === to) {
+        return { error: `Order is already "${to}".`, status: 409 };
+    }
+    if (!force && !allowedActors(from, to).includes(actor.type)) {
+        return { error: `Order cannot go from "${from}" to "${to}" (as ${actor.type}).`, status: 409 };
+    }
+    const doc = await Model.findOneAndUpdate(
+        { _id: current._id, status: from },
+        { $set: { status: to, ...extraSet }, $push: { statusHistory: historyEntry(from, to, actor, note) } },
+        { new: true }
+    );
+    if (!doc) {
+        return { error: 'The order was changed by someone else. Reload it and try again.', status: 409 };
+    }
+    console.log(`${Model.modelName} ${doc._id}: ${from} -> ${to} by ${actor.type}${actor.userId ? ` ${actor.userId}` : ''}`);
+    return { doc };
+};
+
+// Moves every open sub-order of a parent order along with it (payment, cancellation, refund).
+// Resolves to the sub-orders that moved, as they were before ({ status } is the one they left).
+const cascadeToSubOrders = async (order, to, fromStatuses) => {
+    if (!order.subOrders || order.subOrders.length === 0) return [];
+    const subOrders = await SubOrder.find({ orderId: order._id, status: { $in: fromStatuses } });
+    const moved = [];
+    for (const subOrder of subOrders) {
+        const result = await SubOrder.updateOne(
+            { _id: subOrder._id, status: subOrder.status },
+            { $set: { status: to }, $push: { statusHistory: historyEntry(subOrder.status, to, { type: 'system' }, 'Follows the parent order') } }
+        );
+        if (result.modifiedCount === 1) moved.push(subOrder);
+    }
+    return moved;
+};
+
+// Paid statuses in which the goods have not left the seller yet
+const UNSHIPPED_STATUSES = ['paid', 'processing', 'packed'];
+
+// Credits the sellers of an order that has just been paid (services/ledger.js). The payment stands even if
+// this fails; the entries can be written later with scripts/backfill-ledger.js.
+const creditSellers = async (order) => {
+    try {
+        await ledger.recordSale(order);
+    } catch (err) {
+        console.error(`Ledger: could not record the sale of order ${order._id}:`, err.message, err);
+    }
+};
+
+// Takes back the sellers' credit for items that will not be paid for after all (services/ledger.js). Like
+// creditSellers, a failure is logged and the status change stands.
+const debitSellers = async (order, items, reason) => {
+    try {
+        await ledger.reverseSales(order, items, reason);
+    } catch (err) {
+        console.error(`Ledger: could not reverse the sales of order ${order._id}:`, err.message, err);
+    }
+};
+
+// Cash on delivery: the buyer pays at the door, so a delivered order is a paid one. Resolves to the order.
+const collectOnDelivery = async (order) => {
+    if (order.paymentStatus !== 'unpaid' || !payments.getProvider(order.paymentProvider)?.settlesOnDelivery) return order;
+    const paid = await Order.findOneAndUpdate(
+        { _id: order._id, paymentStatus: 'unpaid' },
+        { $set: { paymentStatus: 'paid', paidAt: new Date() } },
+        { new: true }
+    );
+    if (!paid) return order;
+    console.log(`Order ${order._id}: cash collected on delivery`);
+    await creditSellers(paid);
+    return paid;
+};
+
+// Moves an order to `to`. `actor` is { type, userId? }. The update is conditional on the status the
+// order had when it was read, so two concurrent transitions cannot both apply.
+// With { force: true } (admin override) any status but 'paid' and 'refunded' can be set (only a payment marks
+// an order paid, only a completed refund refunded); stock and sub-orders still follow.
+// Resolves to { order } or { error, status } (HTTP status to answer with).
+const transitionOrder = async (orderOrId, to, actor, note, { force = false } = {}) => {
+    const current = orderOrId instanceof Order ? orderOrId : await Order.findById(orderOrId);
+    if (!current) {
+        return { error: 'Order not found', status: 404 };
+    }
+    if (force && to === 'paid') {
+        return { error: 'An order cannot be forced to "paid": it is marked paid by its payment (verification or reconciliation).', status: 400 };
+    }
+    if (force && to === 'refunded') {
+        return { error: 'An order cannot be forced to "refunded": refund it, and it becomes refunded once the money is sent back.', status: 400 };
+    }
+    if (!force && current.subOrders?.length > 0 && ['processing', 'packed', 'shipped', 'delivered', 'rejected'].includes(to)) {
+        return { error: 'This order is fulfilled per seller. Update its sub-orders instead.', status: 409 };
+    }
+
+    const paysOnDelivery = Boolean(payments.getProvider(current.paymentProvider)?.settlesOnDelivery);
+    const extraSet = to === 'paid' && !paysOnDelivery ? { paymentStatus: 'paid', paidAt: new Date() } : {};
+    const result = await applyTransition(Order, current, to, actor, note, extraSet, force);
+    if (result.error) return result;
+    let order = result.doc;
+
+    // Stock (and a promo code use) follows the order: final once paid, given back when it will never be paid
+    if (to === 'paid') {
+        await inventoryService.commitOrderReservation(order._id);
+        await cascadeToSubOrders(order, 'paid', ['awaiting_payment']);
+        if (!paysOnDelivery) await creditSellers(order);
+    } else if (to === 'cancelled') {
+        await inventoryService.releaseOrderReservation(order._id, actor.type === 'system' ? 'payment_timeout' : 'order_cancelled');
+        if (!order.paidAt) await coupons.releaseRedemption(order._id); // A paid-for coupon use stays used
+        const moved = await cascadeToSubOrders(order, 'cancelled', force ? ['awaiting_payment', ...FULFILMENT_STATUSES] : ['awaiting_payment']);
+        // A paid order cancelled by force: the goods that had not shipped go back on sale
+        // (rejected sub-orders gave theirs back already and are not cancelled)
+        const unshipped = current.subOrders?.length > 0
+            ? moved.filter(subOrder => UNSHIPPED_STATUSES.includes(subOrder.status)).flatMap(subOrder => subOrder.items)
+            : (UNSHIPPED_STATUSES.includes(current.status) ? order.items : []);
+        if (unshipped.length > 0) await inventoryService.releaseCommittedStock(order._id, unshipped, 'order_cancelled');
+    } else if (to === 'refunded') {
+        await cascadeToSubOrders(order, 'refunded', [...FULFILMENT_STATUSES, 'rejected']);
+    } else if (to === 'rejected' && !(order.subOrders?.length > 0)) {
+        // A split order's stock goes back per rejected sub-order (transitionSubOrder). Like a cancel, only what
+        // the reservation still holds comes back (at most once), and goods that shipped stay gone.
+        await inventoryService.releaseOrderReservation(order._id, 'order_rejected');
+        if (UNSHIPPED_STATUSES.includes(current.status)) {
+            await inventoryService.releaseCommittedStock(order._id, order.items, 'order_rejected');
+        }
+    } else if (to === 'delivered') {
+        order = await collectOnDelivery(order);
+    }
+    // However it got here (an admin, a forced change or the refund service), the sellers keep nothing of an
+    // order that ended without being paid for; what refunds already took back is not taken twice
+    if (['cancelled', 'refunded', 'rejected'].includes(to)) {
+        await debitSellers(order, order.items, `Order ${to}`);
+    }
+    return { order };
+};
+
+// Keeps a split order's status at the least advanced of its open sub-orders
+// (e.g. 'shipped' once every seller has shipped). Once no sub-order is open, the order ends too:
+// 'rejected' while a rejected portion has not been refunded yet (the buyer is still owed it), else 'refunded'.
+const syncParentStatus = async (orderId) => {
+    const order = await Order.findById(orderId);
+    if (!order || ![...FULFILMENT_STATUSES, 'rejected'].includes(order.status)) return order;
+
+    const subOrders = await SubOrder.find({ orderId }).select('status').lean();
+    const open = subOrders.filter(sub => FULFILMENT_STATUSES.includes(sub.status));
+    let derived;
+    if (open.length > 0) {
+        derived = FULFILMENT_STATUSES[Math.min(...open.map(sub => FULFILMENT_STATUSES.indexOf(sub.status)))];
+        if (order.status === 'rejected' || FULFILMENT_STATUSES.indexOf(derived) <= FULFILMENT_STATUSES.indexOf(order.status)) return order;
+    } else if (subOrders.length > 0 && subOrders.every(sub => ['rejected', 'refunded'].includes(sub.status))) {
+        derived = subOrders.some(sub => sub.status === 'rejected') ? 'rejected' : 'refunded';
+        if (derived === order.status) return order;
+    } else {
+        return order;
+    }
+
+    const synced = await Order.findOneAndUpdate(
+        { _id: orderId, status: order.status },
+        { $set: { status: derived }, $push: { statusHistory: historyEntry(order.status, derived, { type: 'system' }, open.length > 0 ? 'All sellers reached this status' : "Every seller's portion has ended") } },
+        { new: true }
+    );
+    return synced && derived === 'delivered' ? collectOnDelivery(synced) : synced;
+};
+
+// Moves one seller's sub-order. Payment and cancellation happen on the parent order, so only the
+// fulfilment steps (and an admin refund of a single portion) are possible here.
+// `shipping` ({ carrier, trackingNumber }) is stored when the sub-order ships.
+const transitionSubOrder = async (subOrderOrId, to, actor, note, shipping = {}) => {
+    const current = subOrderOrId instanceof SubOrder ? subOrderOrId : await SubOrder.findById(subOrderOrId);
+    if (!current) {
+        return { error: 'Sub-order not found', status: 404 };
+    }
+    if (['paid', 'payment_failed', 'cancelled'].includes(to)) {
+        return { error: 'Payment and cancellation apply to the whole order.', status: 409 };
+    }
+
+    const extraSet = {};
+    if (to === 'packed') {
+        extraSet['shipping.packedAt'] = new Date();
+    } else if (to === 'shipped') {
+        extraSet['shipping.shippedAt'] = new Date();
+        if (shipping.carrier) extraSet['shipping.carrier'] = shipping.carrier;
+        if (shipping.trackingNumber) extraSet['shipping.trackingNumber'] = shipping.trackingNumber;
+    } else if (to === 'delivered') {
+        extraSet['shipping.deliveredAt'] = new Date();
+    }
+    const result = await applyTransition(SubOrder, current, to, actor, note, extraSet);
+    if (result.error) return result;
+
+    // A rejected portion will not ship: its paid-for stock goes back on sale
+    if (to === 'rejected') {
+        await inventoryService.releaseItems(result.doc.items);
+        console.log(`Inventory: returned the stock of rejected sub-order ${result.doc._id}`);
+    }
+    if (['rejected', 'refunded'].includes(to)) {
+        await debitSellers({ _id: result.doc.orderId }, result.doc.items, `Sub-order ${to}`);
+    }
+    await syncParentStatus(result.doc.orderId);
+    return { subOrder: result.doc };
+};
+
+// Cancels unpaid orders whose stock reservation has run out (the cancellation gives the stock back)
+const expireUnpaidOrders = async () => {
+    const expired = await Order.find({
+        status: { $in: ['awaiting_payment', 'pending', 'payment_failed'] },
+        'reservation.status': 'held',
+        'reservation.expiresAt': { $lte: new Date() }
+    });
+    for (const order of expired) {
+        try {
+            await transitionOrder(order, 'cancelled', { type: 'system' }, 'Payment not completed in time');
+        } catch (err) {
+            console.error(`Order expiry: could not cancel order ${order._id}:`, err.message, err);
+        }
+    }
+    return expired.length;
+};
+
+// Starts the periodic expiry of unpaid orders. Called once the database connection is up.
+const startOrderExpiryJob = () => {
+    const run = () => expireUnpaidOrders().catch(err => console.error('Order expiry: run failed:', err.message));
+    run();
+    setInterval(run, inventoryService.EXPIRY_CHECK_INTERVAL_SECONDS * 1000).unref();
+};
+
+module.exports = {
+    ORDER_STATUSES,
+    TRANSITIONS,
+    allowedActors,
+    actorsFor,
+    transitionOrder,
+    transitionSubOrder,
+    syncParentStatus,
+    expireUnpaidOrders,
+    startOrderExpiryJob
+};
@@ -0,0 +1,93 @@
+// backend/services/otpService.js
+// Issues and checks SMS one-time codes (registration, phone verification, ...).
+const crypto = require('crypto');
+const Otp = require('../models/Otp');
+const { sendSms } = require('./sms');
+
+const OTP_LENGTH = 6;
+const OTP_TTL_MINUTES = parseInt(process.env.OTP_TTL_MINUTES, 10) || 10;
+const OTP_MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS, 10) || 5;
+const OTP_RESEND_COOLDOWN_SECONDS = parseInt(process.env.OTP_RESEND_COOLDOWN_SECONDS, 10) || 60;
+const OTP_MAX_PER_HOUR = parseInt(process.env.OTP_MAX_PER_HOUR, 10) || 5;
+
+const MESSAGES = {
+    registration: (code) => `Your AgriConnect registration code is ${code}. It expires in ${OTP_TTL_MINUTES} minutes.`,
+    phone_verification: (code) => `Your AgriConnect verification code is ${code}. It expires in ${OTP_TTL_MINUTES} minutes.`,
+    password_reset: (code) => `Your AgriConnect password reset code is ${code}. It expires in ${OTP_TTL_MINUTES} minutes. If you did not ask for it, ignore this message.`,
+};
+
+// Keyed hash so a leaked database does not reveal codes (6 digits are trivial to brute-force with a plain hash)
+const hashCode = (phone, purpose, code) => crypto
+    .createHmac('sha256', process.env.OTP_SECRET || process.env.JWT_SECRET)
+    .update(`${purpose}:${phone}:${code}`)
+    .digest('hex');
+
+const generateCode = () => crypto.randomInt(0, 10 ** OTP_LENGTH).toString().padStart(OTP_LENGTH, '0');
+
+// Creates a new code for phone+purpose, replacing any earlier unused one, and sends it by SMS.
+// Resolves to { expiresAt } or { error, status } when the request is refused.
+const issueOtp = async (phone, purpose) => {
+    const latest = await Otp.findOne({ phone, purpose }).sort({ createdAt: -1 }).lean();
+    if (latest && Date.now() - latest.createdAt.getTime() < OTP_RESEND_COOLDOWN_SECONDS * 1000) {
+        return { error: `Please wait ${OTP_RESEND_COOLDOWN_SECONDS} seconds before requesting another code.`, status: 429 };
+    }
+
+    // Per-phone cap across all purposes, so nobody can flood a number with SMS
+    const sentLastHour = await Otp.countDocuments({ phone, createdAt: { $gt: new Date(Date.now() - 60 * 60 * 1000) } });
+    if (sentLastHour >= OTP_MAX_PER_HOUR) {
+        return { error: 'Too many codes requested for this phone number. Please try again later.', status: 429 };
+    }
+
+    const code = generateCode();
+    const expiresAt = new Date(Date.now() + OTP_TTL_MINUTES * 60 * 1000);
+
+    // Only the newest code for a phone+purpose may be used
+    await Otp.updateMany({ phone, purpose, consumedAt: null }, { $set: { consumedAt: new Date() } });
+    await Otp.create({
+        phone,
+        purpose,
+        codeHash: hashCode(phone, purpose, code),
+        maxAttempts: OTP_MAX_ATTEMPTS,
+        expiresAt
+    });
+
+    await sendSms(phone, MESSAGES[purpose](code));
+    return { expiresAt };
+};
+
+// Checks a code and consumes it on success.
+// Resolves to { ok: true } or { error } (wrong code, expired, too many attempts).
+const verifyOtp = async (phone, purpose, code) => {
+    const otp = await Otp.findOne({ phone, purpose, consumedAt: null }).sort({ createdAt: -1 }).select('+codeHash');
+    if (!otp) {
+        return { error: 'No active code for this phone number. Please request a new one.' };
+    }
+    if (otp.expiresAt <= new Date()) {
+        return { error: 'This code has expired. Please request a new one.' };
+    }
+    // Count the attempt before comparing, and only while attempts are left, so parallel guesses cannot exceed the cap
+    const attempt = await Otp.findOneAndUpdate(
+        { _id: otp._id, attempts: { $lt: otp.maxAttempts } },
+        { $inc: { attempts: 1 } },
+        { new: true }
+    );
+    if (!attempt) {
+        return { error: 'Too many incorrect attempts. Please request a new code.' };
+    }
+
+    const expected = Buffer.from(otp.codeHash, 'hex');
+    const actual = Buffer.from(hashCode(phone, purpose, String(code || '').trim()), 'hex');
+    if (!crypto.timingSafeEqual(expected, actual)) {
+        const remaining = otp.maxAttempts - attempt.attempts;
+        return { error: remaining > 0 ? `Incorrect code. ${remaining} attempt(s) left.` : 'Too many incorrect attempts. Please request a new code.' };
+    }
+
+    // Conditional update so two concurrent requests cannot both use the same code
+    const consumed = await Otp.findOneAndUpdate({ _id: otp._id, consumedAt: null }, { $set: { consumedAt: new Date() } });
+    if (!consumed) {
+        return { error: 'This code has already been used. Please request a new one.' };
+    }
+    return { ok: true };
+};
+
+module.exports = { issueOtp, verifyOtp };
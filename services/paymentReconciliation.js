@@ -0,0 +1,208 @@
+// backend/services/paymentReconciliation.js
+// Periodically asks the payment provider about orders whose payment we may have gotten wrong, settles
+// what can be settled and records the rest as discrepancies (models/PaymentReconciliation.js) for a person
+// to resolve (GET /api/payment/reconciliation). Three kinds of orders are checked:
+//   unsettled - still waiting for payment PAYMENT_RECONCILE_AFTER_MINUTES after checkout, with a payment started
+//               (missed webhook, or the buyer never came back to verify): settled the way the webhook would
+//   cancelled - cancelled unpaid after a payment was started: if the provider took the money after all, it is sent back
+//   paid      - marked paid by the provider: flagged if the provider does not confirm the payment or its amount
+// Cash on delivery orders have nothing to check, and the fake provider's answers mean nothing. Orders older than PAYMENT_RECONCILE_LOOKBACK_HOURS are left alone.
+const Order = require('../models/Order');
+const PaymentReconciliation = require('../models/PaymentReconciliation');
+const payments = require('./payments');
+const { settlePayment } = require('./paymentSettlement');
+const { roundMoney, CURRENCY } = require('./orderPricing');
+
+const RECONCILE_AFTER_MINUTES = parseInt(process.env.PAYMENT_RECONCILE_AFTER_MINUTES, 10) || 15;
+const RECONCILE_INTERVAL_MINUTES = parseInt(process.env.PAYMENT_RECONCILE_INTERVAL_MINUTES, 10) || 10;
+const LOOKBACK_HOURS = parseInt(process.env.PAYMENT_RECONCILE_LOOKBACK_HOURS, 10) || 48;
+const BATCH_SIZE = 50; // Orders per kind of check and run (each one is a provider call)
+
+const UNSETTLED_STATUSES = ['awaiting_payment', 'pending', 'payment_failed'];
+// Settlement outcomes that fixed the order, and ones that need a person
+const FIXED_OUTCOMES = ['paid', 'payment_failed', 'late_payment_refunded'];
+const DISCREPANCY_OUTCOMES = ['amount_mismatch', 'wrong_provider', 'transition_failed', 'late_payment_refund_failed', 'not_confirmed'];
+
+// The Order filter for each kind of check
+const dueQuery = (check) => {
+    const now = Date.now();
+    const settleBy = new Date(now - RECONCILE_AFTER_MINUTES * 60 * 1000);
+    const since = new Date(now - LOOKBACK_HOURS * 60 * 60 * 1000);
+    const online = payments.PROVIDER_NAMES.filter(name => !payments.getProvider(name).settlesOnDelivery && !payments.getProvider(name).simulated);
+    const base = { paymentProvider: { $in: online }, tx_ref: { $type: 'string' } };
+
+    if (check === 'unsettled') {
+        return {
+            ...base,
+            status: { $in: UNSETTLED_STATUSES },
+            paymentInitializedAt: { $exists: true }, // Nothing to ask the provider about otherwise
+            createdAt: { $gte: since, $lte: settleBy },
+            $or: [{ 'reconciliation.checkedAt': { $exists: false } }, { 'reconciliation.checkedAt': { $lte: settleBy } }]
+        };
+    }
+    if (check === 'cancelled') {
+        return {
+            ...base,
+            status: 'cancelled',
+            paymentStatus: 'unpaid',
+            paymentInitializedAt: { $exists: true },
+            updatedAt: { $gte: since },
+            'reconciliation.cancelledChecked': { $ne: true }
+        };
+    }
+    // Paid by the provider (an admin marking an order paid by hand is not checked)
+    return {
+        ...base,
+        paidAt: { $gte: since, $lte: settleBy },
+        statusHistory: { $elemMatch: { to: 'paid', actorType: 'payment' } },
+        'reconciliation.paidChecked': { $ne: true }
+    };
+};
+
+// Stores a check result, unless the same discrepancy of the order is already waiting for someone
+const record = async (order, check, fields) => {
+    if (fields.status === 'open') {
+        const existing = await PaymentReconciliation.findOne({ orderId: order._id, outcome: fields.outcome, status: 'open' });
+        if (existing) return existing;
+    }
+    return PaymentReconciliation.create({
+        orderId: order._id,
+        tx_ref: order.tx_ref,
+        provider: order.paymentProvider,
+        check,
+        orderStatusBefore: order.status,
+        ...fields
+    });
+};
+
+// Checks one order with its provider. Resolves to the outcome: a settlement outcome, a discrepancy,
+// 'ok' (nothing to do) or 'provider_error' (tried again next run).
+const reconcileOrder = async (order, check) => {
+    const provider = payments.getProvider(order.paymentProvider);
+    let verified;
+    try {
+        verified = await provider.verify(order.tx_ref, order);
+    } catch (err) {
+        console.warn(`Payment reconciliation: ${order.paymentProvider} verify of ${order.tx_ref} failed: ${err.message}`);
+        return 'provider_error';
+    }
+
+    const expected = { amount: roundMoney(order.totalAmount), currency: order.pricing?.currency || CURRENCY };
+    const received = {
+        amount: verified.amount !== undefined && verified.amount !== null ? roundMoney(Number(verified.amount)) : undefined,
+        currency: verified.currency,
+        status: verified.status,
+        reference: verified.reference
+    };
+    let outcome = 'ok';
+    let orderStatusAfter = order.status;
+    let error;
+
+    // A cancelled order's payment is settled too: settlement refunds it
+    if (check === 'unsettled' || (check === 'cancelled' && verified.status === 'success')) {
+        if (['success', 'failed'].includes(verified.status)) {
+            const result = await settlePayment(order.tx_ref, {
+                status: verified.status,
+                amount: verified.amount,
+                currency: verified.currency,
+                reference: verified.reference,
+                provider: order.paymentProvider,
+                source: `${provider.label} reconciliation`
+            });
+            if (FIXED_OUTCOMES.includes(result.outcome) || DISCREPANCY_OUTCOMES.includes(result.outcome)) outcome = result.outcome;
+            if (result.order) orderStatusAfter = result.order.status;
+            error = result.error;
+        }
+    } else if (check === 'cancelled') {
+        // Nothing was paid
+    } else if (verified.status !== 'success') {
+        outcome = 'not_confirmed';
+    } else if (received.amount !== expected.amount || (received.currency || expected.currency) !== expected.currency) {
+        outcome = 'amount_mismatch';
+    }
+
+    const checked = { 'reconciliation.checkedAt': new Date() };
+    if (check === 'cancelled') checked['reconciliation.cancelledChecked'] = true;
+    if (check === 'paid') checked['reconciliation.paidChecked'] = true;
+    await Order.updateOne({ _id: order._id }, { $set: checked }, { timestamps: false });
+
+    if (outcome !== 'ok') {
+        await record(order, check, {
+            outcome,
+            status: FIXED_OUTCOMES.includes(outcome) ? 'fixed' : 'open',
+            orderStatusAfter,
+            expected,
+            received,
+            error,
+            providerResponse: verified.response
+        });
+        console.log(`Payment reconciliation: order ${order._id} (${order.tx_ref}, ${check}): ${outcome}`);
+    }
+    return outcome;
+};
+
+let running = false;
+
+// One reconciliation run. Resolves to { checked, fixed, discrepancies, errors }, or null if a run is already going.
+const reconcilePayments = async () => {
+    if (running) return null;
+    running = true;
+    const summary = { checked: 0, fixed: 0, discrepancies: 0, errors: 0 };
+    try {
+        for (const check of ['unsettled', 'cancelled', 'paid']) {
+            const orders = await Order.find(dueQuery(check)).sort({ createdAt: 1 }).limit(BATCH_SIZE);
+            for (const order of orders) {
+                try {
+                    const outcome = await reconcileOrder(order, check);
+                    summary.checked++;
+                    if (FIXED_OUTCOMES.includes(outcome)) summary.fixed++;
+                    if (DISCREPANCY_OUTCOMES.includes(outcome)) summary.discrepancies++;
+                    if (outcome === 'provider_error') summary.errors++;
+                } catch (err) {
+                    summary.errors++;
+                    console.error(`Payment reconciliation: could not check order ${order._id}:`, err.message, err);
+                }
+            }
+        }
+    } finally {
+        running = false;
+    }
+    if (summary.checked > 0) {
+        console.log(`Payment reconciliation: checked ${summary.checked}, fixed ${summary.fixed}, discrepancies ${summary.discrepancies}, errors ${summary.errors}`);
+    }
+    return summary;
+};
+
+// Closes an open discrepancy once someone has dealt with it. Resolves to { reconciliation } or { error, status }.
+const resolveDiscrepancy = async (id, userId, note) => {
+    if (!note || !String(note).trim()) {
+        return { error: 'A note on how it was resolved is required.', status: 400 };
+    }
+    const reconciliation = await PaymentReconciliation.findOneAndUpdate(
+        { _id: id, status: 'open' },
+        { $set: { status: 'resolved', resolution: { by: userId, note: String(note).trim(), at: new Date() } } },
+        { new: true }
+    );
+    if (!reconciliation) {
+        const exists = await PaymentReconciliation.exists({ _id: id });
+        return exists
+            ? { error: 'Only open discrepancies can be resolved.', status: 409 }
+            : { error: 'Reconciliation record not found', status: 404 };
+    }
+    return { reconciliation };
+};
+
+// Starts the periodic reconciliation. Called once the database connection is up.
+const startReconciliationJob = () => {
+    const run = () => reconcilePayments().catch(err => console.error('Payment reconciliation: run failed:', err.message));
+    run();
+    setInterval(run, RECONCILE_INTERVAL_MINUTES * 60 * 1000).unref();
+};
+
+module.exports = {
+    DISCREPANCY_OUTCOMES,
+    reconcileOrder,
+    reconcilePayments,
+    resolveDiscrepancy,
+    startReconciliationJob
+};
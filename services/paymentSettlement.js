@@ -0,0 +1,106 @@
+// backend/services/paymentSettlement.js
+// Applies a payment result reported by the provider (webhook, callback or verification) to its order.
+// The provider's word is only taken for the status: the amount and currency are checked against the
+// order before it is marked paid.
+const Order = require('../models/Order');
+const orderStatus = require('./orderStatus');
+const refunds = require('./refunds');
+const payments = require('./payments');
+const { roundMoney, CURRENCY } = require('./orderPricing');
+
+// A cancelled order has given its stock (and any promo code use) back, so its payment is not taken: the
+// order is marked paid only to claim the payment once (a redelivered webhook finds it 'paid'), then refunded.
+const sendBackLatePayment = async (order, tx_ref, { amount, currency, reference, source }) => {
+    const claimed = await Order.findOneAndUpdate(
+        { _id: order._id, status: 'cancelled', paymentStatus: 'unpaid' },
+        { $set: { paymentStatus: 'paid', paidAt: new Date(), ...(reference ? { paymentReference: reference } : {}) } },
+        { new: true }
+    );
+    if (!claimed) {
+        return { outcome: 'already_paid', order };
+    }
+    console.warn(`Payment settlement: ${tx_ref} paid for cancelled order ${order._id}, refunding it (${source})`);
+    const result = await refunds.refundLatePayment(claimed, { tx_ref, amount, currency, reference });
+    if (result.error) {
+        return { outcome: 'late_payment_refund_failed', order: claimed, refund: result.refund, error: result.error };
+    }
+    return { outcome: 'late_payment_refunded', order: claimed, refund: result.refund };
+};
+
+// settlePayment(tx_ref, { status: 'success' | 'failed', amount, currency, reference, provider, source })
+// `provider` is the services/payments provider that reported the result (the order's own, if omitted);
+// `source` describes where the result came from, for the order's status history (e.g. 'Chapa webhook').
+// Resolves to { outcome, order?, ... } where outcome is one of:
+//   paid, payment_failed       - the order was updated
+//   late_payment_refunded      - the order had been cancelled (e.g. its payment window ran out): the payment was sent back
+//   late_payment_refund_failed - the same, but the provider refused the refund (with error); an admin retries it
+//   already_paid, ignored      - nothing to do (settled before, or not a final result)
+//   unknown_order              - no order has this tx_ref (current or from an earlier attempt)
+//   wrong_provider             - the order is paid with a different provider; needs a person
+//   amount_mismatch            - the payment does not match the order (with expected/received); needs a person
+//   transition_failed          - the order is in a status that cannot take this result (with error)
+const settlePayment = async (tx_ref, { status, amount, currency, reference, provider, source }) => {
+    // An earlier attempt of the order can still report its result
+    const order = await Order.findOne({ $or: [{ tx_ref }, { previousTxRefs: tx_ref }] });
+    if (!order) {
+        console.warn(`Payment settlement: no order with tx_ref ${tx_ref} (${source})`);
+        return { outcome: 'unknown_order' };
+    }
+    if (provider && provider !== order.paymentProvider) {
+        console.error(`Payment settlement: ${tx_ref} reported by ${provider}, but order ${order._id} is paid with ${order.paymentProvider} (${source})`);
+        return { outcome: 'wrong_provider', order, error: `The order is paid with ${order.paymentProvider}, not ${provider}.` };
+    }
+    // Orders placed with the fake provider while it was enabled cannot be paid by it once it is off
+    if (payments.getProvider(order.paymentProvider)?.simulated && !payments.isEnabled(order.paymentProvider)) {
+        console.error(`Payment settlement: ${tx_ref} of order ${order._id} is a ${order.paymentProvider} payment, which is not enabled (${source})`);
+        return { outcome: 'wrong_provider', order, error: `The ${order.paymentProvider} payment provider is not enabled.` };
+    }
+    const note = `${source}${reference ? ` ${reference}` : ''}`;
+
+    if (status === 'success') {
+        if (order.paymentStatus !== 'unpaid') {
+            return { outcome: 'already_paid', order };
+        }
+        if (order.status === 'cancelled') {
+            return sendBackLatePayment(order, tx_ref, { amount, currency, reference, source });
+        }
+        const expected = { amount: roundMoney(order.totalAmount), currency: order.pricing?.currency || CURRENCY };
+        const received = { amount: roundMoney(Number(amount)), currency: currency || expected.currency };
+        if (received.amount !== expected.amount || received.currency !== expected.currency) {
+            console.error(`Payment settlement: ${tx_ref} paid ${received.amount} ${received.currency}, order ${order._id} expects ${expected.amount} ${expected.currency} (${source})`);
+            return { outcome: 'amount_mismatch', order, expected, received };
+        }
+        const result = await orderStatus.transitionOrder(order, 'paid', { type: 'payment' }, note);
+        if (result.error) {
+            console.warn(`Payment settlement: ${tx_ref} succeeded but order ${order._id} could not be marked paid: ${result.error}`);
+            return { outcome: 'transition_failed', order, error: result.error };
+        }
+        // The attempt that was paid is the order's tx_ref from now on (refunds go back to it)
+        const update = { $set: {} };
+        if (reference) update.$set.paymentReference = reference;
+        if (order.tx_ref !== tx_ref) {
+            await Order.updateOne({ _id: order._id }, { $pull: { previousTxRefs: tx_ref } });
+            update.$set.tx_ref = tx_ref;
+            update.$push = { previousTxRefs: order.tx_ref };
+        }
+        if (Object.keys(update.$set).length > 0) {
+            await Order.updateOne({ _id: order._id }, update);
+        }
+        return { outcome: 'paid', order: result.order };
+    }
+
+    if (status === 'failed') {
+        if (!['awaiting_payment', 'pending'].includes(order.status)) {
+            return { outcome: 'ignored', order };
+        }
+        const result = await orderStatus.transitionOrder(order, 'payment_failed', { type: 'payment' }, note);
+        if (result.error) {
+            return { outcome: 'transition_failed', order, error: result.error };
+        }
+        return { outcome: 'payment_failed', order: result.order };
+    }
+
+    return { outcome: 'ignored', order };
+};
+
+module.exports = { settlePayment };
@@ -0,0 +1,106 @@
+// backend/services/paymentWebhooks.js
+// Payment provider webhooks: the provider checks and reads the call (services/payments, parseWebhook),
+// each event is stored once (models/PaymentEvent.js) and the order it is about is settled
+// (services/paymentSettlement.js).
+const crypto = require('crypto');
+const PaymentEvent = require('../models/PaymentEvent');
+const payments = require('./payments');
+const { settlePayment } = require('./paymentSettlement');
+
+// Identifies an event across redeliveries: the transaction, its reference and the reported status
+// (falling back to a hash of the body when those are missing)
+const eventKeyFor = (event, rawBody) => {
+    if (event.tx_ref && event.status) {
+        return [event.type || 'charge', event.tx_ref, event.reference || '', event.status].join(':');
+    }
+    return `sha256:${crypto.createHash('sha256').update(rawBody).digest('hex')}`;
+};
+
+// Outcomes that leave nothing to do vs. ones a person has to look at
+const IGNORED_OUTCOMES = ['already_paid', 'ignored', 'unknown_order'];
+const FAILED_OUTCOMES = ['amount_mismatch', 'wrong_provider', 'transition_failed', 'late_payment_refund_failed'];
+
+// Settles the order of a stored event and records what happened. Resolves to the updated event.
+// Exceptions are recorded on the event and rethrown (the event stays 'received' for a redelivery or replay).
+const processEvent = async (event) => {
+    // Events stored before `settlement` existed are Chapa's, whose payload has the same fields
+    const { status: paymentStatus, amount, currency } = event.settlement?.status ? event.settlement : event.payload;
+    const provider = payments.getProvider(event.provider);
+    try {
+        const result = await settlePayment(event.tx_ref, {
+            status: paymentStatus,
+            amount,
+            currency,
+            reference: event.reference,
+            provider: event.provider,
+            source: `${provider ? provider.label : event.provider} webhook ${event.eventType || ''}`.trim()
+        });
+        let status = 'processed';
+        if (IGNORED_OUTCOMES.includes(result.outcome)) status = 'ignored';
+        if (FAILED_OUTCOMES.includes(result.outcome)) status = 'failed';
+        const error = result.outcome === 'amount_mismatch'
+            ? `Paid ${result.received.amount} ${result.received.currency}, order expects ${result.expected.amount} ${result.expected.currency}`
+            : result.error;
+        return PaymentEvent.findByIdAndUpdate(event._id, {
+            $set: { status, outcome: result.outcome, error, processedAt: new Date() },
+            $inc: { attempts: 1 }
+        }, { new: true });
+    } catch (err) {
+        await PaymentEvent.updateOne({ _id: event._id }, { $set: { status: 'received', error: err.message }, $inc: { attempts: 1 } });
+        throw err;
+    }
+};
+
+// Handles one webhook call for provider `providerName`. `rawBody` is the body exactly as received.
+// Resolves to { status, body } to answer with. Failures the provider should retry are thrown.
+const receiveWebhook = async (providerName, rawBody, headers) => {
+    const provider = payments.isEnabled(providerName) && payments.getProvider(providerName);
+    if (!provider) {
+        return { status: 404, body: { message: 'Unknown payment provider.' } };
+    }
+    if (!rawBody) {
+        return { status: 400, body: { message: 'Empty body.' } };
+    }
+    const parsed = provider.parseWebhook(rawBody, headers);
+    if (parsed.error) {
+        return { status: parsed.status, body: { message: parsed.error } };
+    }
+    const parsedEvent = parsed.event;
+
+    const eventKey = eventKeyFor(parsedEvent, rawBody);
+    let event;
+    try {
+        event = await PaymentEvent.create({
+            provider: providerName,
+            eventKey,
+            eventType: parsedEvent.type,
+            tx_ref: parsedEvent.tx_ref,
+            reference: parsedEvent.reference,
+            settlement: { status: parsedEvent.status, amount: parsedEvent.amount, currency: parsedEvent.currency },
+            payload: parsedEvent.payload,
+            rawBody: rawBody.toString('utf8')
+        });
+    } catch (err) {
+        if (err.code !== 11000) throw err;
+        event = await PaymentEvent.findOne({ provider: providerName, eventKey });
+        if (event.status !== 'received') {
+            console.log(`PAYMENT_WEBHOOK: Duplicate ${providerName} event ${eventKey} (already ${event.status})`);
+            return { status: 200, body: { received: true, duplicate: true, status: event.status } };
+        }
+    }
+
+    const processed = await processEvent(event);
+    console.log(`PAYMENT_WEBHOOK: ${providerName} event ${eventKey} ${processed.status} (${processed.outcome})`);
+    return { status: 200, body: { received: true, status: processed.status, outcome: processed.outcome } };
+};
+
+// Processes a stored event again (admin replay), whatever its status. Resolves to the updated event.
+const replayEvent = async (event) => {
+    await PaymentEvent.updateOne({ _id: event._id }, { $set: { lastReplayedAt: new Date() } });
+    return processEvent(event);
+};
+
+module.exports = {
+    receiveWebhook,
+    replayEvent
+};
@@ -0,0 +1,104 @@
+// backend/services/payments/index.js
+// Pluggable payment providers. Each order records the provider chosen at checkout (Order.paymentProvider).
+// Enable providers with PAYMENT_PROVIDERS (comma-separated, default: 'chapa,cod', plus 'fake' when NODE_ENV is
+// 'test' or 'development'); DEFAULT_PAYMENT_PROVIDER is used when checkout names none (default: 'chapa').
+// PUBLIC_API_URL is the server's public base URL (e.g. https://api.example.com). Providers that move money
+// online call back GET <PUBLIC_API_URL>/api/payment/callback/<provider>, so the server does not start without it
+// while one is enabled (CHAPA_CALLBACK_URL overrides Chapa's callback URL).
+//
+// A provider is a module exporting:
+//   label                                 - name shown to buyers
+//   settlesOnDelivery                     - true if the order is fulfilled before it is paid (cash on delivery)
+//   simulated                             - true if it moves no money (the fake provider)
+//   async initialize(payment)             - payment = { amount, currency, email, first_name, last_name, phone_number,
+//                                           tx_ref, callback_url, return_url }; resolves to { checkoutUrl, response }
+//   async verify(tx_ref, order)           - resolves to { status: 'success' | 'failed' | 'pending', amount, currency, reference, response }
+//   async refund(refund)                  - resolves to { ok: true, reference, response } or { ok: false, error, response }
+//   parseWebhook(rawBody, headers)        - checks and reads a webhook call: { event: { type, tx_ref, reference, status,
+//                                           amount, currency, payload } } or { error, status } (HTTP status to answer with)
+const crypto = require('crypto');
+
+const providers = {
+    chapa: require('./providers/chapa'),
+    cod: require('./providers/cashOnDelivery'),
+    fake: require('./providers/fake'),
+};
+
+const DEFAULT_PROVIDER = process.env.DEFAULT_PAYMENT_PROVIDER || 'chapa';
+
+// The fake provider settles orders without any money, so it is never on unless asked for
+const FAKE_BY_DEFAULT = ['test', 'development'].includes(process.env.NODE_ENV);
+
+const enabledNames = (process.env.PAYMENT_PROVIDERS || `chapa,cod${FAKE_BY_DEFAULT ? ',fake' : ''}`)
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean)
+    .filter(name => {
+        if (!providers[name]) {
+            console.error(`PAYMENTS: Unknown payment provider "${name}" in PAYMENT_PROVIDERS. Available providers: ${Object.keys(providers).join(', ')}`);
+            return false;
+        }
+        if (name === 'fake' && process.env.NODE_ENV === 'production') {
+            console.error('PAYMENTS: The fake payment provider cannot be enabled in production.');
+            return false;
+        }
+        return true;
+    });
+
+if (!enabledNames.includes(DEFAULT_PROVIDER)) {
+    console.error(`PAYMENTS: DEFAULT_PAYMENT_PROVIDER "${DEFAULT_PROVIDER}" is not enabled. Enabled providers: ${enabledNames.join(', ') || 'none'}`);
+}
+
+// The provider module for `name`, enabled or not (existing orders keep the provider they were placed with)
+const getProvider = (name) => providers[name || 'chapa'] || null;
+
+// Whether `name` is enabled here (webhooks of other providers are refused)
+const isEnabled = (name) => enabledNames.includes(name);
+
+// Enabled providers that call us back when a payment ends (all but the simulated and pay-on-delivery ones)
+const needsCallback = (name) => !providers[name].simulated && !providers[name].settlesOnDelivery
+    && !(name === 'chapa' && process.env.CHAPA_CALLBACK_URL);
+
+// What keeps the enabled providers from working (checked at startup), or null
+const configurationError = () => {
+    const missing = enabledNames.filter(needsCallback);
+    if (missing.length > 0 && !/^https?:\/\//.test(process.env.PUBLIC_API_URL || '')) {
+        return `PUBLIC_API_URL (the server's public base URL, e.g. https://api.example.com) must be set for the ${missing.join(', ')} payment provider(s).`;
+    }
+    return null;
+};
+
+// Where provider `name` reports the end of a payment (an unsigned GET; the result is then verified with the provider)
+const callbackUrl = (name) => (name === 'chapa' && process.env.CHAPA_CALLBACK_URL)
+    || `${(process.env.PUBLIC_API_URL || '').replace(/\/+$/, '')}/api/payment/callback/${name}`;
+
+// Picks the provider for a new order. Resolves `name` (or the default) to { name, provider } or { error }.
+const resolveProvider = (name) => {
+    const chosen = name || DEFAULT_PROVIDER;
+    if (!enabledNames.includes(chosen)) {
+        return { error: `Payment provider "${chosen}" is not available. Choose one of: ${enabledNames.join(', ')}.` };
+    }
+    return { name: chosen, provider: providers[chosen] };
+};
+
+// A new, unguessable transaction reference for an order's payment, e.g. 'AGC-LZ2K9Q1C-8F3A61D0B2'
+const generateTxRef = () => `AGC-${Date.now().toString(36).toUpperCase()}-${crypto.randomBytes(5).toString('hex').toUpperCase()}`;
+
+// What checkout can offer: [{ name, label, settlesOnDelivery, default }]
+const availableProviders = () => enabledNames.map(name => ({
+    name,
+    label: providers[name].label,
+    settlesOnDelivery: Boolean(providers[name].settlesOnDelivery),
+    default: name === DEFAULT_PROVIDER
+}));
+
+module.exports = {
+    PROVIDER_NAMES: Object.keys(providers),
+    getProvider,
+    isEnabled,
+    resolveProvider,
+    availableProviders,
+    configurationError,
+    callbackUrl,
+    generateTxRef
+};
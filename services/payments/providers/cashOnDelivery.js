@@ -0,0 +1,24 @@
+// backend/services/payments/providers/cashOnDelivery.js
+// Cash on delivery: nothing is charged online. The order goes to the sellers as soon as it is placed
+// and counts as paid once it is delivered (see services/orderStatus.js). Refunds are handed back in cash.
+module.exports = {
+    label: 'Cash on delivery',
+    settlesOnDelivery: true,
+
+    async initialize(payment) {
+        return { checkoutUrl: null, response: { status: 'success', message: 'Pay in cash when the order is delivered.', tx_ref: payment.tx_ref } };
+    },
+
+    // The payment happens at the door, so there is never anything to confirm online
+    async verify(tx_ref) {
+        return { status: 'pending', response: { status: 'success', message: 'Paid in cash on delivery.', tx_ref } };
+    },
+
+    async refund(refund) {
+        return { ok: true, reference: null, response: { message: `Return ${refund.amount} ${refund.currency} to the buyer in cash.` } };
+    },
+
+    parseWebhook() {
+        return { error: 'Cash on delivery has no webhook.', status: 404 };
+    },
+};
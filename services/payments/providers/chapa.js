@@ -0,0 +1,114 @@
+// backend/services/payments/providers/chapa.js
+// Chapa (https://chapa.co): hosted checkout, verification by tx_ref, refunds and signed webhooks.
+//
+// Chapa signs the raw webhook body with the webhook secret set in its dashboard
+// (CHAPA_WEBHOOK_SECRET here): x-chapa-signature = hex HMAC-SHA256(secret, body).
+// To try it locally, sign a fixture with scripts/send-chapa-webhook.js.
+const crypto = require('crypto');
+const axios = require('axios');
+const { Chapa } = require('chapa-nodejs');
+
+const CHAPA_API_URL = process.env.CHAPA_API_URL || 'https://api.chapa.co/v1';
+const SIGNATURE_HEADER = 'x-chapa-signature';
+
+// The SDK is only instantiated when a payment call is made, so the server starts without a key
+const client = () => {
+    if (!process.env.CHAPA_SECRET_KEY) {
+        const err = new Error('CHAPA_SECRET_KEY is not set.');
+        err.configuration = true;
+        throw err;
+    }
+    return new Chapa({ secretKey: process.env.CHAPA_SECRET_KEY });
+};
+
+const signPayload = (rawBody, secret) => crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+
+// Constant-time check of the signature header against the raw body
+const verifySignature = (rawBody, signature, secret = process.env.CHAPA_WEBHOOK_SECRET) => {
+    if (!secret || !signature || !rawBody) return false;
+    const expected = Buffer.from(signPayload(rawBody, secret), 'hex');
+    const presented = Buffer.from(String(signature), 'hex');
+    return presented.length === expected.length && crypto.timingSafeEqual(presented, expected);
+};
+
+module.exports = {
+    label: 'Chapa',
+    SIGNATURE_HEADER,
+    signPayload,
+    verifySignature,
+
+    async initialize(payment) {
+        const response = await client().initialize({
+            amount: String(payment.amount),
+            currency: payment.currency,
+            email: payment.email,
+            first_name: payment.first_name,
+            last_name: payment.last_name,
+            phone_number: payment.phone_number || '0900000000', // Default if not provided
+            tx_ref: payment.tx_ref,
+            callback_url: payment.callback_url,
+            return_url: payment.return_url,
+        });
+        return { checkoutUrl: response?.data?.checkout_url || null, response };
+    },
+
+    async verify(tx_ref) {
+        const response = await client().verify({ tx_ref });
+        const data = response?.data || {};
+        return {
+            status: ['success', 'failed'].includes(data.status) ? data.status : 'pending',
+            amount: data.amount,
+            currency: data.currency,
+            reference: data.reference,
+            response
+        };
+    },
+
+    async refund(refund) {
+        if (!process.env.CHAPA_SECRET_KEY) {
+            return { ok: false, error: 'CHAPA_SECRET_KEY is not set.' };
+        }
+        try {
+            const { data } = await axios.post(
+                `${CHAPA_API_URL}/refund/${encodeURIComponent(refund.tx_ref)}`,
+                { reason: refund.reason, amount: String(refund.amount), reference: String(refund._id) },
+                { headers: { Authorization: `Bearer ${process.env.CHAPA_SECRET_KEY}` }, timeout: 15000 }
+            );
+            if (data?.status !== 'success') {
+                return { ok: false, error: data?.message || 'Refund not accepted', response: data };
+            }
+            return { ok: true, reference: data.data?.reference || data.data?.refund_reference || null, response: data };
+        } catch (err) {
+            const data = err.response?.data;
+            return { ok: false, error: (typeof data?.message === 'string' && data.message) || err.message, response: data };
+        }
+    },
+
+    parseWebhook(rawBody, headers) {
+        if (!process.env.CHAPA_WEBHOOK_SECRET) {
+            console.error("CHAPA_WEBHOOK: CHAPA_WEBHOOK_SECRET is not set, refusing webhook.");
+            return { error: 'Webhook not configured.', status: 503 };
+        }
+        if (!verifySignature(rawBody, headers[SIGNATURE_HEADER])) {
+            console.warn("CHAPA_WEBHOOK: Rejected webhook with a missing or invalid signature.");
+            return { error: 'Invalid signature.', status: 401 };
+        }
+        let payload;
+        try {
+            payload = JSON.parse(rawBody.toString('utf8'));
+        } catch (err) {
+            return { error: 'Body is not valid JSON.', status: 400 };
+        }
+        return {
+            event: {
+                type: payload.event,
+                tx_ref: payload.tx_ref,
+                reference: payload.reference,
+                status: payload.status,
+                amount: payload.amount,
+                currency: payload.currency,
+                payload
+            }
+        };
+    },
+};
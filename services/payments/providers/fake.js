@@ -0,0 +1,59 @@
+// backend/services/payments/providers/fake.js
+// Deterministic provider for local development and automated tests. Never talks to the network:
+// every payment ends as FAKE_PAYMENT_OUTCOME says ('success' by default, or 'failed' / 'pending'),
+// for exactly the amount of the order. Off unless listed in PAYMENT_PROVIDERS or NODE_ENV is 'test' / 'development',
+// and never available when NODE_ENV=production.
+//
+// Its webhook (POST /api/payment/webhook/fake) is unsigned and takes { tx_ref, status, amount, currency, reference }.
+const outcome = () => process.env.FAKE_PAYMENT_OUTCOME || 'success';
+const referenceFor = (tx_ref) => `FAKE-${tx_ref}`;
+
+module.exports = {
+    label: 'Fake provider',
+    simulated: true, // Moves no money: its results only count while it is enabled
+
+    async initialize(payment) {
+        const separator = payment.return_url && payment.return_url.includes('?') ? '&' : '?';
+        const checkoutUrl = payment.return_url ? `${payment.return_url}${separator}tx_ref=${encodeURIComponent(payment.tx_ref)}` : null;
+        return { checkoutUrl, response: { status: 'success', message: 'Fake checkout', data: { checkout_url: checkoutUrl } } };
+    },
+
+    async verify(tx_ref, order) {
+        const status = outcome();
+        const data = {
+            status,
+            tx_ref,
+            reference: referenceFor(tx_ref),
+            amount: order ? order.totalAmount : null,
+            currency: order?.pricing?.currency || 'ETB'
+        };
+        return { status, amount: data.amount, currency: data.currency, reference: data.reference, response: { status: 'success', message: 'Fake verification', data } };
+    },
+
+    async refund(refund) {
+        if (outcome() === 'failed') {
+            return { ok: false, error: 'Fake refund failure', response: { status: 'failed' } };
+        }
+        return { ok: true, reference: `FAKE-REFUND-${refund._id}`, response: { status: 'success' } };
+    },
+
+    parseWebhook(rawBody) {
+        let payload;
+        try {
+            payload = JSON.parse(rawBody.toString('utf8'));
+        } catch (err) {
+            return { error: 'Body is not valid JSON.', status: 400 };
+        }
+        return {
+            event: {
+                type: `fake.${payload.status}`,
+                tx_ref: payload.tx_ref,
+                reference: payload.reference || referenceFor(payload.tx_ref),
+                status: payload.status,
+                amount: payload.amount,
+                currency: payload.currency,
+                payload
+            }
+        };
+    },
+};
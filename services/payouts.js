@@ -0,0 +1,124 @@
+// backend/services/payouts.js
+// Payout batches (models/PayoutBatch.js): the seller balances of the ledger (services/ledger.js) paid out
+// off-platform in one go. Creating a batch moves each seller's balance to payouts_pending, so it cannot be
+// put in a second batch; marking it paid moves it on to payouts_paid, cancelling gives it back to the sellers.
+const PayoutBatch = require('../models/PayoutBatch');
+const LedgerEntry = require('../models/LedgerEntry');
+const User = require('../models/User');
+const ledger = require('./ledger');
+const { roundMoney, CURRENCY } = require('./orderPricing');
+
+// A batch is created 'preparing', then each seller's balance is moved into it with a payout journal keyed by
+// the seller's payout number (payout:<seller id>:<n>, n counted from the ledger together with the balance):
+// when two batches are created at once, each seller's journal is claimed by one of them only, and both of its
+// lines are that batch's (ledger.writeJournal). The batch then
+// becomes 'pending' with the amounts its journals actually moved.
+const PREPARING_STALE_MINUTES = 10; // A batch still preparing after this was left by a crash: it is finished from its journals
+
+// Sets a preparing batch's items and total from its payout journals and makes it pending.
+// A batch that moved nothing is deleted. Resolves to the batch, or null.
+const finishBatch = async (batchId) => {
+    const entries = await LedgerEntry.find({ payoutBatchId: batchId, type: 'payout', account: 'payouts_pending' }).lean();
+    if (entries.length === 0) {
+        await PayoutBatch.deleteOne({ _id: batchId, status: 'preparing' });
+        return null;
+    }
+    const sellers = await User.find({ _id: { $in: entries.map(entry => entry.sellerId) } }).select('fullName phone').lean();
+    const sellerById = new Map(sellers.map(seller => [String(seller._id), seller]));
+    const items = entries
+        .sort((a, b) => b.amount - a.amount)
+        .map(entry => ({
+            sellerId: entry.sellerId,
+            sellerName: sellerById.get(String(entry.sellerId))?.fullName,
+            phone: sellerById.get(String(entry.sellerId))?.phone,
+            amount: entry.amount
+        }));
+    const total = roundMoney(items.reduce((sum, item) => sum + item.amount, 0));
+    const batch = await PayoutBatch.findOneAndUpdate({ _id: batchId, status: 'preparing' }, { $set: { status: 'pending', items, total } }, { new: true });
+    return batch || PayoutBatch.findById(batchId);
+};
+
+const finishStaleBatches = async () => {
+    const stale = await PayoutBatch.find({ status: 'preparing', createdAt: { $lt: new Date(Date.now() - PREPARING_STALE_MINUTES * 60 * 1000) } }).select('_id').lean();
+    for (const { _id } of stale) {
+        const batch = await finishBatch(_id);
+        console.warn(`Payout batch ${_id} was left preparing: ${batch ? `finished with ${batch.items.length} sellers` : 'deleted, it moved nothing'}`);
+    }
+};
+
+// createBatch({ sellerIds, minAmount, note }, userId)
+// Takes every seller (or the given ones) with a balance of at least `minAmount` (and above zero).
+// Resolves to { batch } or { error, status }.
+const createBatch = async ({ sellerIds, minAmount, note }, userId) => {
+    const min = minAmount !== undefined && minAmount !== null && minAmount !== '' ? Number(minAmount) : 0;
+    if (isNaN(min) || min < 0) {
+        return { error: 'minAmount must be a number of at least 0.', status: 400 };
+    }
+    await finishStaleBatches();
+    const balances = (await ledger.sellerBalances({ sellerIds, minBalance: min })).filter(row => row.balance > 0);
+    if (balances.length === 0) {
+        return { error: 'No seller has a balance to pay out.', status: 409 };
+    }
+
+    const batch = await PayoutBatch.create({ status: 'preparing', currency: CURRENCY, items: [], total: 0, note, createdBy: userId });
+    for (const row of balances) {
+        const journal = `payout:${row.sellerId}:${row.payoutCount + 1}`;
+        await ledger.writeJournal(journal, 'payout',
+            { sellerId: row.sellerId, currency: batch.currency, payoutBatchId: batch._id, description: 'Payout batch' },
+            [{ account: 'seller', amount: -row.balance }, { account: 'payouts_pending', amount: row.balance }]);
+    }
+    const finished = await finishBatch(batch._id);
+    if (!finished) {
+        return { error: 'These balances were just put in another payout batch.', status: 409 };
+    }
+    if (finished.items.length < balances.length) {
+        console.warn(`Payout batch ${batch._id}: ${balances.length - finished.items.length} sellers were taken by another batch`);
+    }
+    console.log(`Payout batch ${finished._id} created: ${finished.items.length} sellers, ${finished.total} ${finished.currency}`);
+    return { batch: finished };
+};
+
+// Moves a pending batch to `to` ('paid' or 'cancelled') and writes the matching journals.
+// Resolves to { batch } or { error, status }.
+const closeBatch = async (id, to, set, journalFor) => {
+    const batch = await PayoutBatch.findOneAndUpdate({ _id: id, status: 'pending' }, { $set: { status: to, ...set } }, { new: true });
+    if (!batch) {
+        const existing = await PayoutBatch.findById(id).select('status').lean();
+        return existing
+            ? { error: `Only pending batches can be changed (this one is "${existing.status}").`, status: 409 }
+            : { error: 'Payout batch not found', status: 404 };
+    }
+    for (const item of batch.items) {
+        const { type, lines } = journalFor(item);
+        await ledger.writeJournal(`${type}:${batch._id}:${item.sellerId}`, type,
+            { sellerId: item.sellerId, currency: batch.currency, payoutBatchId: batch._id, description: `Payout batch ${to}` },
+            lines);
+    }
+    console.log(`Payout batch ${batch._id} ${to}`);
+    return { batch };
+};
+
+// Records that a pending batch was paid out: { reference } of the transfer (required), optional note
+const markBatchPaid = async (id, { reference, note }, userId) => {
+    if (!reference || !String(reference).trim()) {
+        return { error: 'The reference of the transfer is required.', status: 400 };
+    }
+    const set = { paidAt: new Date(), paidBy: userId, reference: String(reference).trim() };
+    if (note) set.note = note;
+    return closeBatch(id, 'paid', set, item => ({
+        type: 'payout_paid',
+        lines: [{ account: 'payouts_pending', amount: -item.amount }, { account: 'payouts_paid', amount: item.amount }]
+    }));
+};
+
+// Cancels a pending batch: its amounts go back to the seller balances
+const cancelBatch = async (id, userId) => closeBatch(id, 'cancelled', { cancelledAt: new Date(), cancelledBy: userId }, item => ({
+    type: 'payout_cancelled',
+    lines: [{ account: 'payouts_pending', amount: -item.amount }, { account: 'seller', amount: item.amount }]
+}));
+
+module.exports = {
+    createBatch,
+    markBatchPaid,
+    cancelBatch
+};
@@ -0,0 +1,67 @@
+// backend/services/permissionService.js
+// Resolves role names to permission sets. Roles live in the Role collection; results are cached
+// for a short time so requirePermission() does not hit the database on every request.
+const Role = require('../models/Role');
+const { PERMISSIONS, ADMIN_ROLE, DEFAULT_ROLES } = require('../config/permissions');
+
+const CACHE_TTL_MS = 30 * 1000;
+const cache = new Map(); // roleName -> { permissions: Set, loadedAt }
+
+const clearCache = () => cache.clear();
+
+// Resolves to a Set of permission names (empty if the role does not exist)
+const getRolePermissions = async (roleName) => {
+    if (!roleName) return new Set();
+    if (roleName === ADMIN_ROLE) return new Set(Object.keys(PERMISSIONS));
+
+    const cached = cache.get(roleName);
+    if (cached && Date.now() - cached.loadedAt < CACHE_TTL_MS) {
+        return cached.permissions;
+    }
+
+    const role = await Role.findOne({ name: roleName }).select('permissions').lean();
+    // Fall back to the built-in defaults if the roles have not been seeded yet
+    const names = role ? role.permissions : (DEFAULT_ROLES[roleName]?.permissions || []);
+    const permissions = new Set(names);
+    cache.set(roleName, { permissions, loadedAt: Date.now() });
+    return permissions;
+};
+
+const hasPermission = async (roleName, permission) => (await getRolePermissions(roleName)).has(permission);
+
+// Whether `roleName` has every permission of `otherRoleName`, so staff cannot act on accounts above their own
+const coversRole = async (roleName, otherRoleName) => {
+    const own = await getRolePermissions(roleName);
+    const other = await getRolePermissions(otherRoleName);
+    return [...other].every(permission => own.has(permission));
+};
+
+const roleExists = async (roleName) => {
+    if (DEFAULT_ROLES[roleName]) return true;
+    return !!(await Role.exists({ name: roleName }));
+};
+
+// Returns the subset of `permissions` that are not in the catalogue
+const unknownPermissions = (permissions) => permissions.filter(p => !PERMISSIONS[p]);
+
+// Creates any missing built-in role. Existing roles are left as admins configured them.
+const ensureDefaultRoles = async () => {
+    for (const [name, role] of Object.entries(DEFAULT_ROLES)) {
+        await Role.updateOne(
+            { name },
+            { $setOnInsert: { name, description: role.description, permissions: role.permissions, isSystem: true } },
+            { upsert: true }
+        );
+    }
+    clearCache();
+};
+
+module.exports = {
+    getRolePermissions,
+    hasPermission,
+    coversRole,
+    roleExists,
+    unknownPermissions,
+    ensureDefaultRoles,
+    clearCache,
+};
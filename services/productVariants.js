@@ -0,0 +1,101 @@
+// backend/services/productVariants.js
+// Helpers for product variants (e.g. "1 kg", "10 kg crate", "Grade A").
+// A product with variants keeps its top-level price/originalPrice/unit/stockQuantity as a summary of
+// the variants, so listing, deals and search queries keep working on those fields unchanged.
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+
+// Parses and validates a `variants` body field (array, or JSON string when sent as multipart form data).
+// Returns { variants } or { error }.
+const parseVariants = (raw) => {
+    let list = raw;
+    if (typeof raw === 'string') {
+        try {
+            list = JSON.parse(raw);
+        } catch (err) {
+            return { error: 'Variants must be a JSON array.' };
+        }
+    }
+    if (!Array.isArray(list)) {
+        return { error: 'Variants must be an array.' };
+    }
+
+    const variants = [];
+    const skus = new Set();
+    for (const [index, item] of list.entries()) {
+        const label = `Variant ${index + 1}`;
+        if (!item || typeof item !== 'object') {
+            return { error: `${label} is invalid.` };
+        }
+        const { _id, name, sku, unit, price, originalPrice, stockQuantity } = item;
+        if (!name || !unit || price === undefined || price === null || price === '') {
+            return { error: `${label}: name, unit and price are required.` };
+        }
+        if (_id !== undefined && !mongoose.Types.ObjectId.isValid(_id)) {
+            return { error: `${label}: invalid variant ID.` };
+        }
+        const parsedPrice = parseFloat(price);
+        if (isNaN(parsedPrice) || parsedPrice < 0) {
+            return { error: `${label}: invalid price.` };
+        }
+        const hasOriginalPrice = originalPrice !== undefined && originalPrice !== null && originalPrice !== '';
+        const parsedOriginalPrice = hasOriginalPrice ? parseFloat(originalPrice) : null;
+        if (hasOriginalPrice && (isNaN(parsedOriginalPrice) || parsedOriginalPrice < 0)) {
+            return { error: `${label}: invalid original price.` };
+        }
+        const parsedStock = stockQuantity !== undefined && stockQuantity !== '' ? parseInt(stockQuantity, 10) : 0;
+        if (isNaN(parsedStock) || parsedStock < 0) {
+            return { error: `${label}: invalid stock quantity.` };
+        }
+        const cleanSku = sku ? String(sku).trim() : null;
+        if (cleanSku) {
+            if (skus.has(cleanSku)) {
+                return { error: `Duplicate SKU "${cleanSku}".` };
+            }
+            skus.add(cleanSku);
+        }
+
+        variants.push({
+            ...(_id && { _id }), // keep existing IDs so orders referencing a variant stay valid
+            name: String(name).trim(),
+            sku: cleanSku,
+            unit: String(unit).trim(),
+            price: parsedPrice,
+            originalPrice: parsedOriginalPrice,
+            stockQuantity: parsedStock
+        });
+    }
+    return { variants };
+};
+
+// The variant a product is priced by: the cheapest one in stock, or the cheapest overall if all are sold out
+const pricingVariant = (variants = []) => {
+    if (variants.length === 0) return null;
+    const byPrice = [...variants].sort((a, b) => a.price - b.price);
+    return byPrice.find(v => v.stockQuantity > 0) || byPrice[0];
+};
+
+// Top-level product fields derived from its variants ({} when there are none)
+const summarizeVariants = (variants = []) => {
+    const variant = pricingVariant(variants);
+    if (!variant) return {};
+    return {
+        price: variant.price,
+        originalPrice: variant.originalPrice ?? null,
+        unit: variant.unit,
+        stockQuantity: variants.reduce((sum, v) => sum + (v.stockQuantity || 0), 0)
+    };
+};
+
+// Returns the first SKU from `variants` already used by another product of the same seller, or null
+const findSkuConflict = async (sellerId, variants, excludeProductId = null) => {
+    const skus = variants.map(v => v.sku).filter(Boolean);
+    if (skus.length === 0) return null;
+    const filter = { sellerId, 'variants.sku': { $in: skus } };
+    if (excludeProductId) filter._id = { $ne: excludeProductId };
+    const clash = await Product.findOne(filter).select('variants.sku').lean();
+    if (!clash) return null;
+    return clash.variants.map(v => v.sku).find(sku => skus.includes(sku)) || null;
+};
+
+module.exports = { parseVariants, pricingVariant, summarizeVariants, findSkuConflict };
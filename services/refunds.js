@@ -0,0 +1,282 @@
+// backend/services/refunds.js
+// Buyer refund requests on paid orders (models/Refund.js).
+// The buyer asks for some or all items back with a reason; the seller of those items (or staff with
+// orders:refund) approves or rejects; an approved refund is sent back through the payment provider and
+// then recorded on the order: refunded quantities per item, refundedAmount, and the order / sub-order
+// status once everything in it has been refunded.
+// Refunded goods are not put back in stock: they may have been delivered, eaten or spoiled, so a seller who
+// gets them back adjusts their own stock. (A portion the seller rejected gave its stock back when rejected.)
+const Order = require('../models/Order');
+const SubOrder = require('../models/SubOrder');
+const Refund = require('../models/Refund');
+const orderStatus = require('./orderStatus');
+const { hasPermission } = require('./permissionService');
+const payments = require('./payments');
+const ledger = require('./ledger');
+const { roundMoney, CURRENCY } = require('./orderPricing');
+
+const REFUND_LOCK_SECONDS = 30; // Longest a refund request may hold its order (a crashed one is then skipped)
+
+// Order statuses in which the buyer has paid and can ask for money back
+const REFUNDABLE_STATUSES = ['paid', 'processing', 'packed', 'shipped', 'delivered', 'rejected'];
+// Refunds that still hold their items, so the same units cannot be requested twice
+const OPEN_REFUND_STATUSES = ['requested', 'approved', 'failed'];
+
+// Creates a refund request for `order` from its buyer.
+// `items` is [{ itemId, quantity }] (itemId = _id of the order line; quantity defaults to all that is left).
+// Without items, everything not yet refunded is requested. Refunding everything that is left also returns the fees.
+// Resolves to { refund } or { error, status } (HTTP status to answer with).
+// Requests for one order are saved one at a time (refundLockedUntil), so two of them cannot claim the same units.
+const requestRefund = async (order, buyerId, { items, reason }) => {
+    if (!reason || !String(reason).trim()) {
+        return { error: 'A reason is required.', status: 400 };
+    }
+    const locked = await Order.findOneAndUpdate(
+        { _id: order._id, $or: [{ refundLockedUntil: null }, { refundLockedUntil: { $lte: new Date() } }] },
+        { $set: { refundLockedUntil: new Date(Date.now() + REFUND_LOCK_SECONDS * 1000) } },
+        { new: true, timestamps: false }
+    );
+    if (!locked) {
+        return { error: 'Another refund request for this order is being saved. Try again in a moment.', status: 409 };
+    }
+    try {
+        // Read again under the lock: what is left depends on the refunds saved before this one
+        return await createRefundRequest(locked, buyerId, { items, reason });
+    } finally {
+        await Order.updateOne({ _id: order._id }, { $set: { refundLockedUntil: null } }, { timestamps: false });
+    }
+};
+
+const createRefundRequest = async (order, buyerId, { items, reason }) => {
+    if (!REFUNDABLE_STATUSES.includes(order.status) || order.paymentStatus === 'refunded') {
+        return { error: `Refunds can only be requested for paid orders (this one is "${order.status}").`, status: 409 };
+    }
+    if (order.paymentStatus === 'unpaid') {
+        return { error: 'This order is paid on delivery and has not been paid yet.', status: 409 };
+    }
+
+    const open = await Refund.find({ orderId: order._id, status: { $in: OPEN_REFUND_STATUSES } }).lean();
+    const held = new Map(); // order item _id -> units in open refunds
+    for (const refund of open) {
+        for (const item of refund.items) {
+            held.set(String(item.orderItemId), (held.get(String(item.orderItemId)) || 0) + item.quantity);
+        }
+    }
+    const remaining = (item) => item.quantity - (item.refundedQuantity || 0) - (held.get(String(item._id)) || 0);
+
+    const requested = Array.isArray(items) && items.length > 0
+        ? items
+        : order.items.filter(item => remaining(item) > 0).map(item => ({ itemId: item._id }));
+    if (requested.length === 0) {
+        return { error: 'Everything in this order has already been refunded or requested.', status: 409 };
+    }
+
+    const refundItems = [];
+    for (const [index, entry] of requested.entries()) {
+        const orderItem = order.items.find(item => String(item._id) === String(entry.itemId));
+        if (!orderItem || refundItems.some(item => String(item.orderItemId) === String(orderItem._id))) {
+            return { error: `items[${index}]: unknown or repeated order item.`, status: 400 };
+        }
+        const left = remaining(orderItem);
+        const quantity = entry.quantity === undefined ? left : Number(entry.quantity);
+        if (!Number.isInteger(quantity) || quantity < 1) {
+            return { error: `items[${index}]: quantity must be a whole number of at least 1.`, status: 400 };
+        }
+        if (quantity > left) {
+            return { error: `items[${index}]: only ${left} of "${orderItem.name}" can still be refunded.`, status: 409 };
+        }
+        const unitPaid = orderItem.price - (orderItem.discount || 0) / orderItem.quantity; // After its share of a coupon
+        refundItems.push({
+            orderItemId: orderItem._id,
+            productId: orderItem.productId,
+            variantId: orderItem.variantId || null,
+            name: orderItem.name,
+            sellerId: orderItem.sellerId,
+            quantity,
+            unitPrice: roundMoney(unitPaid),
+            amount: roundMoney(unitPaid * quantity)
+        });
+    }
+
+    let amount = roundMoney(refundItems.reduce((sum, item) => sum + item.amount, 0));
+    const coversRest = order.items.every(orderItem =>
+        remaining(orderItem) === (refundItems.find(item => String(item.orderItemId) === String(orderItem._id))?.quantity || 0));
+    if (coversRest) {
+        const openAmount = open.reduce((sum, refund) => sum + refund.amount, 0);
+        amount = roundMoney(order.totalAmount - (order.refundedAmount || 0) - openAmount);
+    }
+
+    const refund = await Refund.create({
+        orderId: order._id,
+        tx_ref: order.tx_ref,
+        buyerId,
+        sellerIds: [...new Set(refundItems.filter(item => item.sellerId).map(item => String(item.sellerId)))],
+        items: refundItems,
+        amount,
+        currency: order.pricing?.currency || CURRENCY,
+        reason: String(reason).trim()
+    });
+    console.log(`Refund ${refund._id} requested for order ${order._id}: ${amount} ${refund.currency}`);
+    return { refund };
+};
+
+// How `user` ({ id, role }) may decide a refund: 'seller' when every refunded item is theirs,
+// 'admin' with the orders:refund permission, otherwise null
+const deciderFor = async (refund, user) => {
+    if (refund.sellerIds.length === 1 && refund.sellerIds[0].toString() === user.id) return 'seller';
+    if (await hasPermission(user.role, 'orders:refund')) return 'admin';
+    return null;
+};
+
+// Whether `user` may see a refund (its buyer, a seller of its items, or staff with orders:refund)
+const canView = async (refund, user) =>
+    refund.buyerId.toString() === user.id
+    || refund.sellerIds.some(id => id.toString() === user.id)
+    || hasPermission(user.role, 'orders:refund');
+
+// Sends the money back through the order's payment provider (services/payments).
+// Resolves to { provider, ok, reference, response } or { provider, ok: false, error, response }.
+const sendProviderRefund = async (refund) => {
+    const order = await Order.findById(refund.orderId).select('paymentProvider').lean();
+    const providerName = order ? order.paymentProvider : 'chapa';
+    if (!refund.tx_ref) {
+        return { provider: providerName, ok: false, error: 'The order has no payment reference.' };
+    }
+    const outcome = await payments.getProvider(providerName).refund(refund);
+    return { provider: providerName, ...outcome };
+};
+
+// Records a completed refund on its order and sub-orders, and moves whatever is now fully refunded to 'refunded'
+const applyRefundToOrder = async (refund) => {
+    if (refund.kind === 'late_payment') {
+        // Nothing was sold: the cancelled order only records that its payment went back
+        await Order.updateOne({ _id: refund.orderId }, { $set: { paymentStatus: 'refunded' }, $inc: { refundedAmount: refund.amount } });
+        return;
+    }
+    for (const item of refund.items) {
+        await Order.updateOne({ _id: refund.orderId, 'items._id': item.orderItemId }, { $inc: { 'items.$.refundedQuantity': item.quantity } });
+        // The seller is owed that much less for their portion
+        await SubOrder.updateOne(
+            { orderId: refund.orderId, 'items._id': item.orderItemId },
+            { $inc: { 'items.$.refundedQuantity': item.quantity, payoutAmount: -item.amount } }
+        );
+    }
+    const order = await Order.findByIdAndUpdate(refund.orderId, { $inc: { refundedAmount: refund.amount } }, { new: true });
+    try {
+        await ledger.recordRefund(refund); // The sellers are owed that much less
+    } catch (err) {
+        console.error(`Ledger: could not record refund ${refund._id}:`, err.message, err);
+    }
+    const fullyRefunded = order.items.every(item => item.refundedQuantity >= item.quantity);
+    await Order.updateOne({ _id: order._id }, { $set: { paymentStatus: fullyRefunded ? 'refunded' : 'partially_refunded' } });
+
+    const actor = { type: 'payment' };
+    const note = `Refund ${refund._id}`;
+    if (fullyRefunded) {
+        const result = await orderStatus.transitionOrder(order, 'refunded', actor, note);
+        if (result.error) console.warn(`Refund ${refund._id}: order ${order._id} could not be marked refunded: ${result.error}`);
+        return;
+    }
+    // A seller's whole portion refunded: that sub-order is finished
+    const subOrders = await SubOrder.find({ orderId: order._id, sellerId: { $in: refund.sellerIds }, status: { $ne: 'refunded' } });
+    for (const subOrder of subOrders) {
+        if (subOrder.items.every(item => item.refundedQuantity >= item.quantity)) {
+            const result = await orderStatus.transitionSubOrder(subOrder, 'refunded', actor, note);
+            if (result.error) console.warn(`Refund ${refund._id}: sub-order ${subOrder._id} could not be marked refunded: ${result.error}`);
+        }
+    }
+};
+
+// Sends an approved refund to the payment provider.
+// Resolves to { refund } or { refund, error, status } when the provider refused it (the refund is then 'failed').
+const issueRefund = async (refund) => {
+    const outcome = await sendProviderRefund(refund);
+    if (!outcome.ok) {
+        const failed = await Refund.findOneAndUpdate(
+            { _id: refund._id, status: 'approved' },
+            { $set: { status: 'failed', failureReason: outcome.error, provider: { name: outcome.provider, response: outcome.response } } },
+            { new: true }
+        );
+        console.warn(`Refund ${refund._id} failed at the payment provider: ${outcome.error}`);
+        return { refund: failed, error: `The payment provider did not accept the refund: ${outcome.error}`, status: 502 };
+    }
+
+    const done = await Refund.findOneAndUpdate(
+        { _id: refund._id, status: 'approved' },
+        {
+            $set: { status: 'refunded', refundedAt: new Date(), provider: { name: outcome.provider, reference: outcome.reference, response: outcome.response } },
+            $unset: { failureReason: '' }
+        },
+        { new: true }
+    );
+    if (!done) {
+        return { error: 'The refund was changed by someone else. Reload it and try again.', status: 409 };
+    }
+    await applyRefundToOrder(done);
+    console.log(`Refund ${done._id} issued: ${done.amount} ${done.currency} for order ${done.orderId}`);
+    return { refund: done };
+};
+
+// Sends back a payment that arrived for an order that was already cancelled (e.g. its payment window ran
+// out and its stock went back on sale). `payment` is { tx_ref, amount, currency, reference } as reported
+// by the provider. Resolves like issueRefund; a refund the provider refuses stays 'failed' for an admin to retry.
+const refundLatePayment = async (order, { tx_ref, amount, currency, reference }) => {
+    const refund = await Refund.create({
+        kind: 'late_payment',
+        orderId: order._id,
+        tx_ref,
+        buyerId: order.userId,
+        items: [],
+        amount: roundMoney(Number(amount)),
+        currency: currency || order.pricing?.currency || CURRENCY,
+        reason: 'Paid after the order was cancelled',
+        status: 'approved',
+        decision: { actorType: 'system', note: reference ? `Payment ${reference}` : undefined, at: new Date() }
+    });
+    console.log(`Refund ${refund._id}: sending back ${refund.amount} ${refund.currency} paid for cancelled order ${order._id}`);
+    return issueRefund(refund);
+};
+
+// Refunds what is left of an order, or of one seller's portion (`subOrder`), for staff with orders:refund:
+// a refund request in the buyer's name, approved by `userId` at once and sent to the payment provider.
+// The order / sub-order becomes 'refunded' once the provider has taken the refund. Resolves like decideRefund.
+const refundAsStaff = async (order, subOrder, userId, reason) => {
+    let items;
+    if (subOrder) {
+        items = subOrder.items.filter(item => item.quantity > (item.refundedQuantity || 0)).map(item => ({ itemId: item._id }));
+        if (items.length === 0) {
+            return { error: 'Everything in this portion has already been refunded.', status: 409 };
+        }
+    }
+    const requested = await requestRefund(order, order.userId, { items, reason });
+    if (requested.error) return requested;
+    return decideRefund(requested.refund, { type: 'admin', userId }, true, reason);
+};
+
+// Approves or rejects a refund request. `actor` is { type: 'seller' | 'admin', userId }.
+// Admins can also decide a 'failed' refund again (approving retries the payout).
+// Resolves to { refund } or { error, status }.
+const decideRefund = async (refund, actor, approve, note) => {
+    const decidableFrom = actor.type === 'admin' ? ['requested', 'failed'] : ['requested'];
+    const updated = await Refund.findOneAndUpdate(
+        { _id: refund._id, status: { $in: decidableFrom } },
+        { $set: { status: approve ? 'approved' : 'rejected', decision: { by: actor.userId, actorType: actor.type, note, at: new Date() } } },
+        { new: true }
+    );
+    if (!updated) {
+        return { error: `This refund can no longer be ${approve ? 'approved' : 'rejected'} (it is "${refund.status}").`, status: 409 };
+    }
+    console.log(`Refund ${updated._id} ${updated.status} by ${actor.type} ${actor.userId}`);
+    if (!approve) return { refund: updated };
+    return issueRefund(updated);
+};
+
+module.exports = {
+    REFUNDABLE_STATUSES,
+    requestRefund,
+    deciderFor,
+    canView,
+    decideRefund,
+    refundAsStaff,
+    refundLatePayment
+};
@@ -0,0 +1,8 @@
+// backend/services/sms/drivers/console.js
+// Development driver: prints the SMS to the server log instead of sending it.
+module.exports = {
+    async send(to, message) {
+        console.log(`[SMS:console] To ${to}: ${message}`);
+        return { delivered: true, driver: 'console' };
+    },
+};
@@ -0,0 +1,14 @@
+// backend/services/sms/drivers/file.js
+// Development driver: appends each SMS as a JSON line to SMS_OUTBOX_FILE (default: sms-outbox.log).
+const fs = require('fs/promises');
+const path = require('path');
+
+const outboxFile = process.env.SMS_OUTBOX_FILE || path.join(__dirname, '..', '..', '..', 'sms-outbox.log');
+
+module.exports = {
+    async send(to, message) {
+        const line = JSON.stringify({ to, message, sentAt: new Date().toISOString() }) + '\n';
+        await fs.appendFile(outboxFile, line);
+        return { delivered: true, driver: 'file' };
+    },
+};
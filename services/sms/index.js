@@ -0,0 +1,23 @@
+// backend/services/sms/index.js
+// Pluggable SMS sender. Pick the driver with SMS_DRIVER (default: 'console').
+// A driver is a module exporting `async send(to, message)`.
+const drivers = {
+    console: require('./drivers/console'),
+    file: require('./drivers/file'),
+};
+
+const driverName = process.env.SMS_DRIVER || 'console';
+const driver = drivers[driverName];
+
+if (!driver) {
+    console.error(`SMS: Unknown SMS_DRIVER "${driverName}". Available drivers: ${Object.keys(drivers).join(', ')}`);
+}
+
+const sendSms = async (to, message) => {
+    if (!driver) {
+        throw new Error(`SMS driver "${driverName}" is not available.`);
+    }
+    return driver.send(to, message);
+};
+
+module.exports = { sendSms };
@@ -0,0 +1,34 @@
+// backend/services/subOrders.js
+// Splits a checkout into one fulfilment sub-order per seller (models/SubOrder.js).
+const Order = require('../models/Order');
+const SubOrder = require('../models/SubOrder');
+const { roundMoney } = require('./orderPricing');
+
+// Creates the sub-orders of a freshly saved order and links them to it. Resolves to the sub-orders.
+const splitOrder = async (order) => {
+    const itemsBySeller = new Map();
+    for (const item of order.items) {
+        const sellerId = String(item.sellerId);
+        if (!itemsBySeller.has(sellerId)) itemsBySeller.set(sellerId, []);
+        itemsBySeller.get(sellerId).push(item.toObject ? item.toObject() : item);
+    }
+
+    const subOrders = await SubOrder.insertMany([...itemsBySeller].map(([sellerId, items]) => {
+        const subtotal = roundMoney(items.reduce((sum, item) => sum + item.lineTotal, 0));
+        return {
+            orderId: order._id,
+            buyerId: order.userId,
+            sellerId,
+            items,
+            subtotal,
+            payoutAmount: subtotal, // Fees and coupon discounts are the platform's; the seller is owed their goods
+            status: order.status,
+            statusHistory: [{ from: null, to: order.status, actorType: 'buyer', actorId: order.userId }]
+        };
+    }));
+
+    await Order.updateOne({ _id: order._id }, { $set: { subOrders: subOrders.map(sub => sub._id) } });
+    return subOrders;
+};
+
+module.exports = { splitOrder };
@@ -0,0 +1,162 @@
+// backend/services/tokenService.js
+// Issues short-lived access tokens (JWT) and rotating refresh tokens backed by the Session model.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+
+const ACCESS_TOKEN_TTL = process.env.JWT_ACCESS_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Refresh tokens look like "<sessionId>.<random secret>" so the session can be found without scanning hashes
+const buildRefreshToken = (sessionId) => `${sessionId}.${crypto.randomBytes(48).toString('hex')}`;
+
+const refreshExpiryDate = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+const signAccessToken = (user, sessionId) => {
+    const payload = {
+        user: {
+            id: user.id || user._id.toString(),
+            role: user.role,
+            sessionId: sessionId.toString()
+        }
+    };
+    return jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+};
+
+// Describe the client that is creating/using a session (shown in GET /api/auth/sessions)
+const clientInfo = (req) => ({
+    userAgent: req.get ? (req.get('User-Agent') || 'unknown') : 'unknown',
+    ip: req.ip || req.connection?.remoteAddress || null
+});
+
+// Creates a new session for the user and returns a token pair
+const createSession = async (user, req) => {
+    const session = new Session({
+        userId: user._id,
+        refreshTokenHash: 'pending', // replaced below once we know the _id
+        expiresAt: refreshExpiryDate(),
+        ...clientInfo(req)
+    });
+    const refreshToken = buildRefreshToken(session._id);
+    session.refreshTokenHash = hashToken(refreshToken);
+    await session.save();
+
+    return {
+        token: signAccessToken(user, session._id),
+        refreshToken,
+        sessionId: session._id
+    };
+};
+
+const revokeReusedSession = async (sessionId) => {
+    console.warn(`Refresh token reuse detected for session ${sessionId}. Revoking session.`);
+    await Session.updateOne(
+        { _id: sessionId, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: 'refresh_token_reuse' } }
+    );
+};
+
+// Exchanges a refresh token for a new token pair. The old refresh token stops working.
+// Replaying an already-rotated token revokes the whole session (likely token theft).
+// `loadUser(userId)` must resolve to the user document (or null if the account is gone).
+const rotateSession = async (refreshToken, req, loadUser) => {
+    const [sessionId] = String(refreshToken || '').split('.');
+    if (!sessionId || !mongoose.Types.ObjectId.isValid(sessionId)) {
+        return { error: 'Invalid refresh token.' };
+    }
+
+    const session = await Session.findById(sessionId).select('+refreshTokenHash +previousRefreshTokenHash');
+    if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+        return { error: 'Session expired or revoked. Please log in again.' };
+    }
+
+    const presentedHash = hashToken(refreshToken);
+    if (presentedHash !== session.refreshTokenHash) {
+        if (presentedHash === session.previousRefreshTokenHash) {
+            await revokeReusedSession(session._id);
+        }
+        return { error: 'Invalid refresh token.' };
+    }
+
+    const user = await loadUser(session.userId);
+    if (!user) {
+        return { error: 'User no longer exists.' };
+    }
+
+    // Only swap the hash if it is still the one presented, so two refreshes with the same token cannot both win
+    const newRefreshToken = buildRefreshToken(session._id);
+    const rotated = await Session.findOneAndUpdate(
+        { _id: session._id, refreshTokenHash: presentedHash, revokedAt: null },
+        {
+            $set: {
+                previousRefreshTokenHash: presentedHash,
+                refreshTokenHash: hashToken(newRefreshToken),
+                lastUsedAt: new Date(),
+                expiresAt: refreshExpiryDate(),
+                ...clientInfo(req)
+            }
+        },
+        { new: true }
+    );
+    if (!rotated) {
+        // Another request rotated this token first: it was presented twice
+        await revokeReusedSession(session._id);
+        return { error: 'Invalid refresh token.' };
+    }
+
+    return {
+        token: signAccessToken(user, session._id),
+        refreshToken: newRefreshToken,
+        sessionId: session._id
+    };
+};
+
+const revokeSession = async (sessionId, userId, reason = 'logout') => {
+    return Session.findOneAndUpdate(
+        { _id: sessionId, userId, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: reason } },
+        { new: true }
+    );
+};
+
+// Revokes every active session of a user, optionally keeping one (e.g. the caller's current session)
+const revokeAllSessions = async (userId, reason, exceptSessionId = null) => {
+    const filter = { userId, revokedAt: null };
+    if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+    const result = await Session.updateMany(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+    return result.modifiedCount;
+};
+
+// Verifies an access token and checks its session is still live.
+// Resolves to the `user` payload from the token, or throws if the token must be rejected.
+const verifyAccessToken = async (token) => {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const tokenUser = decoded.user;
+
+    // Tokens issued before sessions existed cannot be revoked, so they are no longer accepted
+    if (!tokenUser || !tokenUser.sessionId) {
+        throw new Error('Token has no session');
+    }
+
+    const session = await Session.findById(tokenUser.sessionId).select('userId revokedAt expiresAt').lean();
+    if (!session || session.revokedAt || session.userId.toString() !== tokenUser.id) {
+        throw new Error('Session revoked');
+    }
+    if (!session.expiresAt || session.expiresAt <= new Date()) {
+        throw new Error('Session expired');
+    }
+
+    return tokenUser;
+};
+
+module.exports = {
+    createSession,
+    rotateSession,
+    revokeSession,
+    revokeAllSessions,
+    verifyAccessToken,
+    hashToken,
+};
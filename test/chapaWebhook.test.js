@@ -0,0 +1,54 @@
+// backend/test/chapaWebhook.test.js
+// Chapa webhook signatures (services/payments/providers/chapa.js), checked against the fixtures in fixtures/chapa.
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const chapa = require('../services/payments/providers/chapa');
+
+const SECRET = 'test-webhook-secret';
+const fixture = (name) => Buffer.from(fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'chapa', name), 'utf8'));
+
+beforeEach(() => {
+    process.env.CHAPA_WEBHOOK_SECRET = SECRET;
+});
+
+test('verifySignature accepts the body signed with the secret', () => {
+    const body = fixture('charge.success.json');
+    assert.strictEqual(chapa.verifySignature(body, chapa.signPayload(body, SECRET)), true);
+});
+
+test('verifySignature refuses a tampered body, a wrong secret or no signature', () => {
+    const body = fixture('charge.success.json');
+    const signature = chapa.signPayload(body, SECRET);
+    const tampered = Buffer.from(body.toString('utf8').replace('"250.00"', '"2.50"'));
+    assert.strictEqual(chapa.verifySignature(tampered, signature), false);
+    assert.strictEqual(chapa.verifySignature(body, chapa.signPayload(body, 'another-secret')), false);
+    assert.strictEqual(chapa.verifySignature(body, undefined), false);
+    assert.strictEqual(chapa.verifySignature(body, 'not-hex'), false);
+});
+
+test('parseWebhook reads a signed fixture', () => {
+    const body = fixture('charge.success.json');
+    const parsed = chapa.parseWebhook(body, { [chapa.SIGNATURE_HEADER]: chapa.signPayload(body, SECRET) });
+    assert.ifError(parsed.error);
+    assert.strictEqual(parsed.event.type, 'charge.success');
+    assert.strictEqual(parsed.event.status, 'success');
+    assert.strictEqual(parsed.event.amount, '250.00');
+    assert.strictEqual(parsed.event.currency, 'ETB');
+    assert.strictEqual(parsed.event.reference, 'APfixture0001');
+});
+
+test('parseWebhook answers 401 to a tampered or unsigned body', () => {
+    const body = fixture('charge.failed.json');
+    const signature = chapa.signPayload(body, SECRET);
+    const tampered = Buffer.from(body.toString('utf8').replace('"failed"', '"success"'));
+    assert.deepStrictEqual(chapa.parseWebhook(tampered, { [chapa.SIGNATURE_HEADER]: signature }), { error: 'Invalid signature.', status: 401 });
+    assert.deepStrictEqual(chapa.parseWebhook(body, {}), { error: 'Invalid signature.', status: 401 });
+});
+
+test('parseWebhook answers 503 when no webhook secret is set', () => {
+    delete process.env.CHAPA_WEBHOOK_SECRET;
+    const body = fixture('charge.success.json');
+    assert.strictEqual(chapa.parseWebhook(body, { [chapa.SIGNATURE_HEADER]: chapa.signPayload(body, SECRET) }).status, 503);
+});
@@ -0,0 +1,59 @@
+// backend/test/coupons.test.js
+// Per-user coupon limits (services/coupons.js recordRedemption) with the models stubbed: no database needed.
+const { test } = require('node:test');
+const assert = require('node:assert');
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const Order = require('../models/Order');
+const coupons = require('../services/coupons');
+
+// In-memory redemptions; CouponRedemption.create enforces the unique (couponId, userId, slot) index of active uses
+const stubCoupon = (t, coupon, { otherOrder = false } = {}) => {
+    const redemptions = [];
+    t.mock.method(Coupon, 'findById', () => ({ select: () => ({ lean: async () => coupon }) }));
+    t.mock.method(CouponRedemption, 'create', async (doc) => {
+        await new Promise(resolve => setImmediate(resolve)); // Let concurrent checkouts interleave
+        if (redemptions.some(r => r.couponId === doc.couponId && r.userId === doc.userId && r.slot === doc.slot)) {
+            throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000, keyPattern: { couponId: 1, userId: 1, slot: 1 } });
+        }
+        const redemption = { ...doc, status: 'active' };
+        redemptions.push(redemption);
+        return redemption;
+    });
+    t.mock.method(Order, 'exists', async () => (otherOrder ? { _id: 'o0' } : null));
+    return redemptions;
+};
+
+const orderOf = (id) => ({ _id: id, userId: 'u1', totalAmount: 90, pricing: { couponCode: 'WELCOME', discount: 10 } });
+
+test('a user cannot use a coupon more often than usageLimitPerUser', async (t) => {
+    const redemptions = stubCoupon(t, { usageLimitPerUser: 2 });
+    assert.ok((await coupons.recordRedemption('c1', orderOf('o1'))).redemption);
+    assert.ok((await coupons.recordRedemption('c1', orderOf('o2'))).redemption);
+    const third = await coupons.recordRedemption('c1', orderOf('o3'));
+    assert.strictEqual(third.error, 'You have already used this promo code.');
+    assert.deepStrictEqual(redemptions.map(r => r.slot), [1, 2]);
+});
+
+test('concurrent checkouts of the same user cannot both use a single-use coupon', async (t) => {
+    const redemptions = stubCoupon(t, { usageLimitPerUser: 1 });
+    const results = await Promise.all([
+        coupons.recordRedemption('c1', orderOf('o1')),
+        coupons.recordRedemption('c1', orderOf('o2'))
+    ]);
+    assert.strictEqual(results.filter(result => result.redemption).length, 1);
+    assert.strictEqual(results.filter(result => result.error).length, 1);
+    assert.strictEqual(redemptions.length, 1);
+});
+
+test('a first-order coupon is refused when the user has another order', async (t) => {
+    stubCoupon(t, { usageLimitPerUser: 1, firstOrderOnly: true }, { otherOrder: true });
+    const result = await coupons.recordRedemption('c1', orderOf('o2'));
+    assert.strictEqual(result.error, 'This promo code is only valid on your first order.');
+});
+
+test('a first-order coupon is accepted on the first order', async (t) => {
+    stubCoupon(t, { usageLimitPerUser: 1, firstOrderOnly: true });
+    const result = await coupons.recordRedemption('c1', orderOf('o1'));
+    assert.strictEqual(result.redemption.slot, 1);
+});
@@ -0,0 +1,31 @@
+// backend/test/fakeProvider.test.js
+// The fake payment provider (services/payments/providers/fake.js) and when it is enabled (services/payments).
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { execFileSync } = require('child_process');
+const fake = require('../services/payments/providers/fake');
+
+// The enabled providers are read once, when services/payments is loaded: ask a fresh process
+const enabledWith = (env) => execFileSync(process.execPath, ['-e', "console.log(require('./services/payments').availableProviders().map(p => p.name).join(','))"], {
+    cwd: require('path').join(__dirname, '..'),
+    env: { PATH: process.env.PATH, ...env },
+    encoding: 'utf8'
+}).trim().split('\n').pop();
+
+test('parseWebhook reads the unsigned body', () => {
+    const parsed = fake.parseWebhook(Buffer.from(JSON.stringify({ tx_ref: 'TX-1', status: 'success', amount: 250, currency: 'ETB' })), {});
+    assert.strictEqual(parsed.event.type, 'fake.success');
+    assert.strictEqual(parsed.event.reference, 'FAKE-TX-1');
+    assert.strictEqual(parsed.event.amount, 250);
+});
+
+test('parseWebhook answers 400 to a body that is not JSON', () => {
+    assert.deepStrictEqual(fake.parseWebhook(Buffer.from('not json'), {}), { error: 'Body is not valid JSON.', status: 400 });
+});
+
+test('the fake provider is only enabled when asked for', () => {
+    assert.strictEqual(enabledWith({}), 'chapa,cod');
+    assert.strictEqual(enabledWith({ NODE_ENV: 'test' }), 'chapa,cod,fake');
+    assert.strictEqual(enabledWith({ PAYMENT_PROVIDERS: 'chapa,fake' }), 'chapa,fake');
+    assert.strictEqual(enabledWith({ NODE_ENV: 'production', PAYMENT_PROVIDERS: 'chapa,fake' }), 'chapa');
+});
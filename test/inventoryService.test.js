@@ -0,0 +1,58 @@
+// backend/test/inventoryService.test.js
+// Stock reservation (services/inventoryService.js) with the Product and Order models stubbed: no database needed.
+const { test } = require('node:test');
+const assert = require('node:assert');
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const inventoryService = require('../services/inventoryService');
+
+// In-memory stock per product id; Product.updateOne applies the conditional $inc like MongoDB would
+const stubStock = (t, stock) => {
+    t.mock.method(Product, 'updateOne', async (filter, update) => {
+        await new Promise(resolve => setImmediate(resolve)); // Let concurrent checkouts interleave
+        const id = String(filter._id);
+        if (!(id in stock)) return { modifiedCount: 0 };
+        if (filter.stockQuantity && stock[id] < filter.stockQuantity.$gte) return { modifiedCount: 0 };
+        stock[id] += update.$inc.stockQuantity;
+        return { modifiedCount: 1 };
+    });
+    t.mock.method(Product, 'findById', (id) => ({ select: () => ({ lean: async () => ({ stockQuantity: stock[String(id)], variants: [] }) }) }));
+    return stock;
+};
+
+test('two checkouts cannot both take the last unit', async (t) => {
+    const stock = stubStock(t, { teff: 1 });
+    const results = await Promise.all([
+        inventoryService.reserveItems([{ productId: 'teff', quantity: 1 }]),
+        inventoryService.reserveItems([{ productId: 'teff', quantity: 1 }])
+    ]);
+    assert.deepStrictEqual(results.map(result => result.ok).sort(), [false, true]);
+    assert.strictEqual(stock.teff, 0);
+});
+
+test('a checkout short of one item takes nothing', async (t) => {
+    const stock = stubStock(t, { teff: 5, honey: 1 });
+    const result = await inventoryService.reserveItems([{ productId: 'teff', quantity: 2 }, { productId: 'honey', quantity: 3 }]);
+    assert.strictEqual(result.ok, false);
+    assert.strictEqual(result.available, 1);
+    assert.deepStrictEqual(stock, { teff: 5, honey: 1 });
+});
+
+test('a reservation is given back once', async (t) => {
+    const stock = stubStock(t, { teff: 0 });
+    const order = { _id: 'o1', reservation: { status: 'held' }, items: [{ productId: 'teff', quantity: 2 }] };
+    t.mock.method(Order, 'findOneAndUpdate', async (filter) => {
+        if (order.reservation.status !== filter['reservation.status']) return null;
+        order.reservation.status = 'released';
+        return order;
+    });
+
+    const released = await Promise.all([
+        inventoryService.releaseOrderReservation(order._id, 'order_cancelled'),
+        inventoryService.releaseOrderReservation(order._id, 'payment_timeout')
+    ]);
+    assert.strictEqual(released.filter(Boolean).length, 1);
+    assert.strictEqual(stock.teff, 2);
+    assert.strictEqual(await inventoryService.releaseCommittedStock(order._id, order.items, 'order_cancelled'), false);
+    assert.strictEqual(stock.teff, 2);
+});
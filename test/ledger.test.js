@@ -0,0 +1,138 @@
+// backend/test/ledger.test.js
+// Seller ledger journals (services/ledger.js) with the ledger models stubbed by an in-memory store:
+// no database needed. Every journal must add up to zero.
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const LedgerEntry = require('../models/LedgerEntry');
+const LedgerJournal = require('../models/LedgerJournal');
+const CommissionRule = require('../models/CommissionRule');
+const Order = require('../models/Order');
+const ledger = require('../services/ledger');
+const { roundMoney } = require('../services/orderPricing');
+
+const SELLER_ID = new mongoose.Types.ObjectId();
+
+// In-memory LedgerJournal / LedgerEntry collections with their unique keys
+const stubLedger = (t) => {
+    const claims = new Map();
+    const entries = new Map();
+    t.mock.method(LedgerJournal, 'create', async (doc) => {
+        if (claims.has(doc.journal)) throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+        claims.set(doc.journal, doc);
+        return { toObject: () => doc };
+    });
+    t.mock.method(LedgerJournal, 'findOne', (filter) => ({ lean: async () => claims.get(filter.journal) || null }));
+    t.mock.method(LedgerEntry, 'insertMany', async (docs) => {
+        for (const doc of docs) {
+            if (!entries.has(doc.key)) entries.set(doc.key, doc);
+        }
+    });
+    t.mock.method(LedgerEntry, 'exists', async (filter) => (entries.has(filter.key) ? { _id: filter.key } : null));
+    t.mock.method(LedgerEntry, 'findOne', (filter) => ({ select: () => ({ lean: async () => entries.get(filter.key) || null }) }));
+    t.mock.method(LedgerEntry, 'aggregate', async ([{ $match }]) => {
+        const itemIds = $match.orderItemId.$in.map(String);
+        const groups = new Map();
+        for (const entry of entries.values()) {
+            if (!itemIds.includes(String(entry.orderItemId))) continue;
+            const id = `${entry.orderItemId}:${entry.account}`;
+            const group = groups.get(id) || { _id: { item: entry.orderItemId, account: entry.account }, amount: 0, sellerId: entry.sellerId, currency: entry.currency };
+            group.amount += entry.amount;
+            groups.set(id, group);
+        }
+        return [...groups.values()];
+    });
+    t.mock.method(CommissionRule, 'find', () => ({ lean: async () => [] })); // The default commission applies
+    return entries;
+};
+
+const journalsBalance = (entries) => {
+    const sums = new Map();
+    for (const entry of entries.values()) sums.set(entry.journal, roundMoney((sums.get(entry.journal) || 0) + entry.amount));
+    for (const [journal, sum] of sums) assert.strictEqual(sum, 0, `journal ${journal} adds up to ${sum}`);
+};
+
+// What the item's journals left on each account
+const netByAccount = (entries, itemId) => {
+    const net = {};
+    for (const entry of entries.values()) {
+        if (String(entry.orderItemId) !== String(itemId)) continue;
+        net[entry.account] = roundMoney((net[entry.account] || 0) + entry.amount);
+    }
+    return net;
+};
+
+// A paid order: 3 x 100 of teff with a 30 coupon share, and 1 x 50 of honey
+const paidOrder = () => new Order({
+    userId: new mongoose.Types.ObjectId(),
+    totalAmount: 320,
+    pricing: { currency: 'ETB' },
+    status: 'paid',
+    items: [
+        { productId: new mongoose.Types.ObjectId(), name: 'Teff', category: 'grains', sellerId: SELLER_ID, quantity: 3, price: 100, lineTotal: 300, discount: 30 },
+        { productId: new mongoose.Types.ObjectId(), name: 'Honey', category: 'honey', sellerId: SELLER_ID, quantity: 1, price: 50, lineTotal: 50 }
+    ]
+});
+
+let order;
+beforeEach(() => {
+    order = paidOrder();
+});
+
+test('a sale credits the seller after commission and balances', async (t) => {
+    const entries = stubLedger(t);
+    await ledger.recordSale(order);
+    journalsBalance(entries);
+    const rate = ledger.DEFAULT_COMMISSION_PERCENT / 100;
+    assert.strictEqual(entries.get(`sale:${order.items[0]._id}:seller`).amount, roundMoney(300 - 300 * rate));
+    assert.strictEqual(entries.get(`sale:${order.items[0]._id}:customer_funds`).amount, -270);
+
+    await ledger.recordSale(order); // Replayed: nothing is booked twice
+    assert.strictEqual(entries.size, 8);
+});
+
+test('a refund debits the seller and balances', async (t) => {
+    const entries = stubLedger(t);
+    t.mock.method(Order, 'findById', async () => order);
+    await ledger.recordSale(order);
+    const teff = order.items[0];
+    await ledger.recordRefund({ _id: new mongoose.Types.ObjectId(), orderId: order._id, currency: 'ETB', items: [{ orderItemId: teff._id, quantity: 3, amount: 270 }] });
+    journalsBalance(entries);
+    assert.deepStrictEqual(netByAccount(entries, teff._id), { seller: 0, commission: 0, customer_funds: 0, discounts: 0 });
+});
+
+test('a reversal brings every account of the item back to zero, after a partial refund too', async (t) => {
+    const entries = stubLedger(t);
+    t.mock.method(Order, 'findById', async () => order);
+    await ledger.recordSale(order);
+    const [teff, honey] = order.items;
+    await ledger.recordRefund({ _id: new mongoose.Types.ObjectId(), orderId: order._id, currency: 'ETB', items: [{ orderItemId: teff._id, quantity: 1, amount: 90 }] });
+
+    await ledger.reverseSales(order, order.items, 'Order cancelled');
+    journalsBalance(entries);
+    for (const item of [teff, honey]) {
+        for (const [account, amount] of Object.entries(netByAccount(entries, item._id))) {
+            assert.strictEqual(amount, 0, `${item.name} ${account}`);
+        }
+    }
+
+    // A refund completed after the reversal is not taken from the seller again
+    const before = entries.size;
+    await ledger.recordRefund({ _id: new mongoose.Types.ObjectId(), orderId: order._id, currency: 'ETB', items: [{ orderItemId: teff._id, quantity: 2, amount: 180 }] });
+    assert.strictEqual(entries.size, before);
+});
+
+test('two writers of the same journal cannot mix their lines', async (t) => {
+    const entries = stubLedger(t);
+    const write = (batchId, amount) => ledger.writeJournal(`payout:${SELLER_ID}:1`, 'payout',
+        { sellerId: SELLER_ID, currency: 'ETB', payoutBatchId: batchId, description: 'Payout batch' },
+        [{ account: 'seller', amount: -amount }, { account: 'payouts_pending', amount }]);
+
+    const [first, second] = await Promise.all([write('batch-a', 50), write('batch-b', 70)]);
+    assert.deepStrictEqual(first.entries, second.entries);
+    journalsBalance(entries);
+    assert.deepStrictEqual([...entries.values()].map(entry => [entry.account, entry.amount, entry.payoutBatchId]), [
+        ['seller', -50, 'batch-a'],
+        ['payouts_pending', 50, 'batch-a']
+    ]);
+});
@@ -0,0 +1,124 @@
+// backend/test/orderStatus.test.js
+// The order state machine (services/orderStatus.js) with the Order / SubOrder models, stock and ledger stubbed:
+// no database needed.
+const { test } = require('node:test');
+const assert = require('node:assert');
+const Order = require('../models/Order');
+const SubOrder = require('../models/SubOrder');
+const inventoryService = require('../services/inventoryService');
+const ledger = require('../services/ledger');
+const orderStatus = require('../services/orderStatus');
+
+const ORDER_ID = '64b000000000000000000001';
+
+const paidOrder = (status) => ({
+    _id: ORDER_ID,
+    status,
+    paymentStatus: 'paid',
+    paymentProvider: 'chapa',
+    subOrders: [],
+    items: [{ _id: '64b0000000000000000000a1', productId: '64b0000000000000000000b1', sellerId: '64b0000000000000000000c1', name: 'Teff', quantity: 2, price: 100 }]
+});
+
+// Order.findById finds `order`, and Order.findOneAndUpdate is a conditional update on it (resolves to the
+// changed order, or null). Resolves to the findOneAndUpdate mock.
+const stubOrder = (t, order, { changedMeanwhile = false } = {}) => {
+    t.mock.method(Order, 'findById', async () => order);
+    return t.mock.method(Order, 'findOneAndUpdate', async (filter, update) => {
+        if (changedMeanwhile || filter.status !== order.status) return null;
+        return { ...order, ...update.$set };
+    });
+};
+
+test('only a payment marks an order paid or refunded', () => {
+    for (const [from, targets] of Object.entries(orderStatus.TRANSITIONS)) {
+        for (const to of ['paid', 'refunded']) {
+            if (targets[to]) assert.deepStrictEqual(targets[to], ['payment'], `${from} -> ${to}`);
+        }
+    }
+});
+
+test('staff cannot mark an unpaid order paid', async (t) => {
+    const order = { ...paidOrder('awaiting_payment'), paymentStatus: 'unpaid' };
+    const update = stubOrder(t, order);
+
+    const result = await orderStatus.transitionOrder(order, 'paid', { type: 'admin', userId: 'u1' }, 'note');
+    assert.strictEqual(result.status, 409);
+    const forced = await orderStatus.transitionOrder(order, 'paid', { type: 'admin', userId: 'u1' }, 'note', { force: true });
+    assert.strictEqual(forced.status, 400);
+    assert.strictEqual(update.mock.callCount(), 0);
+});
+
+test('staff cannot mark an order refunded, even by force', async (t) => {
+    const order = paidOrder('delivered');
+    const update = stubOrder(t, order);
+
+    const result = await orderStatus.transitionOrder(order, 'refunded', { type: 'admin', userId: 'u1' }, 'note');
+    assert.strictEqual(result.status, 409);
+    const forced = await orderStatus.transitionOrder(order, 'refunded', { type: 'admin', userId: 'u1' }, 'note', { force: true });
+    assert.strictEqual(forced.status, 400);
+    assert.strictEqual(update.mock.callCount(), 0);
+});
+
+test('a transition only applies if the order still has the status it was read with', async (t) => {
+    const order = paidOrder('paid');
+    stubOrder(t, order, { changedMeanwhile: true });
+    const result = await orderStatus.transitionOrder(order, 'processing', { type: 'seller', userId: 'u1' }, 'note');
+    assert.strictEqual(result.status, 409);
+});
+
+test('rejecting an order that has not shipped gives its stock back and takes back the sale', async (t) => {
+    const order = paidOrder('processing');
+    stubOrder(t, order);
+    t.mock.method(inventoryService, 'releaseOrderReservation', async () => false);
+    const releaseCommitted = t.mock.method(inventoryService, 'releaseCommittedStock', async () => true);
+    const reverse = t.mock.method(ledger, 'reverseSales', async () => {});
+
+    const result = await orderStatus.transitionOrder(order, 'rejected', { type: 'seller', userId: 'u1' }, 'note', { force: true });
+    assert.ifError(result.error);
+    assert.strictEqual(releaseCommitted.mock.callCount(), 1);
+    assert.strictEqual(releaseCommitted.mock.calls[0].arguments[1], order.items);
+    assert.strictEqual(reverse.mock.callCount(), 1);
+});
+
+test('rejecting a shipped order by force does not put its stock back', async (t) => {
+    const order = paidOrder('shipped');
+    stubOrder(t, order);
+    t.mock.method(inventoryService, 'releaseOrderReservation', async () => false);
+    const releaseCommitted = t.mock.method(inventoryService, 'releaseCommittedStock', async () => true);
+    const releaseItems = t.mock.method(inventoryService, 'releaseItems', async () => {});
+    t.mock.method(ledger, 'reverseSales', async () => {});
+
+    const result = await orderStatus.transitionOrder(order, 'rejected', { type: 'admin', userId: 'u1' }, 'Forced: lost', { force: true });
+    assert.ifError(result.error);
+    assert.strictEqual(releaseCommitted.mock.callCount(), 0);
+    assert.strictEqual(releaseItems.mock.callCount(), 0);
+});
+
+// syncParentStatus with a parent in `parentStatus` and sub-orders in `subStatuses`: resolves to the status the
+// parent was moved to, or null if it was left alone
+const syncedStatus = async (t, parentStatus, subStatuses) => {
+    t.mock.method(Order, 'findById', async () => ({ _id: ORDER_ID, status: parentStatus, paymentStatus: 'paid', paymentProvider: 'chapa' }));
+    t.mock.method(SubOrder, 'find', () => ({ select: () => ({ lean: async () => subStatuses.map(status => ({ status })) }) }));
+    const update = t.mock.method(Order, 'findOneAndUpdate', async (filter, change) => ({ _id: ORDER_ID, status: change.$set.status, paymentStatus: 'paid' }));
+    await orderStatus.syncParentStatus(ORDER_ID);
+    return update.mock.callCount() === 0 ? null : update.mock.calls[0].arguments[1].$set.status;
+};
+
+test('a split order follows the least advanced of its open sub-orders', async (t) => {
+    assert.strictEqual(await syncedStatus(t, 'processing', ['shipped', 'delivered', 'rejected']), 'shipped');
+});
+
+test('a split order does not go back', async (t) => {
+    assert.strictEqual(await syncedStatus(t, 'shipped', ['processing', 'refunded']), null);
+});
+
+test('a split order whose sub-orders were all refunded is refunded', async (t) => {
+    assert.strictEqual(await syncedStatus(t, 'processing', ['refunded', 'refunded']), 'refunded');
+});
+
+test('a split order with a rejected portion not refunded yet is rejected, then refunded', async (t) => {
+    assert.strictEqual(await syncedStatus(t, 'paid', ['rejected', 'refunded']), 'rejected');
+    t.mock.restoreAll();
+    assert.strictEqual(await syncedStatus(t, 'rejected', ['refunded', 'refunded']), 'refunded');
+});
@@ -0,0 +1,54 @@
+// backend/test/paymentSettlement.test.js
+// settlePayment (services/paymentSettlement.js) with the Order model stubbed: no database needed.
+const { test } = require('node:test');
+const assert = require('node:assert');
+const Order = require('../models/Order');
+const orderStatus = require('../services/orderStatus');
+const { settlePayment } = require('../services/paymentSettlement');
+
+const unpaidOrder = () => ({
+    _id: '64b000000000000000000001',
+    tx_ref: 'TX-1',
+    status: 'awaiting_payment',
+    paymentStatus: 'unpaid',
+    paymentProvider: 'chapa',
+    totalAmount: 250,
+    pricing: { currency: 'ETB' }
+});
+
+test('a payment of another amount is not taken', async (t) => {
+    t.mock.method(Order, 'findOne', async () => unpaidOrder());
+    const transition = t.mock.method(orderStatus, 'transitionOrder', async () => ({ order: {} }));
+
+    const result = await settlePayment('TX-1', { status: 'success', amount: '200.00', currency: 'ETB', provider: 'chapa', source: 'test' });
+    assert.strictEqual(result.outcome, 'amount_mismatch');
+    assert.deepStrictEqual(result.expected, { amount: 250, currency: 'ETB' });
+    assert.deepStrictEqual(result.received, { amount: 200, currency: 'ETB' });
+    assert.strictEqual(transition.mock.callCount(), 0);
+});
+
+test('a payment in another currency is not taken', async (t) => {
+    t.mock.method(Order, 'findOne', async () => unpaidOrder());
+    const transition = t.mock.method(orderStatus, 'transitionOrder', async () => ({ order: {} }));
+
+    const result = await settlePayment('TX-1', { status: 'success', amount: '250.00', currency: 'USD', provider: 'chapa', source: 'test' });
+    assert.strictEqual(result.outcome, 'amount_mismatch');
+    assert.strictEqual(transition.mock.callCount(), 0);
+});
+
+test('a payment of the order amount marks it paid', async (t) => {
+    t.mock.method(Order, 'findOne', async () => unpaidOrder());
+    t.mock.method(Order, 'updateOne', async () => ({}));
+    const transition = t.mock.method(orderStatus, 'transitionOrder', async () => ({ order: { status: 'paid' } }));
+
+    const result = await settlePayment('TX-1', { status: 'success', amount: '250.00', currency: 'ETB', reference: 'AP1', provider: 'chapa', source: 'test' });
+    assert.strictEqual(result.outcome, 'paid');
+    assert.strictEqual(transition.mock.callCount(), 1);
+    assert.strictEqual(transition.mock.calls[0].arguments[1], 'paid');
+});
+
+test('a result reported by another provider is not taken', async (t) => {
+    t.mock.method(Order, 'findOne', async () => unpaidOrder());
+    const result = await settlePayment('TX-1', { status: 'success', amount: '250.00', currency: 'ETB', provider: 'fake', source: 'test' });
+    assert.strictEqual(result.outcome, 'wrong_provider');
+});
@@ -0,0 +1,96 @@
+// backend/test/paymentWebhooks.test.js
+// receiveWebhook (services/paymentWebhooks.js) with the PaymentEvent and Order models stubbed: no database needed.
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const PaymentEvent = require('../models/PaymentEvent');
+const Order = require('../models/Order');
+const chapa = require('../services/payments/providers/chapa');
+const { receiveWebhook } = require('../services/paymentWebhooks');
+
+const SECRET = 'test-webhook-secret';
+
+beforeEach(() => {
+    process.env.CHAPA_WEBHOOK_SECRET = SECRET;
+});
+
+const signedFixture = (name, fields) => {
+    const payload = { ...JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'chapa', name), 'utf8')), ...fields };
+    const body = Buffer.from(JSON.stringify(payload));
+    return { body, headers: { [chapa.SIGNATURE_HEADER]: chapa.signPayload(body, SECRET) } };
+};
+
+// An in-memory PaymentEvent collection with the unique { provider, eventKey } index
+const stubEvents = (t) => {
+    const events = [];
+    t.mock.method(PaymentEvent, 'create', async (doc) => {
+        if (events.some(event => event.provider === doc.provider && event.eventKey === doc.eventKey)) {
+            throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+        }
+        const event = { _id: String(events.length + 1), status: 'received', attempts: 0, ...doc };
+        events.push(event);
+        return event;
+    });
+    t.mock.method(PaymentEvent, 'findOne', async (filter) => events.find(event => event.provider === filter.provider && event.eventKey === filter.eventKey) || null);
+    t.mock.method(PaymentEvent, 'findByIdAndUpdate', async (id, update) => {
+        const event = events.find(stored => stored._id === id);
+        Object.assign(event, update.$set);
+        event.attempts += update.$inc.attempts;
+        return event;
+    });
+    t.mock.method(PaymentEvent, 'updateOne', async () => ({}));
+    return events;
+};
+
+test('a redelivered event is not processed twice', async (t) => {
+    const events = stubEvents(t);
+    const findOrder = t.mock.method(Order, 'findOne', async () => null);
+    const { body, headers } = signedFixture('charge.success.json', { tx_ref: 'TX-UNKNOWN' });
+
+    const first = await receiveWebhook('chapa', body, headers);
+    assert.strictEqual(first.status, 200);
+    assert.strictEqual(first.body.outcome, 'unknown_order');
+
+    const second = await receiveWebhook('chapa', body, headers);
+    assert.strictEqual(second.status, 200);
+    assert.strictEqual(second.body.duplicate, true);
+    assert.strictEqual(events.length, 1);
+    assert.strictEqual(findOrder.mock.callCount(), 1);
+});
+
+test('an event whose processing did not finish is processed on redelivery', async (t) => {
+    const events = stubEvents(t);
+    const findOrder = t.mock.method(Order, 'findOne', async () => null);
+    const { body, headers } = signedFixture('charge.success.json', { tx_ref: 'TX-UNKNOWN' });
+    await PaymentEvent.create({ provider: 'chapa', eventKey: 'charge.success:TX-UNKNOWN:APfixture0001:success', tx_ref: 'TX-UNKNOWN', settlement: { status: 'success' } });
+
+    const result = await receiveWebhook('chapa', body, headers);
+    assert.strictEqual(result.body.duplicate, undefined);
+    assert.strictEqual(events[0].status, 'ignored');
+    assert.strictEqual(findOrder.mock.callCount(), 1);
+});
+
+test('a tampered body is refused and not stored', async (t) => {
+    const events = stubEvents(t);
+    const { body, headers } = signedFixture('charge.success.json', { tx_ref: 'TX-1' });
+    const tampered = Buffer.from(body.toString('utf8').replace('"250.00"', '"2.50"'));
+
+    const result = await receiveWebhook('chapa', tampered, headers);
+    assert.strictEqual(result.status, 401);
+    assert.strictEqual(events.length, 0);
+});
+
+test('a payment that does not match the order is stored as failed', async (t) => {
+    const events = stubEvents(t);
+    t.mock.method(Order, 'findOne', async () => ({
+        _id: '64b000000000000000000001', tx_ref: 'TX-1', status: 'awaiting_payment', paymentStatus: 'unpaid',
+        paymentProvider: 'chapa', totalAmount: 300, pricing: { currency: 'ETB' }
+    }));
+    const { body, headers } = signedFixture('charge.success.json', { tx_ref: 'TX-1' });
+
+    const result = await receiveWebhook('chapa', body, headers);
+    assert.strictEqual(result.body.status, 'failed');
+    assert.strictEqual(result.body.outcome, 'amount_mismatch');
+    assert.match(events[0].error, /Paid 250 ETB, order expects 300 ETB/);
+});